@@ -0,0 +1,56 @@
+const fs = require("fs");
+const mongoose = require("mongoose");
+const { connectDB } = require("./config/database");
+const { writeBackup, restoreBackup } = require("./services/backupService");
+
+// Usage:
+//   node backup.js export <file.zip> [--include-passwords]
+//   node backup.js restore <file.zip> [--mode=skip|overwrite] [--dry-run]
+const [command, file, ...flags] = process.argv.slice(2);
+const hasFlag = (name) => flags.includes(`--${name}`);
+const flagValue = (name) =>
+  flags.find((flag) => flag.startsWith(`--${name}=`))?.split("=")[1];
+
+const exportBackup = async () => {
+  const output = fs.createWriteStream(file);
+  const closed = new Promise((resolve) => output.on("close", resolve));
+  const manifest = await writeBackup(output, {
+    includePasswords: hasFlag("include-passwords"),
+  });
+  await closed;
+
+  console.log(`✅ Backup written to ${file}`);
+  console.log(JSON.stringify(manifest, null, 2));
+};
+
+const importBackup = async () => {
+  const report = await restoreBackup(file, {
+    mode: flagValue("mode") || "skip",
+    dryRun: hasFlag("dry-run"),
+  });
+
+  console.log(report.dryRun ? "🔎 Dry run, nothing was written" : `✅ Restored ${file}`);
+  console.log(JSON.stringify(report, null, 2));
+};
+
+const run = async () => {
+  if (!["export", "restore"].includes(command) || !file) {
+    console.error("Usage: node backup.js <export|restore> <file.zip> [options]");
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+    await (command === "export" ? exportBackup() : importBackup());
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Backup error:", error.message);
+    try {
+      await mongoose.disconnect();
+    } catch (_) {}
+    process.exit(1);
+  }
+};
+
+run();
@@ -1,25 +1,40 @@
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Article = require("../models/Article");
 const Category = require("../models/Category");
 const Tag = require("../models/Tag");
+const ArticleTemplate = require("../models/ArticleTemplate");
 const AuditLog = require("../models/AuditLog");
-
-// Helper function to create audit log
-const createAuditLog = async (userId, action, entity, entityId, details, metadata = {}, req = null) => {
-  try {
-    await AuditLog.create({
-      user: userId,
-      action,
-      entity,
-      entityId,
-      details,
-      metadata,
-      ipAddress: req ? req.ip || req.connection.remoteAddress : null,
-    });
-  } catch (error) {
-    console.error("Error creating audit log:", error);
-  }
-};
+const ArticleFeedback = require("../models/ArticleFeedback");
+const { createAuditLog } = require("../services/auditService");
+const { countUnresolvedReviewComments } = require("../services/reviewCommentService");
+const {
+  aggregateViews,
+  viewsBySource,
+  topArticlesInPeriod,
+} = require("../services/viewTrackingService");
+const { LifecycleError, applyTransition } = require("../services/articleLifecycle");
+const { parseApprovalPolicy } = require("../services/approvalService");
+const { resolveUsers, transferArticle } = require("../services/ownershipService");
+const {
+  refreshPossibleDuplicates,
+  formatDuplicates,
+  mergeArticles,
+} = require("../services/duplicateService");
+const {
+  getReviewQueue,
+  refreshCategoryReviewDates,
+} = require("../services/reviewService");
+const {
+  purgeDateFor,
+  trashFilter,
+  trashArticle,
+  purgeArticle,
+} = require("../services/trashService");
+const {
+  startExcerptBackfill,
+  getExcerptBackfillStatus,
+} = require("../services/summaryService");
 
 // Dashboard Stats
 exports.getDashboardStats = async (req, res) => {
@@ -226,11 +241,18 @@ exports.deleteUser = async (req, res) => {
     const articleCount = await Article.countDocuments({ author: userId });
     if (articleCount > 0) {
       return res.status(400).json({
-        message: `Cannot delete user with ${articleCount} article(s). Please reassign or delete articles first.`,
+        message: `Cannot delete user with ${articleCount} article(s). Please transfer or delete articles first.`,
       });
     }
 
     await User.findByIdAndDelete(userId);
+    await Article.updateMany({ coAuthors: userId }, { $pull: { coAuthors: userId } }, { timestamps: false });
+
+    // Trashed articles could not be restored without their author
+    const trashed = await Article.find(trashFilter({ author: userId }));
+    for (const article of trashed) {
+      await purgeArticle(article);
+    }
 
     // Create audit log
     await createAuditLog(
@@ -239,7 +261,7 @@ exports.deleteUser = async (req, res) => {
       "User",
       userId,
       `Deleted user: ${user.email}`,
-      { email: user.email, username: user.username },
+      { email: user.email, username: user.username, purgedArticles: trashed.length },
       req,
     );
 
@@ -276,6 +298,7 @@ exports.getAllArticlesAdmin = async (req, res) => {
     const [articles, total] = await Promise.all([
       Article.find(filter)
         .populate("author", "username email")
+        .populate("coAuthors", "username")
         .populate("category", "name")
         .populate("tags", "name")
         .populate("approvedBy", "username email")
@@ -286,9 +309,12 @@ exports.getAllArticlesAdmin = async (req, res) => {
       Article.countDocuments(filter),
     ]);
 
+    const reviewCommentCounts = await countUnresolvedReviewComments(articles.map((a) => a._id));
+
     // Format articles to ensure tags and categories are strings, not objects
     const formattedArticles = articles.map(article => ({
       id: article._id,
+      slug: article.slug,
       title: article.title,
       content: article.content,
       excerpt: article.excerpt,
@@ -297,6 +323,7 @@ exports.getAllArticlesAdmin = async (req, res) => {
       bookmarks: article.bookmarks,
       author: article.author?.username,
       authorEmail: article.author?.email,
+      coAuthors: (article.coAuthors || []).map((user) => user.username),
       category: article.category?.name || null,
       tags: (article.tags || []).map(tag => typeof tag === 'string' ? tag : tag.name),
       pdfFile: article.pdfFile,
@@ -304,6 +331,24 @@ exports.getAllArticlesAdmin = async (req, res) => {
       rejectionReason: article.rejectionReason,
       approvedBy: article.approvedBy?.username || null,
       approvedAt: article.approvedAt,
+      currentRevision: article.currentRevision || 0,
+      approvedRevision: article.approvedRevision ?? null,
+      changedSinceApproval:
+        article.approvedRevision != null &&
+        article.currentRevision > article.approvedRevision,
+      reviewRound: article.reviewRound || 0,
+      approvalsReceived: (article.approvals || []).filter(
+        (entry) => entry.round === article.reviewRound && entry.decision === "APPROVED",
+      ).length,
+      unresolvedReviewComments:
+        reviewCommentCounts.get(article._id.toString())?.unresolved || 0,
+      blockingReviewComments:
+        reviewCommentCounts.get(article._id.toString())?.blocking || 0,
+      publishAt: article.publishAt || null,
+      unpublishAt: article.unpublishAt || null,
+      reviewDueAt: article.reviewDueAt || null,
+      possibleDuplicateCount: (article.possibleDuplicates || []).length,
+      mergedInto: article.mergedInto || null,
       createdAt: article.createdAt,
       updatedAt: article.updatedAt
     }));
@@ -322,6 +367,49 @@ exports.getAllArticlesAdmin = async (req, res) => {
   }
 };
 
+// Articles due for review, most overdue first; dueWithinDays also shows upcoming ones
+exports.getNeedsReviewQueue = async (req, res) => {
+  try {
+    const { dueWithinDays = 0, category, page = 1, limit = 20 } = req.query;
+    if (category && !mongoose.Types.ObjectId.isValid(category)) {
+      return res.status(400).json({ message: "Invalid category id" });
+    }
+
+    const queue = await getReviewQueue({ dueWithinDays, category, page, limit });
+    const { articles, total } = queue;
+    const now = new Date();
+
+    res.json({
+      articles: articles.map((article) => ({
+        id: article._id,
+        slug: article.slug,
+        title: article.title,
+        author: article.author?.username,
+        authorEmail: article.author?.email,
+        category: article.category?.name || null,
+        reviewIntervalDays: article.category?.reviewIntervalDays || null,
+        reviewBy: article.reviewBy,
+        reviewDueAt: article.reviewDueAt,
+        isOverdue: article.reviewDueAt <= now,
+        daysOverdue: Math.floor((now - article.reviewDueAt) / (24 * 60 * 60 * 1000)),
+        lastVerifiedAt: article.lastVerifiedAt,
+        lastVerifiedBy: article.lastVerifiedBy?.username || null,
+        reviewReminderSentAt: article.reviewReminderSentAt,
+        approvedAt: article.approvedAt,
+        updatedAt: article.updatedAt,
+      })),
+      pagination: {
+        total,
+        page: queue.page,
+        pages: Math.ceil(total / queue.limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching review queue:", error);
+    res.status(500).json({ message: "Error fetching review queue" });
+  }
+};
+
 exports.deleteArticle = async (req, res) => {
   try {
     const { articleId } = req.params;
@@ -331,7 +419,7 @@ exports.deleteArticle = async (req, res) => {
       return res.status(404).json({ message: "Article not found" });
     }
 
-    await Article.findByIdAndDelete(articleId);
+    await trashArticle(article, req.user);
 
     // Create audit log
     await createAuditLog(
@@ -339,32 +427,278 @@ exports.deleteArticle = async (req, res) => {
       "ARTICLE_DELETE",
       "Article",
       articleId,
-      `Deleted article: ${article.title}`,
-      { title: article.title, author: article.author },
+      `Moved article to trash: ${article.title}`,
+      { title: article.title, author: article.author, purgeAt: purgeDateFor(article) },
       req,
     );
 
-    res.json({ message: "Article deleted successfully" });
+    res.json({ message: "Article moved to trash", purgeAt: purgeDateFor(article) });
   } catch (error) {
     console.error("Error deleting article:", error);
     res.status(500).json({ message: "Error deleting article" });
   }
 };
 
-exports.unpublishArticle = async (req, res) => {
+// Permanently delete a trashed article without waiting for the retention period
+exports.purgeDeletedArticle = async (req, res) => {
   try {
     const { articleId } = req.params;
 
-    const article = await Article.findByIdAndUpdate(
+    const article = await Article.findOne(trashFilter({ _id: articleId }));
+    if (!article) {
+      return res.status(404).json({ message: "Article not found in trash" });
+    }
+
+    await purgeArticle(article);
+
+    await createAuditLog(
+      req.user._id,
+      "ARTICLE_PURGE",
+      "Article",
       articleId,
-      { status: "DRAFT", approvedBy: null, approvedAt: null },
-      { new: true },
-    ).populate("author", "username email");
+      `Permanently deleted article: ${article.title}`,
+      { title: article.title, author: article.author, deletedAt: article.deletedAt },
+      req,
+    );
+
+    res.json({ message: "Article permanently deleted" });
+  } catch (error) {
+    console.error("Error purging article:", error);
+    res.status(500).json({ message: "Error purging article" });
+  }
+};
+
+// "Possible duplicate of" panel: re-runs the check against current articles
+exports.getArticleDuplicates = async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.articleId);
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    const duplicates = await refreshPossibleDuplicates(article);
+
+    res.json({
+      id: article._id,
+      title: article.title,
+      possibleDuplicates: formatDuplicates(duplicates, req.user),
+    });
+  } catch (error) {
+    console.error("Error checking duplicates:", error);
+    res.status(500).json({ message: "Error checking duplicates" });
+  }
+};
+
+// Merge a duplicate into the original (body: into)
+exports.mergeArticle = async (req, res) => {
+  try {
+    const { articleId } = req.params;
+    const { into } = req.body;
+
+    if (!into || !mongoose.Types.ObjectId.isValid(into)) {
+      return res.status(400).json({ message: "into must be the id of the original article" });
+    }
+    if (into === articleId) {
+      return res.status(400).json({ message: "An article cannot be merged into itself" });
+    }
+
+    const [duplicate, original] = await Promise.all([
+      Article.findById(articleId),
+      Article.findById(into),
+    ]);
+    if (!duplicate || !original) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+    if (duplicate.mergedInto) {
+      return res.status(409).json({ message: "Article has already been merged" });
+    }
+    if (original.mergedInto || original.status === "ARCHIVED") {
+      return res
+        .status(409)
+        .json({ message: "Cannot merge into an archived or merged article" });
+    }
+
+    const { addedTags, revision } = await mergeArticles(duplicate, original, req.user);
+
+    await createAuditLog(
+      req.user._id,
+      "ARTICLE_MERGE",
+      "Article",
+      duplicate._id,
+      `Merged article "${duplicate.title}" into "${original.title}"`,
+      { into: original._id, addedTags, revision },
+      req,
+    );
+
+    res.json({
+      message: "Article merged successfully",
+      duplicate: { id: duplicate._id, slug: duplicate.slug, status: duplicate.status },
+      original: { id: original._id, slug: original.slug },
+      addedTags: addedTags.length,
+    });
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return res
+        .status(error.statusCode)
+        .json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error("Error merging articles:", error);
+    res.status(500).json({ message: "Error merging articles" });
+  }
+};
+
+// Hand the matched articles over to another user, auditing each one;
+// fromUser is set when every article of one user is transferred
+const transferOwnership = async (req, res, filter, { fromUser } = {}) => {
+  const { toUser, keepAsCoAuthor } = req.body;
+
+  if (!toUser) {
+    return res.status(400).json({ message: "toUser (id or username) is required" });
+  }
+
+  const { users, error } = await resolveUsers([toUser]);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  const newOwner = users[0];
+
+  if (fromUser && newOwner._id.equals(fromUser._id)) {
+    return res.status(400).json({ message: "Articles cannot be transferred to their own author" });
+  }
+
+  // Articles the new owner already has are left alone
+  const articles = await Article.find({ $and: [filter, { author: { $ne: newOwner._id } }] });
+
+  const transferred = [];
+  for (const article of articles) {
+    const { from } = transferArticle(article, newOwner, {
+      keepAsCoAuthor: keepAsCoAuthor === true || keepAsCoAuthor === "true",
+    });
+    // Ownership is not a content change
+    await article.save({ timestamps: false });
+
+    await createAuditLog(
+      req.user._id,
+      "ARTICLE_TRANSFER",
+      "Article",
+      article._id,
+      `Transferred article "${article.title}" to ${newOwner.username}`,
+      { from, to: newOwner._id, keptAsCoAuthor: article.coAuthors.some((id) => id.toString() === from) },
+      req,
+    );
+
+    transferred.push({ id: article._id, title: article.title, previousAuthor: from });
+  }
+
+  res.json({
+    message: `Transferred ${transferred.length} article(s) to ${newOwner.username}`,
+    toUser: { id: newOwner._id, username: newOwner.username },
+    transferred,
+  });
+};
+
+// Transfer one or several articles (body: articleIds, toUser, keepAsCoAuthor)
+exports.transferArticles = async (req, res) => {
+  try {
+    const articleIds = [].concat(req.body.articleIds || []).map(String);
+
+    if (articleIds.length === 0) {
+      return res.status(400).json({ message: "articleIds is required" });
+    }
+    if (!articleIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "articleIds must be a list of article ids" });
+    }
+
+    const found = await Article.countDocuments({ _id: { $in: articleIds } });
+    if (found !== new Set(articleIds).size) {
+      return res.status(404).json({ message: "One or more articles not found" });
+    }
+
+    await transferOwnership(req, res, { _id: { $in: articleIds } });
+  } catch (error) {
+    console.error("Error transferring articles:", error);
+    res.status(500).json({ message: "Error transferring articles" });
+  }
+};
+
+// Transfer every article a user owns (body: toUser, keepAsCoAuthor)
+exports.transferUserArticles = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await transferOwnership(req, res, { author: user._id }, { fromUser: user });
+  } catch (error) {
+    console.error("Error transferring user articles:", error);
+    res.status(500).json({ message: "Error transferring user articles" });
+  }
+};
+
+// Generate excerpts for articles that have none, in the background
+// (body: limit, regenerate - also refresh excerpts generated earlier)
+exports.backfillExcerpts = async (req, res) => {
+  try {
+    const regenerate = req.body.regenerate === true || req.body.regenerate === "true";
+
+    const status = startExcerptBackfill({ limit: req.body.limit, regenerate, user: req.user });
+    if (!status) {
+      return res.status(409).json({
+        message: "An excerpt backfill is already running",
+        status: getExcerptBackfillStatus(),
+      });
+    }
+
+    await createAuditLog(
+      req.user._id,
+      "EXCERPT_BACKFILL",
+      "System",
+      null,
+      `Started excerpt backfill${regenerate ? " (regenerating generated excerpts)" : ""}`,
+      { limit: req.body.limit || null, regenerate },
+      req,
+    );
+
+    res.status(202).json({ message: "Excerpt backfill started", status });
+  } catch (error) {
+    console.error("Error starting excerpt backfill:", error);
+    res.status(500).json({ message: "Error starting excerpt backfill" });
+  }
+};
+
+// Progress of the current or last excerpt backfill
+exports.getExcerptBackfill = async (req, res) => {
+  try {
+    res.json(getExcerptBackfillStatus());
+  } catch (error) {
+    console.error("Error fetching excerpt backfill status:", error);
+    res.status(500).json({ message: "Error fetching excerpt backfill status" });
+  }
+};
+
+exports.unpublishArticle = async (req, res) => {
+  try {
+    const { articleId } = req.params;
+
+    const article = await Article.findById(articleId).populate(
+      "author",
+      "username email",
+    );
 
     if (!article) {
       return res.status(404).json({ message: "Article not found" });
     }
 
+    applyTransition(article, "unpublish", req.user);
+    article.approvedBy = null;
+    article.approvedAt = null;
+    article.publishAt = null;
+    article.unpublishAt = null;
+    await article.save();
+
     // Create audit log
     await createAuditLog(
       req.user._id,
@@ -378,6 +712,11 @@ exports.unpublishArticle = async (req, res) => {
 
     res.json(article);
   } catch (error) {
+    if (error instanceof LifecycleError) {
+      return res
+        .status(error.statusCode)
+        .json({ message: error.message, code: error.code, details: error.details });
+    }
     console.error("Error unpublishing article:", error);
     res.status(500).json({ message: "Error unpublishing article" });
   }
@@ -387,18 +726,27 @@ exports.unpublishArticle = async (req, res) => {
 exports.updateCategory = async (req, res) => {
   try {
     const { categoryId } = req.params;
-    const { name, description } = req.body;
+    const { name, description, reviewIntervalDays } = req.body;
 
-    const category = await Category.findByIdAndUpdate(
-      categoryId,
-      { name, description },
-      { new: true, runValidators: true },
-    );
+    const update = { name, description };
+    if (reviewIntervalDays !== undefined) {
+      update.reviewIntervalDays = reviewIntervalDays ? parseInt(reviewIntervalDays) : null;
+    }
+
+    const category = await Category.findByIdAndUpdate(categoryId, update, {
+      new: true,
+      runValidators: true,
+    });
 
     if (!category) {
       return res.status(404).json({ message: "Category not found" });
     }
 
+    // Articles without their own review date follow the new interval
+    if (reviewIntervalDays !== undefined) {
+      await refreshCategoryReviewDates(category._id);
+    }
+
     // Create audit log
     await createAuditLog(
       req.user._id,
@@ -406,7 +754,7 @@ exports.updateCategory = async (req, res) => {
       "Category",
       categoryId,
       `Updated category: ${category.name}`,
-      { name },
+      { name, reviewIntervalDays: category.reviewIntervalDays },
       req,
     );
 
@@ -434,6 +782,9 @@ exports.deleteCategory = async (req, res) => {
       return res.status(404).json({ message: "Category not found" });
     }
 
+    // Articles moved to other categories may still be checked against these
+    await ArticleTemplate.updateMany({ category: categoryId }, { isActive: false });
+
     // Create audit log
     await createAuditLog(
       req.user._id,
@@ -452,9 +803,51 @@ exports.deleteCategory = async (req, res) => {
   }
 };
 
+// Number of approvals (and optionally which admins) a category requires
+exports.updateCategoryApprovalPolicy = async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+
+    const policy = await parseApprovalPolicy(req.body);
+    if (policy.error) {
+      return res.status(400).json({ message: policy.error });
+    }
+
+    const category = await Category.findByIdAndUpdate(
+      categoryId,
+      { approvalPolicy: policy },
+      { new: true, runValidators: true },
+    ).populate("approvalPolicy.reviewers", "username email");
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    await createAuditLog(
+      req.user._id,
+      "CATEGORY_EDIT",
+      "Category",
+      categoryId,
+      `Updated approval policy of category: ${category.name}`,
+      {
+        requiredApprovals: policy.requiredApprovals,
+        reviewers: policy.reviewers.map((id) => id.toString()),
+      },
+      req,
+    );
+
+    res.json(category);
+  } catch (error) {
+    console.error("Error updating approval policy:", error);
+    res.status(500).json({ message: "Error updating approval policy" });
+  }
+};
+
 exports.getCategoriesWithStats = async (req, res) => {
   try {
-    const categories = await Category.find().lean();
+    const categories = await Category.find()
+      .populate("approvalPolicy.reviewers", "username email")
+      .lean();
 
     const categoriesWithStats = await Promise.all(
       categories.map(async (category) => {
@@ -635,12 +1028,25 @@ exports.getAnalytics = async (req, res) => {
       { $sort: { count: -1 } },
     ]);
 
-    // Top contributors
+    // Top contributors (authors and co-authors alike)
     const topContributors = await Article.aggregate([
+      {
+        $project: {
+          author: 1,
+          views: 1,
+          contributors: {
+            $concatArrays: [["$author"], { $ifNull: ["$coAuthors", []] }],
+          },
+        },
+      },
+      { $unwind: "$contributors" },
       {
         $group: {
-          _id: "$author",
+          _id: "$contributors",
           articleCount: { $sum: 1 },
+          coAuthoredCount: {
+            $sum: { $cond: [{ $eq: ["$contributors", "$author"] }, 0, 1] },
+          },
           totalViews: { $sum: "$views" },
         },
       },
@@ -659,6 +1065,7 @@ exports.getAnalytics = async (req, res) => {
         $project: {
           _id: 1,
           articleCount: 1,
+          coAuthoredCount: 1,
           totalViews: 1,
           username: "$userData.username",
           email: "$userData.email",
@@ -698,12 +1105,59 @@ exports.getAnalytics = async (req, res) => {
       },
     ]);
 
+    // Helpfulness votes across approved articles
+    const feedbackTotals = await Article.aggregate([
+      { $match: { status: "APPROVED" } },
+      {
+        $group: {
+          _id: null,
+          helpful: { $sum: { $ifNull: ["$helpfulVotes", 0] } },
+          notHelpful: { $sum: { $ifNull: ["$notHelpfulVotes", 0] } },
+          ratedArticles: {
+            $sum: {
+              $cond: [
+                { $gt: [{ $add: [{ $ifNull: ["$helpfulVotes", 0] }, { $ifNull: ["$notHelpfulVotes", 0] }] }, 0] },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+    const votesInPeriod = await ArticleFeedback.countDocuments({
+      updatedAt: { $gte: startDate },
+    });
+    const { helpful = 0, notHelpful = 0, ratedArticles = 0 } = feedbackTotals[0] || {};
+
+    // Unique view trends for the period
+    const [viewsOverTime, viewSources, topViewedArticles] = await Promise.all([
+      aggregateViews({ interval: "day", since: startDate }),
+      viewsBySource(startDate),
+      topArticlesInPeriod(startDate, 10),
+    ]);
+
     res.json({
       articlesOverTime,
+      viewsOverTime,
+      viewsBySource: viewSources,
+      viewsInPeriod: viewsOverTime.reduce((sum, point) => sum + point.views, 0),
+      topViewedArticles,
       articlesByStatus,
       articlesByCategory,
       topContributors,
       activityByAction,
+      feedback: {
+        helpful,
+        notHelpful,
+        totalVotes: helpful + notHelpful,
+        helpfulnessRatio:
+          helpful + notHelpful > 0
+            ? Number((helpful / (helpful + notHelpful)).toFixed(3))
+            : null,
+        ratedArticles,
+        votesInPeriod,
+      },
       approvalTurnaround: approvalTimes[0] || {
         avgTurnaround: 0,
         minTurnaround: 0,
@@ -1,128 +1,577 @@
-const { Article, User, Category, Tag } = require("../models");
+const {
+  Article,
+  User,
+  Tag,
+  Bookmark,
+  ArticleFeedback,
+  Attachment,
+} = require("../models");
 const fs = require('fs');
 const path = require('path');
 const pdf = require('pdf-parse');
+const { createAuditLog } = require("../services/auditService");
+const { CONTENT_FORMATS } = require("../services/contentRenderer");
+const { countVisibleComments } = require("../services/commentService");
+const { summarizeFeedback } = require("../services/feedbackService");
+const { recordView } = require("../services/viewTrackingService");
+const { formatAttachment } = require("../services/attachmentService");
+const {
+  isAuthor,
+  canEditArticle,
+  canViewArticle,
+  contributorFilter,
+  excludeUnpublished,
+} = require("../services/articleAccess");
+const { parseCoAuthors } = require("../services/ownershipService");
+const {
+  resolveArticleTemplate,
+  checkArticleTemplate,
+  assertSectionsFilled,
+} = require("../services/templateService");
+const { parsePublishWindow } = require("../services/publishingService");
+const {
+  getApprovalPolicy,
+  approvalProgress,
+  assertCanReview,
+  saveDecision,
+  formatApprovalTrail,
+} = require("../services/approvalService");
+const {
+  countUnresolvedReviewComments,
+  assertReadyForReview,
+} = require("../services/reviewCommentService");
+const {
+  getTrashRetentionDays,
+  purgeDateFor,
+  trashFilter,
+  trashArticle,
+  restoreArticle,
+} = require("../services/trashService");
+const { findRelatedArticles } = require("../services/relatedArticlesService");
+const { suggestTaxonomy } = require("../services/taxonomySuggestionService");
+const {
+  SORTS,
+  parseStatuses,
+  parseFields,
+  parseLimit,
+  encodeCursor,
+  cursorFilter,
+  buildListFilters,
+} = require("../services/articleListingService");
+const {
+  summarizeArticle,
+  trySummarizeArticle,
+  isGeneratedExcerpt,
+} = require("../services/summaryService");
+const {
+  tryRefreshPossibleDuplicates,
+  formatDuplicates,
+  DUPLICATE_MATCH_FIELDS,
+  resolveMergedArticle,
+} = require("../services/duplicateService");
+const { parseReviewBy, verifyArticle } = require("../services/reviewService");
+const {
+  LifecycleError,
+  assertTransition,
+  applyTransition,
+  availableActions,
+  assertInitialStatus,
+  assertEditable,
+  statusAfterEdit,
+} = require("../services/articleLifecycle");
+const {
+  parseTagsInput,
+  resolveTags,
+  resolveCategory,
+  TagSuggestionError,
+} = require("../services/taxonomyService");
+const {
+  snapshotArticle,
+  changedFields,
+  recordRevision,
+  ensureBaselineRevision,
+} = require("../services/revisionService");
 
-// @desc    Get all articles with filters
-// @route   GET /api/articles
-// @access  Private
+// Respond with the error code of a rejected status transition
+const sendLifecycleError = (res, error) => {
+  return res.status(error.statusCode).json({
+    message: error.message,
+    code: error.code,
+    details: error.details,
+  });
+};
+
+// New tags that look like typos of existing ones need the client to
+// resubmit with the suggested tags, or with confirmNewTags
+const sendTagSuggestions = (res, error) => {
+  return res.status(error.statusCode).json({
+    message: error.message,
+    code: error.code,
+    suggestions: error.suggestions,
+  });
+};
+
+// Flags arrive as booleans in JSON bodies and as strings from FormData
+const isConfirmed = (value) => value === true || value === "true";
+
+// Extract text from an uploaded PDF for RAG indexing
+const extractPdfText = async (file) => {
+  try {
+    const pdfBuffer = fs.readFileSync(file.path);
+    const pdfData = await pdf(pdfBuffer);
+    const pdfText = pdfData.text || '';
+    console.log(`Extracted ${pdfText.length} characters from PDF: ${file.originalname}`);
+    return pdfText;
+  } catch (pdfError) {
+    console.error('Error extracting PDF text:', pdfError);
+    // Continue without PDF text extraction
+    return '';
+  }
+};
+
+// @desc    List articles, a page at a time
+// @route   GET /api/articles?sort=newest|views|updated|title&limit=&cursor=
+//          &status=&category=&tags=a,b&author=&from=&to=&hasAttachment=&search=&fields=a,b
+// @access  Private (other statuses than APPROVED: Admin only)
 exports.getArticles = async (req, res) => {
   try {
-    const { status, category, search, limit } = req.query;
+    const { status, sort = "newest", cursor, fields } = req.query;
+
+    if (!SORTS[sort]) {
+      return res.status(400).json({
+        message: `sort must be one of: ${Object.keys(SORTS).join(", ")}`,
+      });
+    }
 
-    // Build query
-    const query = {};
+    // Everyone else sees published articles; their own are under my-articles
+    const statuses = parseStatuses(status);
+    if (req.user.role !== "ADMIN" && statuses && statuses.some((value) => value !== "APPROVED")) {
+      return res.status(403).json({
+        message: "Only approved articles can be listed. Use /api/articles/my-articles for your own.",
+      });
+    }
 
-    if (status) {
-      query.status = status.toUpperCase();
-    } else {
-      // Default: only show approved articles to non-admins
-      if (req.user.role !== "ADMIN") {
-        query.status = "APPROVED";
-      }
+    const selection = parseFields(fields, sort);
+    if (selection.error) {
+      return res.status(400).json({ message: selection.error });
     }
 
-    if (category) {
-      const categoryRecord = await Category.findOne({ name: category });
-      if (categoryRecord) {
-        query.category = categoryRecord._id;
-      }
+    const { conditions, error } = await buildListFilters(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!conditions) {
+      return res.json({ articles: [], total: 0, nextCursor: null });
     }
 
-    if (search) {
-      const regex = new RegExp(search, "i");
-      query.$or = [{ title: regex }, { content: regex }];
+    if (statuses) {
+      conditions.push({ status: { $in: statuses } });
+    } else if (req.user.role !== "ADMIN") {
+      conditions.push({ status: "APPROVED" });
     }
 
-    // Query articles
-    const queryBuilder = Article.find(query)
-      .populate("author", "username email")
-      .populate("category", "name")
-      .populate("tags", "name")
-      .sort({ createdAt: -1 });
+    // Embargoed and expired articles are not listed
+    const query = excludeUnpublished(conditions.length > 0 ? { $and: conditions } : {});
+
+    let pageQuery = query;
+    if (cursor) {
+      const after = cursorFilter(cursor, sort);
+      if (after.error) {
+        return res.status(400).json({ message: after.error });
+      }
+      pageQuery = { $and: [query, after.filter] };
+    }
+
+    const { field, direction } = SORTS[sort];
+    const limit = parseLimit(req.query.limit);
+    const wanted = selection.fields;
 
-    if (limit) {
-      queryBuilder.limit(parseInt(limit));
+    const queryBuilder = Article.find(pageQuery)
+      .select(selection.projection)
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1);
+    if (wanted.has("author") || wanted.has("authorEmail")) {
+      queryBuilder.populate("author", "username email");
     }
+    if (wanted.has("coAuthors")) queryBuilder.populate("coAuthors", "username");
+    if (wanted.has("category")) queryBuilder.populate("category", "name");
+    if (wanted.has("tags")) queryBuilder.populate("tags", "name");
 
-    const articles = await queryBuilder.exec();
+    const [found, total] = await Promise.all([
+      queryBuilder.exec(),
+      Article.countDocuments(query),
+    ]);
+    const articles = found.slice(0, limit);
+    const commentCounts = wanted.has("commentCount")
+      ? await countVisibleComments(articles.map((a) => a._id))
+      : new Map();
 
     // Format response
-    const formattedArticles = articles.map((article) => ({
-      id: article._id,
-      title: article.title,
-      content: article.content,
-      excerpt: article.excerpt,
-      status: article.status,
-      views: article.views,
-      bookmarks: article.bookmarks,
-      author: article.author?.username,
-      authorEmail: article.author?.email,
-      category: article.category?.name || null,
-      tags: (article.tags || []).map((tag) => tag.name),
-      pdfFile: article.pdfFile,
-      pdfOriginalName: article.pdfOriginalName,
-      createdAt: article.createdAt,
-      updatedAt: article.updatedAt,
-    }));
+    const formatters = {
+      id: (article) => article._id,
+      slug: (article) => article.slug,
+      title: (article) => article.title,
+      content: (article) => article.content,
+      contentFormat: (article) => article.contentFormat,
+      readingTimeMinutes: (article) => article.rendered?.readingTimeMinutes || null,
+      excerpt: (article) => article.excerpt,
+      status: (article) => article.status,
+      views: (article) => article.views,
+      bookmarks: (article) => article.bookmarks,
+      commentCount: (article) => commentCounts.get(article._id.toString()) || 0,
+      feedback: (article) => summarizeFeedback(article),
+      author: (article) => article.author?.username,
+      authorEmail: (article) => article.author?.email,
+      coAuthors: (article) => (article.coAuthors || []).map((user) => user.username),
+      category: (article) => article.category?.name || null,
+      tags: (article) => (article.tags || []).map((tag) => tag.name),
+      pdfFile: (article) => article.pdfFile,
+      pdfOriginalName: (article) => article.pdfOriginalName,
+      attachmentCount: (article) => article.attachmentCount || 0,
+      isOutdated: (article) => article.isOutdated(),
+      createdAt: (article) => article.createdAt,
+      updatedAt: (article) => article.updatedAt,
+    };
+    const formattedArticles = articles.map((article) =>
+      Object.fromEntries([...wanted].map((name) => [name, formatters[name](article)])),
+    );
 
-    res.json(formattedArticles);
+    res.json({
+      articles: formattedArticles,
+      total,
+      nextCursor:
+        found.length > limit ? encodeCursor(articles[articles.length - 1], sort) : null,
+    });
   } catch (error) {
     console.error("Get articles error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+// Record the view and send the full article
+const sendArticle = async (req, res, article, extra = {}) => {
+  // Unique views only: ?source=search|chatbot tells where the reader came from
+  const viewCounted = await recordView(article, req.user, req.query.source);
+  if (viewCounted) {
+    article.views += 1;
+  }
+
+  const [isBookmarked, commentCounts, myVote, attachments, reviewCommentCounts] = await Promise.all([
+    Bookmark.exists({ user: req.user._id, article: article._id }),
+    countVisibleComments([article._id]),
+    ArticleFeedback.findOne({ article: article._id, user: req.user._id }).select("helpful"),
+    Attachment.find({ article: article._id }).sort({ order: 1, createdAt: 1 }),
+    canEditArticle(article, req.user)
+      ? countUnresolvedReviewComments([article._id])
+      : Promise.resolve(null),
+  ]);
+  const templateCheck = canEditArticle(article, req.user)
+    ? await checkArticleTemplate(article)
+    : null;
+
+  const rendered = article.getRendered();
+  const approvalPolicy = await getApprovalPolicy(article);
+  await article.populate([
+    { path: "approvals.reviewer", select: "username" },
+    { path: "coAuthors", select: "username" },
+    { path: "possibleDuplicates.article", select: DUPLICATE_MATCH_FIELDS },
+  ]);
+
+  const formattedArticle = {
+    id: article._id,
+    slug: article.slug,
+    title: article.title,
+    content: article.content,
+    contentFormat: article.contentFormat,
+    renderedContent: rendered.html,
+    toc: rendered.toc,
+    wordCount: rendered.wordCount,
+    readingTimeMinutes: rendered.readingTimeMinutes,
+    excerpt: article.excerpt,
+    excerptSource: article.excerptSource,
+    status: article.status,
+    views: article.views,
+    bookmarks: article.bookmarks,
+    isBookmarked: !!isBookmarked,
+    commentCount: commentCounts.get(article._id.toString()) || 0,
+    feedback: {
+      ...summarizeFeedback(article),
+      myVote: myVote ? myVote.helpful : null,
+    },
+    author: article.author?.username,
+    authorEmail: article.author?.email,
+    coAuthors: (article.coAuthors || []).map((user) => user.username),
+    category: article.category?.name || null,
+    tags: (article.tags || []).map((tag) => tag.name),
+    rejectionReason: article.rejectionReason,
+    pdfFile: article.pdfFile,
+    pdfOriginalName: article.pdfOriginalName,
+    attachments: attachments.map(formatAttachment),
+    currentRevision: article.currentRevision,
+    availableActions: availableActions(article, req.user),
+    approval: {
+      ...approvalProgress(article, approvalPolicy),
+      trail: formatApprovalTrail(article),
+    },
+    // Likely duplicates and merge target, for the author and reviewers only
+    possibleDuplicates: canEditArticle(article, req.user)
+      ? formatDuplicates(article.possibleDuplicates, req.user)
+      : undefined,
+    mergedInto: article.mergedInto,
+    // Required sections still to fill in, for the author and reviewers only
+    template: templateCheck || undefined,
+    // Open review threads, for the author and reviewers only
+    reviewComments: reviewCommentCounts
+      ? reviewCommentCounts.get(article._id.toString()) || { unresolved: 0, blocking: 0 }
+      : undefined,
+    publishAt: article.publishAt,
+    unpublishAt: article.unpublishAt,
+    reviewBy: article.reviewBy,
+    reviewDueAt: article.reviewDueAt,
+    lastVerifiedAt: article.lastVerifiedAt,
+    lastVerifiedBy: article.lastVerifiedBy?.username || null,
+    isOutdated: article.isOutdated(),
+    createdAt: article.createdAt,
+    updatedAt: article.updatedAt,
+    ...extra,
+  };
+
+  res.json(formattedArticle);
+};
+
+// Send the article a merged duplicate now points to
+const sendMergedArticle = async (req, res, duplicate, extra) => {
+  const target = await resolveMergedArticle(duplicate);
+
+  if (target.mergedInto || !canViewArticle(target, req.user)) {
+    return res.status(404).json({ message: "Article not found" });
+  }
+
+  await target.populate([
+    { path: "author", select: "username email" },
+    { path: "category", select: "name" },
+    { path: "lastVerifiedBy", select: "username" },
+    { path: "tags", select: "name" },
+  ]);
+
+  await sendArticle(req, res, target, {
+    ...extra,
+    mergedFrom: duplicate._id,
+    canonicalSlug: target.slug,
+  });
+};
+
 // @desc    Get single article
 // @route   GET /api/articles/:id
 // @access  Private
 exports.getArticle = async (req, res) => {
   try {
-    const article = await Article.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { views: 1 } },
-      { new: true },
-    )
+    const article = await Article.findById(req.params.id)
       .populate("author", "username email")
       .populate("category", "name")
-      .populate("tags", "name");
+      .populate("tags", "name")
+      .populate("lastVerifiedBy", "username");
 
     if (!article) {
       return res.status(404).json({ message: "Article not found" });
     }
 
-    const formattedArticle = {
-      id: article._id,
-      title: article.title,
-      content: article.content,
-      excerpt: article.excerpt,
-      status: article.status,
-      views: article.views,
-      bookmarks: article.bookmarks,
-      author: article.author?.username,
-      authorEmail: article.author?.email,
-      category: article.category?.name || null,
-      tags: (article.tags || []).map((tag) => tag.name),
-      rejectionReason: article.rejectionReason,
-      pdfFile: article.pdfFile,
-      pdfOriginalName: article.pdfOriginalName,
-      createdAt: article.createdAt,
-      updatedAt: article.updatedAt,
-    };
+    // Merged duplicates lead to the article that replaced them; their
+    // author and admins can still open the archived duplicate itself
+    if (article.mergedInto && !canEditArticle(article, req.user)) {
+      return sendMergedArticle(req, res, article, {});
+    }
+
+    if (!canViewArticle(article, req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
 
-    res.json(formattedArticle);
+    await sendArticle(req, res, article);
   } catch (error) {
     console.error("Get article error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+// @desc    Get single article by its permalink slug
+// @route   GET /api/articles/by-slug/:slug
+// @access  Private
+exports.getArticleBySlug = async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+
+    // Current slug first, then slugs the article had before a title change
+    let article = await Article.findOne({ slug });
+    const redirected = !article;
+    if (redirected) {
+      article = await Article.findOne({ previousSlugs: slug });
+    }
+
+    if (article?.mergedInto) {
+      return sendMergedArticle(req, res, article, { redirectedFrom: slug });
+    }
+
+    if (!article || !canViewArticle(article, req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    await article.populate([
+      { path: "author", select: "username email" },
+      { path: "category", select: "name" },
+      { path: "lastVerifiedBy", select: "username" },
+      { path: "tags", select: "name" },
+    ]);
+
+    await sendArticle(
+      req,
+      res,
+      article,
+      redirected ? { redirectedFrom: slug, canonicalSlug: article.slug } : {},
+    );
+  } catch (error) {
+    console.error("Get article by slug error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get approved articles similar to this one
+// @route   GET /api/articles/:id/related?limit=5
+// @access  Private
+exports.getRelatedArticles = async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+
+    if (!article || !canViewArticle(article, req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    const { basis, related } = await findRelatedArticles(article, {
+      limit: req.query.limit,
+    });
+
+    res.json({
+      articleId: article._id,
+      basis,
+      related: related.map(({ article: item, score, similarity, sharedTags, sameCategory }) => ({
+        id: item._id,
+        slug: item.slug,
+        title: item.title,
+        excerpt: item.excerpt,
+        category: item.category?.name || null,
+        tags: (item.tags || []).map((tag) => tag.name),
+        views: item.views,
+        readingTimeMinutes: item.rendered?.readingTimeMinutes || null,
+        score: Math.round(score * 1000) / 1000,
+        similarity: Math.round(similarity * 1000) / 1000,
+        sharedTags,
+        sameCategory,
+      })),
+    });
+  } catch (error) {
+    console.error("Get related articles error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Suggest existing tags and a category for a draft
+// @route   POST /api/articles/suggestions (body: title, content, pdfText?, limit?; optional pdfFile)
+// @access  Private
+exports.suggestArticleTaxonomy = async (req, res) => {
+  try {
+    const { title, content, limit } = req.body;
+    let { pdfText } = req.body;
+
+    // The PDF is only read for its text, never kept
+    if (req.file) {
+      pdfText = await extractPdfText(req.file);
+      fs.unlink(req.file.path, () => {});
+    }
+
+    if (!title && !content && !pdfText) {
+      return res
+        .status(400)
+        .json({ message: "Send a title, content or PDF to get suggestions" });
+    }
+
+    const suggestions = await suggestTaxonomy({ title, content, pdfText }, { limit });
+
+    res.json(suggestions);
+  } catch (error) {
+    console.error("Suggest taxonomy error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Suggest an excerpt for a draft
+// @route   POST /api/articles/excerpt-suggestion (body: title, content, contentFormat?, maxLength?)
+// @access  Private
+exports.suggestDraftExcerpt = async (req, res) => {
+  try {
+    const { title, content, contentFormat, maxLength } = req.body;
+
+    if (!content || !content.toString().trim()) {
+      return res.status(400).json({ message: "Content is required to suggest an excerpt" });
+    }
+    if (contentFormat && !CONTENT_FORMATS.includes(contentFormat)) {
+      return res.status(400).json({
+        message: `contentFormat must be one of: ${CONTENT_FORMATS.join(", ")}`,
+      });
+    }
+
+    res.json(await summarizeArticle({ title, content, contentFormat }, { maxLength }));
+  } catch (error) {
+    console.error("Suggest draft excerpt error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Suggest an excerpt for an article from its current content. Send
+//          it back as `excerpt` in an update to accept it, edited or not.
+// @route   GET /api/articles/:id/excerpt-suggestion?maxLength=<n>
+// @access  Private (Author, co-authors or Admin)
+exports.suggestArticleExcerpt = async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    if (!canEditArticle(article, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to edit this article" });
+    }
+
+    const suggestion = await summarizeArticle(article, { maxLength: req.query.maxLength });
+
+    res.json({
+      ...suggestion,
+      current: { excerpt: article.excerpt, source: article.excerptSource },
+    });
+  } catch (error) {
+    console.error("Suggest article excerpt error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 // @desc    Create new article
 // @route   POST /api/articles
 // @access  Private (Employee only)
 exports.createArticle = async (req, res) => {
   try {
-    const { title, content, excerpt, category, tags, status } = req.body;
+    const {
+      title,
+      content,
+      contentFormat,
+      excerpt,
+      category,
+      tags,
+      status,
+      reviewBy,
+      template,
+      confirmNewTags,
+    } = req.body;
 
     // Validation
     if (!title || !content) {
@@ -139,15 +588,37 @@ exports.createArticle = async (req, res) => {
       });
     }
 
+    if (contentFormat && !CONTENT_FORMATS.includes(contentFormat)) {
+      return res.status(400).json({
+        message: `contentFormat must be one of: ${CONTENT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const reviewByDate = reviewBy === undefined ? null : parseReviewBy(reviewBy);
+    if (reviewByDate === undefined) {
+      return res.status(400).json({ message: "reviewBy must be a valid date" });
+    }
+
+    // Only DRAFT or PENDING may be chosen, never a reviewed status
+    const initialStatus = status ? status.toString().toUpperCase() : "PENDING";
+    assertInitialStatus(initialStatus);
+
     // Find or create category
-    let categoryId = null;
-    if (category) {
-      const categoryRecord = await Category.findOneAndUpdate(
-        { name: category },
-        { $setOnInsert: { name: category } },
-        { new: true, upsert: true },
-      );
-      categoryId = categoryRecord._id;
+    const categoryRecord = await resolveCategory(category);
+    const categoryId = categoryRecord ? categoryRecord._id : null;
+
+    // Articles are held to the template version they start from
+    const { template: templateRecord, error: templateError } = await resolveArticleTemplate(
+      template,
+      categoryId,
+    );
+    if (templateError) {
+      return res.status(400).json({ message: templateError });
+    }
+    const templateVersion = templateRecord ? templateRecord.getVersion() : null;
+
+    if (templateVersion && initialStatus === "PENDING") {
+      assertSectionsFilled(content, contentFormat || "markdown", templateRecord, templateVersion);
     }
 
     // Handle PDF file if uploaded
@@ -158,60 +629,46 @@ exports.createArticle = async (req, res) => {
     if (req.file) {
       pdfFileName = req.file.filename;
       pdfOriginalName = req.file.originalname;
-      
-      // Extract text from PDF for RAG indexing
-      try {
-        const pdfBuffer = fs.readFileSync(req.file.path);
-        const pdfData = await pdf(pdfBuffer);
-        pdfText = pdfData.text || '';
-        console.log(`Extracted ${pdfText.length} characters from PDF: ${pdfOriginalName}`);
-      } catch (pdfError) {
-        console.error('Error extracting PDF text:', pdfError);
-        // Continue without PDF text extraction
-      }
+      pdfText = await extractPdfText(req.file);
     }
 
+    // Handle tags - parse JSON string if needed (from FormData)
+    const tagDocs = await resolveTags(parseTagsInput(tags), {
+      confirmNewTags: isConfirmed(confirmNewTags),
+    });
+
+    // Without an excerpt from the author, suggest one they can edit later
+    const authorExcerpt = excerpt ? excerpt.toString().trim() : "";
+    const summary = authorExcerpt
+      ? { excerpt: authorExcerpt, source: "author" }
+      : await trySummarizeArticle({ title, content, contentFormat, pdfText });
+
     // Create article (keep content clean - PDF text stored separately)
-    const article = await Article.create({
+    const article = new Article({
       title,
       content: content,  // User's content only
-      excerpt,
-      status: status || "PENDING",
+      contentFormat: contentFormat || "markdown",
+      excerpt: summary.excerpt,
+      excerptSource: summary.source,
+      status: initialStatus,
       author: req.user.id,
-      category: categoryId,
+      category: categoryId || templateRecord?.category || null,
+      tags: tagDocs.map((t) => t._id),
+      template: templateRecord ? templateRecord._id : null,
+      templateVersion: templateVersion ? templateVersion.version : null,
       pdfFile: pdfFileName,
       pdfOriginalName: pdfOriginalName,
       pdfText: pdfText || null,  // Store PDF text separately for RAG
+      reviewBy: reviewByDate,
     });
+    await article.saveWithFreeSlug();
 
-    // Handle tags - parse JSON string if needed (from FormData)
-    let tagsArray = tags;
-    if (typeof tags === 'string') {
-      try {
-        tagsArray = JSON.parse(tags);
-      } catch (e) {
-        // If not JSON, split by comma
-        tagsArray = tags.split(',').map(t => t.trim()).filter(t => t);
-      }
-    }
-    
-    if (tagsArray && tagsArray.length > 0) {
-      const tagDocs = await Promise.all(
-        tagsArray
-          .filter(Boolean)
-          .map((tagName) => tagName.toString().trim())
-          .filter((tagName) => tagName.length > 0)
-          .map((tagName) =>
-            Tag.findOneAndUpdate(
-              { name: tagName },
-              { $setOnInsert: { name: tagName } },
-              { new: true, upsert: true },
-            ),
-          ),
-      );
-      article.tags = tagDocs.map((t) => t._id);
-      await article.save();
-    }
+    // First revision of the article's history
+    await recordRevision(article, req.user.id, { note: "Initial version" });
+
+    // Warn the author early about matches they can open; reviewers see every
+    // match, pending ones included, in the queue
+    const duplicates = formatDuplicates(await tryRefreshPossibleDuplicates(article), req.user);
 
     // Fetch complete article with associations
     const createdArticle = await Article.findById(article._id)
@@ -221,37 +678,249 @@ exports.createArticle = async (req, res) => {
 
     res.status(201).json({
       id: createdArticle._id,
+      slug: createdArticle.slug,
       title: createdArticle.title,
       content: createdArticle.content,
+      contentFormat: createdArticle.contentFormat,
       excerpt: createdArticle.excerpt,
+      excerptSource: createdArticle.excerptSource,
       status: createdArticle.status,
       author: createdArticle.author?.username,
       category: createdArticle.category?.name || null,
       tags: (createdArticle.tags || []).map((tag) => tag.name),
+      template: createdArticle.template,
+      templateVersion: createdArticle.templateVersion,
+      reviewBy: createdArticle.reviewBy,
+      possibleDuplicates: duplicates,
+      warning: duplicates.length > 0
+        ? `This looks similar to ${duplicates.length} existing article(s). Check them before submitting.`
+        : undefined,
       createdAt: createdArticle.createdAt,
     });
   } catch (error) {
+    if (error instanceof LifecycleError) {
+      return sendLifecycleError(res, error);
+    }
+    if (error instanceof TagSuggestionError) {
+      return sendTagSuggestions(res, error);
+    }
     console.error("Create article error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+// @desc    Save a new article as a draft
+// @route   POST /api/articles/drafts
+// @access  Private (Employee only)
+exports.createDraft = async (req, res) => {
+  req.body.status = "DRAFT";
+  return exports.createArticle(req, res);
+};
+
+// @desc    Update article (every save is stored as a revision)
+// @route   PUT/PATCH /api/articles/:id
+// @access  Private (Author or Admin)
+exports.updateArticle = async (req, res) => {
+  try {
+    const {
+      title,
+      content,
+      contentFormat,
+      excerpt,
+      category,
+      tags,
+      removePdf,
+      note,
+      reviewBy,
+      confirmNewTags,
+    } = req.body;
+
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    if (!canEditArticle(article, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to edit this article" });
+    }
+
+    assertEditable(article);
+
+    if (title !== undefined && !title.toString().trim()) {
+      return res.status(400).json({ message: "Title cannot be empty" });
+    }
+    if (content !== undefined && !content.toString().trim()) {
+      return res.status(400).json({ message: "Content cannot be empty" });
+    }
+    if (contentFormat !== undefined && !CONTENT_FORMATS.includes(contentFormat)) {
+      return res.status(400).json({
+        message: `contentFormat must be one of: ${CONTENT_FORMATS.join(", ")}`,
+      });
+    }
+    const reviewByDate = reviewBy === undefined ? undefined : parseReviewBy(reviewBy);
+    if (reviewBy !== undefined && reviewByDate === undefined) {
+      return res.status(400).json({ message: "reviewBy must be a valid date" });
+    }
+
+    // Keep the pre-edit state of articles that predate revision history
+    await ensureBaselineRevision(article);
+    const before = snapshotArticle(article);
+
+    if (title !== undefined) article.title = title;
+    if (content !== undefined) article.content = content;
+    if (contentFormat !== undefined) article.contentFormat = contentFormat;
+    if (excerpt !== undefined) {
+      article.excerpt = excerpt ? excerpt.toString().trim() || null : null;
+      article.excerptSource = article.excerpt ? "author" : null;
+    }
+
+    if (category !== undefined) {
+      const categoryRecord = await resolveCategory(category);
+      article.category = categoryRecord ? categoryRecord._id : null;
+    }
+
+    if (tags !== undefined) {
+      const tagDocs = await resolveTags(parseTagsInput(tags), {
+        confirmNewTags: isConfirmed(confirmNewTags),
+      });
+      article.tags = tagDocs.map((t) => t._id);
+    }
+
+    // Older PDFs stay on disk: earlier revisions still reference them
+    if (req.file) {
+      article.pdfFile = req.file.filename;
+      article.pdfOriginalName = req.file.originalname;
+      article.pdfText = (await extractPdfText(req.file)) || null;
+    } else if (removePdf === true || removePdf === "true") {
+      article.pdfFile = null;
+      article.pdfOriginalName = null;
+      article.pdfText = null;
+    }
+
+    // Generated excerpts follow the content; a cleared one is generated again
+    const contentEdited =
+      article.isModified("title") || article.isModified("content") || article.isModified("pdfText");
+    const excerptCleared = excerpt !== undefined && !article.excerpt;
+    const excerptStale =
+      excerpt === undefined && contentEdited && (!article.excerpt || isGeneratedExcerpt(article));
+    if (excerptCleared || excerptStale) {
+      const summary = await trySummarizeArticle(article);
+      if (summary.excerpt) {
+        article.excerpt = summary.excerpt;
+        article.excerptSource = summary.source;
+      }
+    }
+
+    // The review date is metadata: it is saved, but is not a content revision
+    const reviewByChanged =
+      reviewByDate !== undefined && String(reviewByDate) !== String(article.reviewBy);
+    if (reviewByChanged) article.reviewBy = reviewByDate;
+
+    const changes = changedFields(before, snapshotArticle(article));
+    if (changes.length === 0 && !reviewByChanged) {
+      return res.json({
+        message: "No changes detected",
+        id: article._id,
+        currentRevision: article.currentRevision,
+      });
+    }
+
+    if (changes.length > 0) {
+      article.status = statusAfterEdit(article, req.user);
+    }
+    // Going back to review by an edit takes the same checks as submitting
+    if (article.isModified("status") && article.status === "PENDING") {
+      await assertReadyForReview(article);
+    }
+    await article.saveWithFreeSlug();
+
+    const revision =
+      changes.length > 0 ? await recordRevision(article, req.user.id, { note }) : null;
+
+    const recheckDuplicates =
+      article.status === "PENDING" && (changes.includes("title") || changes.includes("content"));
+    const duplicates = recheckDuplicates ? await tryRefreshPossibleDuplicates(article) : null;
+
+    await createAuditLog(
+      req.user._id,
+      "ARTICLE_EDIT",
+      "Article",
+      article._id,
+      `Edited article: ${article.title}`,
+      {
+        revision: revision ? revision.revision : null,
+        changes: reviewByChanged ? [...changes, "reviewBy"] : changes,
+      },
+      req,
+    );
+
+    const updatedArticle = await Article.findById(article._id)
+      .populate("author", "username email")
+      .populate("coAuthors", "username")
+      .populate("category", "name")
+      .populate("tags", "name");
+
+    res.json({
+      id: updatedArticle._id,
+      slug: updatedArticle.slug,
+      previousSlugs: updatedArticle.previousSlugs,
+      title: updatedArticle.title,
+      content: updatedArticle.content,
+      contentFormat: updatedArticle.contentFormat,
+      excerpt: updatedArticle.excerpt,
+      excerptSource: updatedArticle.excerptSource,
+      status: updatedArticle.status,
+      author: updatedArticle.author?.username,
+      coAuthors: (updatedArticle.coAuthors || []).map((user) => user.username),
+      category: updatedArticle.category?.name || null,
+      tags: (updatedArticle.tags || []).map((tag) => tag.name),
+      pdfFile: updatedArticle.pdfFile,
+      pdfOriginalName: updatedArticle.pdfOriginalName,
+      currentRevision: updatedArticle.currentRevision,
+      reviewBy: updatedArticle.reviewBy,
+      reviewDueAt: updatedArticle.reviewDueAt,
+      possibleDuplicates: duplicates ? formatDuplicates(duplicates, req.user) : undefined,
+      changes,
+      updatedAt: updatedArticle.updatedAt,
+    });
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return sendLifecycleError(res, error);
+    }
+    if (error instanceof TagSuggestionError) {
+      return sendTagSuggestions(res, error);
+    }
+    console.error("Update article error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 // @desc    Get user's articles
 // @route   GET /api/articles/my-articles
 // @access  Private
 exports.getMyArticles = async (req, res) => {
   try {
-    const articles = await Article.find({ author: req.user.id })
+    // Articles the user owns or co-authors
+    const articles = await Article.find(contributorFilter(req.user._id))
+      .populate("author", "username")
+      .populate("coAuthors", "username")
       .populate("category", "name")
       .populate("tags", "name")
       .sort({ createdAt: -1 });
 
     const formattedArticles = articles.map((article) => ({
       id: article._id,
+      slug: article.slug,
       title: article.title,
       content: article.content,
       excerpt: article.excerpt,
       status: article.status,
+      author: article.author?.username,
+      coAuthors: (article.coAuthors || []).map((user) => user.username),
+      isCoAuthor: !isAuthor(article, req.user),
       category: article.category?.name || null,
       tags: (article.tags || []).map((tag) => tag.name),
       rejectionReason: article.rejectionReason,
@@ -266,8 +935,8 @@ exports.getMyArticles = async (req, res) => {
   }
 };
 
-// @desc    Approve article
-// @route   PATCH /api/articles/:id/approve
+// @desc    Record an approval; the article is approved once its category's quorum is reached
+// @route   PATCH /api/articles/:id/approve (body: comment?, publishAt?, unpublishAt?)
 // @access  Private (Admin only)
 exports.approveArticle = async (req, res) => {
   try {
@@ -277,15 +946,85 @@ exports.approveArticle = async (req, res) => {
       return res.status(404).json({ message: "Article not found" });
     }
 
-    article.status = "APPROVED";
-    article.approvedBy = req.user.id;
-    article.approvedAt = new Date();
-    article.rejectionReason = null;
+    const { comment, publishAt, unpublishAt } = req.body || {};
+    const window = parsePublishWindow({ publishAt, unpublishAt });
+    if (window.error) {
+      return res.status(400).json({ message: window.error });
+    }
+
+    const policy = await getApprovalPolicy(article);
+    assertTransition(article, "approve", req.user);
+    assertCanReview(article, req.user, policy);
 
-    await article.save();
+    // Remember which revision was approved so later edits can be diffed against it
+    await ensureBaselineRevision(article);
+
+    // Any approver may set the publishing window; the latest one wins
+    const fields = {};
+    if (publishAt !== undefined) fields.publishAt = window.publishAt;
+    if (unpublishAt !== undefined) fields.unpublishAt = window.unpublishAt;
+
+    // Quorum is counted on the article as stored with this decision, which
+    // includes decisions other reviewers made at the same time
+    const decided = await saveDecision(article, req.user, "APPROVED", comment, fields);
+    const quorum = approvalProgress(decided, policy);
+
+    if (quorum.remaining > 0) {
+      await createAuditLog(
+        req.user._id,
+        "ARTICLE_APPROVE",
+        "Article",
+        decided._id,
+        `Approved article (${quorum.received} of ${quorum.required}): ${decided.title}`,
+        { revision: decided.currentRevision, round: quorum.round, quorumReached: false, comment },
+        req,
+      );
+
+      return res.json({
+        message: `Approval recorded, ${quorum.remaining} more needed`,
+        quorum,
+        article: decided,
+      });
+    }
 
-    res.json({ message: "Article approved successfully", article });
+    applyTransition(decided, "approve", req.user);
+
+    decided.approvedBy = req.user.id;
+    decided.approvedAt = new Date();
+    decided.approvedRevision = decided.currentRevision;
+    decided.rejectionReason = null;
+
+    await decided.save();
+
+    await createAuditLog(
+      req.user._id,
+      "ARTICLE_APPROVE",
+      "Article",
+      decided._id,
+      `Approved article: ${decided.title}`,
+      {
+        revision: decided.approvedRevision,
+        round: quorum.round,
+        quorumReached: true,
+        approvers: quorum.approvedBy,
+        comment,
+        publishAt: decided.publishAt,
+        unpublishAt: decided.unpublishAt,
+      },
+      req,
+    );
+
+    res.json({
+      quorum,
+      message: decided.publishAt
+        ? `Article approved, scheduled to publish at ${decided.publishAt.toISOString()}`
+        : "Article approved successfully",
+      article: decided,
+    });
   } catch (error) {
+    if (error instanceof LifecycleError) {
+      return sendLifecycleError(res, error);
+    }
     console.error("Approve article error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
@@ -303,17 +1042,237 @@ exports.rejectArticle = async (req, res) => {
       return res.status(404).json({ message: "Article not found" });
     }
 
-    article.status = "REJECTED";
-    article.rejectionReason = reason || "No reason provided";
-    await article.save();
+    // A single eligible reviewer's rejection sends the article back to the author
+    const policy = await getApprovalPolicy(article);
+    const { to } = assertTransition(article, "reject", req.user);
+    assertCanReview(article, req.user, policy);
+
+    // Resubmission requires an edit made after this revision
+    await ensureBaselineRevision(article);
+
+    // The decision and the status change are one update, under the same
+    // status and round guard as approvals
+    const rejected = await saveDecision(article, req.user, "REJECTED", reason, {
+      status: to,
+      rejectionReason: reason || "No reason provided",
+      rejectedRevision: article.currentRevision,
+    });
+
+    await createAuditLog(
+      req.user._id,
+      "ARTICLE_REJECT",
+      "Article",
+      rejected._id,
+      `Rejected article: ${rejected.title}`,
+      {
+        reason: rejected.rejectionReason,
+        revision: rejected.rejectedRevision,
+        round: rejected.reviewRound,
+      },
+      req,
+    );
 
-    res.json({ message: "Article rejected", article });
+    res.json({ message: "Article rejected", article: rejected });
   } catch (error) {
+    if (error instanceof LifecycleError) {
+      return sendLifecycleError(res, error);
+    }
     console.error("Reject article error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+// Load an article, apply an author/admin transition and audit it
+const transitionArticle = async (req, res, action, auditAction, message) => {
+  try {
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    const { from, to } = applyTransition(article, action, req.user);
+
+    if (action === "resubmit" && article.currentRevision <= (article.rejectedRevision || 0)) {
+      return res.status(409).json({
+        message: "Edit the article to address the rejection before resubmitting",
+        code: "RESUBMIT_REQUIRES_EDIT",
+      });
+    }
+
+    if (to === "PENDING") {
+      await assertReadyForReview(article);
+      article.rejectionReason = null;
+    }
+
+    await article.save();
+
+    // Entering the review queue refreshes the duplicate matches reviewers see
+    const duplicates = to === "PENDING" ? await tryRefreshPossibleDuplicates(article) : null;
+
+    await createAuditLog(
+      req.user._id,
+      auditAction,
+      "Article",
+      article._id,
+      `${message}: ${article.title}`,
+      { from, to },
+      req,
+    );
+
+    res.json({
+      message,
+      id: article._id,
+      status: article.status,
+      availableActions: availableActions(article, req.user),
+      possibleDuplicates: duplicates ? formatDuplicates(duplicates, req.user) : undefined,
+    });
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return sendLifecycleError(res, error);
+    }
+    console.error(`Article ${action} error:`, error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Submit a draft for review
+// @route   PATCH /api/articles/:id/submit
+// @access  Private (Author only)
+exports.submitArticle = (req, res) =>
+  transitionArticle(req, res, "submit", "ARTICLE_SUBMIT", "Article submitted for review");
+
+// @desc    Withdraw a pending submission back to draft
+// @route   PATCH /api/articles/:id/withdraw
+// @access  Private (Author only)
+exports.withdrawArticle = (req, res) =>
+  transitionArticle(req, res, "withdraw", "ARTICLE_WITHDRAW", "Article withdrawn from review");
+
+// @desc    Resubmit a rejected article after editing it
+// @route   PATCH /api/articles/:id/resubmit
+// @access  Private (Author only)
+exports.resubmitArticle = (req, res) =>
+  transitionArticle(req, res, "resubmit", "ARTICLE_RESUBMIT", "Article resubmitted for review");
+
+// @desc    Archive an article
+// @route   PATCH /api/articles/:id/archive
+// @access  Private (Author or Admin)
+exports.archiveArticle = (req, res) =>
+  transitionArticle(req, res, "archive", "ARTICLE_ARCHIVE", "Article archived");
+
+// @desc    Restore an archived article as a draft
+// @route   PATCH /api/articles/:id/unarchive
+// @access  Private (Author or Admin)
+exports.unarchiveArticle = (req, res) =>
+  transitionArticle(req, res, "unarchive", "ARTICLE_UNARCHIVE", "Article unarchived");
+
+// @desc    Mark an approved article as still accurate, restarting its review clock
+// @route   PATCH /api/articles/:id/verify (body: reviewBy?)
+// @access  Private (Author or Admin)
+exports.verifyArticleContent = async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    if (!canEditArticle(article, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to verify this article" });
+    }
+
+    if (article.status !== "APPROVED") {
+      return res
+        .status(409)
+        .json({ message: "Only approved articles can be verified" });
+    }
+
+    const reviewBy = req.body.reviewBy === undefined ? undefined : parseReviewBy(req.body.reviewBy);
+    if (req.body.reviewBy !== undefined && reviewBy === undefined) {
+      return res.status(400).json({ message: "reviewBy must be a valid date" });
+    }
+
+    const previousDueAt = article.reviewDueAt;
+    await verifyArticle(article, req.user, { reviewBy });
+
+    await createAuditLog(
+      req.user._id,
+      "ARTICLE_VERIFY",
+      "Article",
+      article._id,
+      `Verified article: ${article.title}`,
+      { previousDueAt, reviewDueAt: article.reviewDueAt },
+      req,
+    );
+
+    res.json({
+      message: "Article verified",
+      id: article._id,
+      lastVerifiedAt: article.lastVerifiedAt,
+      reviewBy: article.reviewBy,
+      reviewDueAt: article.reviewDueAt,
+      isOutdated: article.isOutdated(),
+    });
+  } catch (error) {
+    console.error("Verify article error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Replace the co-authors of an article
+// @route   PUT /api/articles/:id/co-authors (body: coAuthors - usernames or ids)
+// @access  Private (Author or Admin)
+exports.updateCoAuthors = async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    // Co-authors can edit, but only the owner decides who else may
+    if (!isAuthor(article, req.user) && req.user.role !== "ADMIN") {
+      return res
+        .status(403)
+        .json({ message: "Only the author can change co-authors" });
+    }
+
+    if (req.body.coAuthors === undefined) {
+      return res.status(400).json({ message: "coAuthors is required" });
+    }
+
+    const { users, error } = await parseCoAuthors(req.body.coAuthors, article);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const previous = article.coAuthors.map((id) => id.toString());
+    article.coAuthors = users.map((user) => user._id);
+    await article.save({ timestamps: false });
+
+    await createAuditLog(
+      req.user._id,
+      "ARTICLE_EDIT",
+      "Article",
+      article._id,
+      `Updated co-authors of article: ${article.title}`,
+      { changes: ["coAuthors"], previous, coAuthors: users.map((user) => user.username) },
+      req,
+    );
+
+    res.json({
+      message: "Co-authors updated",
+      id: article._id,
+      coAuthors: users.map((user) => user.username),
+    });
+  } catch (error) {
+    console.error("Update co-authors error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 // @desc    Delete article
 // @route   DELETE /api/articles/:id
 // @access  Private (Author or Admin)
@@ -335,15 +1294,119 @@ exports.deleteArticle = async (req, res) => {
         .json({ message: "Not authorized to delete this article" });
     }
 
-    await article.deleteOne();
+    await trashArticle(article, req.user);
+
+    await createAuditLog(
+      req.user._id,
+      "ARTICLE_DELETE",
+      "Article",
+      article._id,
+      `Moved article to trash: ${article.title}`,
+      { title: article.title, author: article.author, purgeAt: purgeDateFor(article) },
+      req,
+    );
 
-    res.json({ message: "Article deleted successfully" });
+    res.json({
+      message: "Article moved to trash",
+      id: article._id,
+      purgeAt: purgeDateFor(article),
+    });
   } catch (error) {
     console.error("Delete article error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+// @desc    Articles in the trash: the user's own, or every one for admins
+// @route   GET /api/articles/trash?page=&limit=
+// @access  Private
+exports.getTrash = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter =
+      req.user.role === "ADMIN" ? trashFilter() : trashFilter({ author: req.user._id });
+
+    const [articles, total] = await Promise.all([
+      Article.find(filter)
+        .select("title slug status author category deletedAt deletedBy updatedAt")
+        .populate("author", "username")
+        .populate("deletedBy", "username")
+        .populate("category", "name")
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Article.countDocuments(filter),
+    ]);
+
+    res.json({
+      articles: articles.map((article) => ({
+        id: article._id,
+        title: article.title,
+        slug: article.slug,
+        status: article.status,
+        author: article.author?.username,
+        category: article.category?.name || null,
+        deletedAt: article.deletedAt,
+        deletedBy: article.deletedBy?.username || null,
+        purgeAt: purgeDateFor(article),
+        updatedAt: article.updatedAt,
+      })),
+      retentionDays: getTrashRetentionDays(),
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get trash error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Restore an article from the trash
+// @route   POST /api/articles/:id/restore
+// @access  Private (Author or Admin)
+exports.restoreDeletedArticle = async (req, res) => {
+  try {
+    const article = await Article.findOne(trashFilter({ _id: req.params.id }));
+
+    if (!article) {
+      return res.status(404).json({ message: "Article not found in trash" });
+    }
+
+    if (!isAuthor(article, req.user) && req.user.role !== "ADMIN") {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to restore this article" });
+    }
+
+    const { indexed } = await restoreArticle(article);
+
+    await createAuditLog(
+      req.user._id,
+      "ARTICLE_RESTORE",
+      "Article",
+      article._id,
+      `Restored article from trash: ${article.title}`,
+      { status: article.status, indexed },
+      req,
+    );
+
+    res.json({
+      message: "Article restored",
+      id: article._id,
+      slug: article.slug,
+      status: article.status,
+    });
+  } catch (error) {
+    console.error("Restore article error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 // @desc    Get article stats for admin dashboard
 // @route   GET /api/articles/stats
 // @access  Private (Admin only)
@@ -353,8 +1416,11 @@ exports.getArticleStats = async (req, res) => {
     const pending = await Article.countDocuments({ status: "PENDING" });
     const approved = await Article.countDocuments({ status: "APPROVED" });
     const rejected = await Article.countDocuments({ status: "REJECTED" });
+    const drafts = await Article.countDocuments({ status: "DRAFT" });
+    const archived = await Article.countDocuments({ status: "ARCHIVED" });
+    const trashed = await Article.countDocuments(trashFilter());
 
-    res.json({ total, pending, approved, rejected });
+    res.json({ total, pending, approved, rejected, drafts, archived, trashed });
   } catch (error) {
     console.error("Get stats error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
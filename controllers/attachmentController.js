@@ -0,0 +1,331 @@
+const fs = require("fs");
+const mongoose = require("mongoose");
+const { Article, Attachment } = require("../models");
+const { createAuditLog } = require("../services/auditService");
+const { canEditArticle, canViewArticle, isPublished } = require("../services/articleAccess");
+const {
+  LifecycleError,
+  assertEditable,
+  statusAfterEdit,
+} = require("../services/articleLifecycle");
+const { ATTACHMENT_TYPES } = require("../middleware/attachmentUpload");
+const {
+  attachmentPath,
+  formatAttachment,
+  syncAttachmentCount,
+  deleteAttachment,
+} = require("../services/attachmentService");
+
+// Captions arrive as a JSON array (multipart) or a plain array, one per file
+const parseCaptions = (captions) => {
+  if (!captions) return [];
+  if (Array.isArray(captions)) return captions;
+  try {
+    const parsed = JSON.parse(captions);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {
+    return [captions];
+  }
+};
+
+const discardUploads = (files) => {
+  (files || []).forEach((file) => fs.unlink(file.path, () => {}));
+};
+
+// Load an article the user may change attachments of
+const findEditableArticle = async (req, res) => {
+  const article = await Article.findById(req.params.id);
+
+  if (!article) {
+    res.status(404).json({ message: "Article not found" });
+    return null;
+  }
+
+  if (!canEditArticle(article, req.user)) {
+    res
+      .status(403)
+      .json({ message: "Not authorized to change this article's attachments" });
+    return null;
+  }
+
+  assertEditable(article);
+  return article;
+};
+
+const sendLifecycleError = (res, error) =>
+  res
+    .status(error.statusCode)
+    .json({ message: error.message, code: error.code, details: error.details });
+
+// @desc    List attachments of an article
+// @route   GET /api/articles/:id/attachments
+// @access  Private
+exports.getAttachments = async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+    if (!article || !canViewArticle(article, req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    const attachments = await Attachment.find({ article: article._id }).sort({
+      order: 1,
+      createdAt: 1,
+    });
+
+    res.json(attachments.map(formatAttachment));
+  } catch (error) {
+    console.error("Get attachments error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Add attachments to an article
+// @route   POST /api/articles/:id/attachments (multipart: files[], captions)
+// @access  Private (Author or Admin)
+exports.addAttachments = async (req, res) => {
+  // Once the attachments are stored their files belong to them
+  let stored = false;
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: "No files uploaded" });
+    }
+
+    const article = await findEditableArticle(req, res);
+    if (!article) {
+      discardUploads(req.files);
+      return;
+    }
+
+    const captions = parseCaptions(req.body.captions);
+    const last = await Attachment.findOne({ article: article._id }).sort({ order: -1 });
+    const startOrder = last ? last.order + 1 : 0;
+
+    const attachments = await Attachment.insertMany(
+      req.files.map((file, idx) => ({
+        article: article._id,
+        uploader: req.user._id,
+        filename: file.filename,
+        originalName: file.originalname,
+        mimeType: file.resolvedMimeType,
+        kind: ATTACHMENT_TYPES[file.resolvedMimeType].kind,
+        size: file.size,
+        caption: captions[idx] || null,
+        order: startOrder + idx,
+      })),
+    );
+    stored = true;
+
+    await syncAttachmentCount(article._id);
+
+    const newStatus = statusAfterEdit(article, req.user);
+    if (newStatus !== article.status) {
+      article.status = newStatus;
+      await article.save();
+    }
+
+    await createAuditLog(
+      req.user._id,
+      "ATTACHMENT_ADD",
+      "Article",
+      article._id,
+      `Added ${attachments.length} attachment(s) to article: ${article.title}`,
+      { files: attachments.map((a) => a.originalName) },
+      req,
+    );
+
+    res.status(201).json({
+      status: article.status,
+      attachments: attachments.map(formatAttachment),
+    });
+  } catch (error) {
+    if (!stored) discardUploads(req.files);
+    if (error instanceof LifecycleError) {
+      return sendLifecycleError(res, error);
+    }
+    console.error("Add attachments error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Update an attachment's caption
+// @route   PATCH /api/articles/:id/attachments/:attachmentId
+// @access  Private (Author or Admin)
+exports.updateAttachment = async (req, res) => {
+  try {
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+
+    const attachment = await Attachment.findOne({
+      _id: req.params.attachmentId,
+      article: article._id,
+    });
+    if (!attachment) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    if (req.body.caption !== undefined) {
+      attachment.caption = req.body.caption || null;
+    }
+    await attachment.save();
+
+    res.json(formatAttachment(attachment));
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return sendLifecycleError(res, error);
+    }
+    console.error("Update attachment error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Reorder attachments
+// @route   PATCH /api/articles/:id/attachments/order  { order: [attachmentId, ...] }
+// @access  Private (Author or Admin)
+exports.reorderAttachments = async (req, res) => {
+  try {
+    const { order } = req.body;
+
+    if (!Array.isArray(order) || order.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return res
+        .status(400)
+        .json({ message: "order must be an array of attachment ids" });
+    }
+
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+
+    const attachments = await Attachment.find({ article: article._id });
+    const ids = attachments.map((a) => a._id.toString());
+    const requested = [...new Set(order.map(String))];
+
+    if (requested.length !== ids.length || requested.some((id) => !ids.includes(id))) {
+      return res.status(400).json({
+        message: "order must list every attachment of the article exactly once",
+      });
+    }
+
+    await Attachment.bulkWrite(
+      requested.map((id, idx) => ({
+        updateOne: { filter: { _id: id }, update: { order: idx } },
+      })),
+    );
+
+    const reordered = await Attachment.find({ article: article._id }).sort({ order: 1 });
+    res.json(reordered.map(formatAttachment));
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return sendLifecycleError(res, error);
+    }
+    console.error("Reorder attachments error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Remove an attachment
+// @route   DELETE /api/articles/:id/attachments/:attachmentId
+// @access  Private (Author or Admin)
+exports.removeAttachment = async (req, res) => {
+  try {
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+
+    const attachment = await Attachment.findOne({
+      _id: req.params.attachmentId,
+      article: article._id,
+    });
+    if (!attachment) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    await deleteAttachment(attachment);
+    await syncAttachmentCount(article._id);
+
+    const newStatus = statusAfterEdit(article, req.user);
+    if (newStatus !== article.status) {
+      article.status = newStatus;
+      await article.save();
+    }
+
+    await createAuditLog(
+      req.user._id,
+      "ATTACHMENT_REMOVE",
+      "Article",
+      article._id,
+      `Removed attachment ${attachment.originalName} from article: ${article.title}`,
+      { file: attachment.originalName },
+      req,
+    );
+
+    res.json({ message: "Attachment removed", status: article.status });
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return sendLifecycleError(res, error);
+    }
+    console.error("Remove attachment error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Download an attachment (?inline=true to display images in the browser)
+// @route   GET /api/articles/attachments/:attachmentId/download
+// @access  Private
+exports.downloadAttachment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.attachmentId)) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    const attachment = await Attachment.findById(req.params.attachmentId).populate("article");
+    // The article is missing from the populate while it is in the trash
+    if (!attachment || !attachment.article || !canViewArticle(attachment.article, req.user)) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    const inline = req.query.inline === "true" && attachment.kind !== "config";
+    res.attachment(attachment.originalName);
+    res.set("Content-Type", attachment.mimeType);
+    res.set("X-Content-Type-Options", "nosniff");
+    if (inline) {
+      res.set("Content-Disposition", res.get("Content-Disposition").replace(/^attachment/, "inline"));
+    }
+
+    res.sendFile(attachmentPath(attachment), (err) => {
+      if (err && !res.headersSent) {
+        console.error("Error sending attachment:", err);
+        res.status(404).json({ message: "Attachment file not found" });
+      }
+    });
+  } catch (error) {
+    console.error("Download attachment error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Serve an image attachment of a published article for <img> tags
+// @route   GET /api/articles/attachments/:attachmentId/image
+// @access  Public (no Authorization header, like the PDF viewer)
+exports.serveAttachmentImage = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.attachmentId)) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+
+    const attachment = await Attachment.findById(req.params.attachmentId).populate("article");
+    if (!attachment || attachment.kind !== "image" || !isPublished(attachment.article)) {
+      return res.status(404).json({ message: "Image not found or article not published" });
+    }
+
+    res.set("Content-Type", attachment.mimeType);
+    res.set("Content-Disposition", "inline");
+    res.set("X-Content-Type-Options", "nosniff");
+    res.sendFile(attachmentPath(attachment), (err) => {
+      if (err && !res.headersSent) {
+        console.error("Error sending image:", err);
+        res.status(404).json({ message: "Image file not found" });
+      }
+    });
+  } catch (error) {
+    console.error("Serve image error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
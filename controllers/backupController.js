@@ -0,0 +1,85 @@
+const fs = require("fs");
+const { createAuditLog } = require("../services/auditService");
+const {
+  BackupError,
+  writeBackup,
+  restoreBackup,
+} = require("../services/backupService");
+
+const isTrue = (value) => value === true || value === "true";
+
+// Download Backup
+exports.downloadBackup = async (req, res) => {
+  try {
+    const includePasswords = isTrue(req.query.includePasswords);
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+
+    res.attachment(`kkbp-backup-${stamp}.zip`);
+    res.set("Content-Type", "application/zip");
+
+    const manifest = await writeBackup(res, { includePasswords });
+
+    await createAuditLog(
+      req.user._id,
+      "BACKUP_EXPORT",
+      "System",
+      null,
+      `Downloaded knowledge base backup${includePasswords ? " including password hashes" : ""}`,
+      { collections: manifest.collections, files: manifest.files, includePasswords },
+      req,
+    );
+  } catch (error) {
+    console.error("Download backup error:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: "Error creating backup", error: error.message });
+  }
+};
+
+// Restore Backup
+exports.restoreBackup = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "A backup archive is required" });
+    }
+
+    const mode = req.body.mode || "skip";
+    const dryRun = isTrue(req.body.dryRun);
+
+    const report = await restoreBackup(req.file.path, { mode, dryRun });
+
+    if (!dryRun) {
+      await createAuditLog(
+        req.user._id,
+        "BACKUP_RESTORE",
+        "System",
+        null,
+        `Restored knowledge base backup from ${req.file.originalname}`,
+        {
+          mode,
+          collections: report.collections,
+          files: report.files,
+          conflicts: report.conflicts.length,
+          errors: report.errors.length,
+        },
+        req,
+      );
+    }
+
+    res.json({
+      message: dryRun ? "Dry run completed, nothing was written" : "Backup restored",
+      report,
+    });
+  } catch (error) {
+    if (error instanceof BackupError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Restore backup error:", error);
+    res.status(500).json({ message: "Error restoring backup", error: error.message });
+  } finally {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+};
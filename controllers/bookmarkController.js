@@ -0,0 +1,365 @@
+const mongoose = require("mongoose");
+const { Article, Bookmark, BookmarkList } = require("../models");
+const { canViewArticle } = require("../services/articleAccess");
+const { syncBookmarkCount } = require("../services/bookmarkService");
+
+// Keep only list ids that belong to the user
+const ownedListIds = async (userId, lists) => {
+  const ids = (Array.isArray(lists) ? lists : [lists])
+    .filter(Boolean)
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+  if (ids.length === 0) return [];
+
+  const owned = await BookmarkList.find({ _id: { $in: ids }, user: userId }).select("_id");
+  return owned.map((list) => list._id);
+};
+
+const formatBookmark = (bookmark) => ({
+  id: bookmark._id,
+  note: bookmark.note,
+  lists: (bookmark.lists || []).map((list) => list.toString()),
+  bookmarkedAt: bookmark.createdAt,
+  article: bookmark.article
+    ? {
+        id: bookmark.article._id,
+        title: bookmark.article.title,
+        excerpt: bookmark.article.excerpt,
+        status: bookmark.article.status,
+        views: bookmark.article.views,
+        author: bookmark.article.author?.username,
+        category: bookmark.article.category?.name || null,
+        tags: (bookmark.article.tags || []).map((tag) => tag.name),
+        updatedAt: bookmark.article.updatedAt,
+      }
+    : null,
+});
+
+// Paginated bookmarks of a user, optionally limited to one list
+const findBookmarksPage = async (userId, { list, page, limit }) => {
+  const filter = { user: userId };
+  if (list === "unlisted") {
+    filter.lists = { $size: 0 };
+  } else if (list) {
+    filter.lists = list;
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const size = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const skip = (pageNumber - 1) * size;
+
+  const [bookmarks, total] = await Promise.all([
+    Bookmark.find(filter)
+      .populate({
+        path: "article",
+        select: "title excerpt status views author category tags updatedAt",
+        populate: [
+          { path: "author", select: "username" },
+          { path: "category", select: "name" },
+          { path: "tags", select: "name" },
+        ],
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(size),
+    Bookmark.countDocuments(filter),
+  ]);
+
+  return {
+    bookmarks: bookmarks.map(formatBookmark),
+    pagination: {
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / size),
+    },
+  };
+};
+
+// @desc    Get current user's bookmarks
+// @route   GET /api/bookmarks?list=<listId|unlisted>&page=&limit=
+// @access  Private
+exports.getBookmarks = async (req, res) => {
+  try {
+    const { list, page, limit } = req.query;
+
+    if (list && list !== "unlisted" && !mongoose.Types.ObjectId.isValid(list)) {
+      return res.status(400).json({ message: "Invalid list id" });
+    }
+
+    res.json(await findBookmarksPage(req.user._id, { list, page, limit }));
+  } catch (error) {
+    console.error("Get bookmarks error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Bookmark an article (optionally into lists)
+// @route   POST /api/bookmarks
+// @access  Private
+exports.addBookmark = async (req, res) => {
+  try {
+    const { articleId, lists, note } = req.body;
+
+    if (!articleId || !mongoose.Types.ObjectId.isValid(articleId)) {
+      return res.status(400).json({ message: "A valid articleId is required" });
+    }
+
+    const article = await Article.findById(articleId);
+    if (!article || !canViewArticle(article, req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    const listIds = await ownedListIds(req.user._id, lists);
+
+    let bookmark = await Bookmark.findOne({ user: req.user._id, article: articleId });
+    const created = !bookmark;
+
+    if (bookmark) {
+      listIds.forEach((listId) => bookmark.lists.addToSet(listId));
+      if (note !== undefined) bookmark.note = note || null;
+      await bookmark.save();
+    } else {
+      try {
+        bookmark = await Bookmark.create({
+          user: req.user._id,
+          article: articleId,
+          lists: listIds,
+          note: note || null,
+        });
+      } catch (error) {
+        // Concurrent request already created it
+        if (error.code !== 11000) throw error;
+        bookmark = await Bookmark.findOne({ user: req.user._id, article: articleId });
+      }
+    }
+
+    const bookmarks = await syncBookmarkCount(articleId);
+
+    res.status(created ? 201 : 200).json({
+      message: created ? "Article bookmarked" : "Bookmark updated",
+      bookmark: formatBookmark(bookmark),
+      bookmarks,
+    });
+  } catch (error) {
+    console.error("Add bookmark error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Remove a bookmark
+// @route   DELETE /api/bookmarks/:articleId
+// @access  Private
+exports.removeBookmark = async (req, res) => {
+  try {
+    const { articleId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(articleId)) {
+      return res.status(400).json({ message: "Invalid article id" });
+    }
+
+    const bookmark = await Bookmark.findOneAndDelete({
+      user: req.user._id,
+      article: articleId,
+    });
+
+    if (!bookmark) {
+      return res.status(404).json({ message: "Bookmark not found" });
+    }
+
+    const bookmarks = await syncBookmarkCount(articleId);
+
+    res.json({ message: "Bookmark removed", bookmarks });
+  } catch (error) {
+    console.error("Remove bookmark error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Replace the lists a bookmark belongs to
+// @route   PUT /api/bookmarks/:articleId/lists
+// @access  Private
+exports.setBookmarkLists = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.articleId)) {
+      return res.status(400).json({ message: "Invalid article id" });
+    }
+
+    const bookmark = await Bookmark.findOne({
+      user: req.user._id,
+      article: req.params.articleId,
+    });
+
+    if (!bookmark) {
+      return res.status(404).json({ message: "Bookmark not found" });
+    }
+
+    bookmark.lists = await ownedListIds(req.user._id, req.body.lists || []);
+    await bookmark.save();
+
+    res.json(formatBookmark(bookmark));
+  } catch (error) {
+    console.error("Set bookmark lists error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get current user's bookmark lists
+// @route   GET /api/bookmarks/lists
+// @access  Private
+exports.getLists = async (req, res) => {
+  try {
+    const lists = await BookmarkList.find({ user: req.user._id })
+      .sort({ name: 1 })
+      .lean();
+
+    const counts = await Bookmark.aggregate([
+      { $match: { user: req.user._id } },
+      { $unwind: "$lists" },
+      { $group: { _id: "$lists", count: { $sum: 1 } } },
+    ]);
+    const countByList = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+    res.json(
+      lists.map((list) => ({
+        id: list._id,
+        name: list.name,
+        description: list.description,
+        bookmarkCount: countByList.get(list._id.toString()) || 0,
+        createdAt: list.createdAt,
+        updatedAt: list.updatedAt,
+      })),
+    );
+  } catch (error) {
+    console.error("Get bookmark lists error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get one bookmark list with its bookmarks
+// @route   GET /api/bookmarks/lists/:listId?page=&limit=
+// @access  Private
+exports.getList = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.listId)) {
+      return res.status(400).json({ message: "Invalid list id" });
+    }
+
+    const list = await BookmarkList.findOne({
+      _id: req.params.listId,
+      user: req.user._id,
+    });
+
+    if (!list) {
+      return res.status(404).json({ message: "List not found" });
+    }
+
+    const { page, limit } = req.query;
+    const result = await findBookmarksPage(req.user._id, { list: list._id, page, limit });
+
+    res.json({
+      id: list._id,
+      name: list.name,
+      description: list.description,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Get bookmark list error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Create a bookmark list
+// @route   POST /api/bookmarks/lists
+// @access  Private
+exports.createList = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || !name.toString().trim()) {
+      return res.status(400).json({ message: "List name is required" });
+    }
+
+    const list = await BookmarkList.create({
+      user: req.user._id,
+      name,
+      description,
+    });
+
+    res.status(201).json(list);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "You already have a list with this name" });
+    }
+    console.error("Create bookmark list error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Rename or describe a bookmark list
+// @route   PATCH /api/bookmarks/lists/:listId
+// @access  Private
+exports.updateList = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.listId)) {
+      return res.status(400).json({ message: "Invalid list id" });
+    }
+
+    const { name, description } = req.body;
+
+    const list = await BookmarkList.findOne({
+      _id: req.params.listId,
+      user: req.user._id,
+    });
+
+    if (!list) {
+      return res.status(404).json({ message: "List not found" });
+    }
+
+    if (name !== undefined) {
+      if (!name.toString().trim()) {
+        return res.status(400).json({ message: "List name cannot be empty" });
+      }
+      list.name = name;
+    }
+    if (description !== undefined) list.description = description || null;
+
+    await list.save();
+
+    res.json(list);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "You already have a list with this name" });
+    }
+    console.error("Update bookmark list error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Delete a bookmark list (its bookmarks are kept)
+// @route   DELETE /api/bookmarks/lists/:listId
+// @access  Private
+exports.deleteList = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.listId)) {
+      return res.status(400).json({ message: "Invalid list id" });
+    }
+
+    const list = await BookmarkList.findOneAndDelete({
+      _id: req.params.listId,
+      user: req.user._id,
+    });
+
+    if (!list) {
+      return res.status(404).json({ message: "List not found" });
+    }
+
+    await Bookmark.updateMany(
+      { user: req.user._id, lists: list._id },
+      { $pull: { lists: list._id } },
+    );
+
+    res.json({ message: "List deleted successfully" });
+  } catch (error) {
+    console.error("Delete bookmark list error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -19,13 +19,17 @@ exports.getCategories = async (req, res) => {
 // @access  Private (Admin only)
 exports.createCategory = async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, reviewIntervalDays } = req.body;
 
     if (!name) {
       return res.status(400).json({ message: "Category name is required" });
     }
 
-    const category = await Category.create({ name, description });
+    const category = await Category.create({
+      name,
+      description,
+      reviewIntervalDays: reviewIntervalDays ? parseInt(reviewIntervalDays) : null,
+    });
 
     res.status(201).json(category);
   } catch (error) {
@@ -1,5 +1,13 @@
 const { Article, Category, Tag, ArticleEmbedding } = require('../models');
 const embeddingService = require('../services/embeddingService');
+const { indexArticle } = require('../services/articleIndexer');
+const { isPublished, publishedFilter, excludeUnpublished } = require('../services/articleAccess');
+const {
+  periodStart,
+  aggregateViews,
+  viewsBySource,
+  topArticlesInPeriod
+} = require('../services/viewTrackingService');
 
 /**
  * Search using RAG (Retrieval-Augmented Generation)
@@ -30,7 +38,7 @@ exports.searchWithRAG = async (req, res) => {
     const articleEmbeddings = await ArticleEmbedding.find({})
       .populate({
         path: 'article',
-        match: { status: 'APPROVED' },
+        match: publishedFilter(),
         populate: [
           { path: 'category', select: 'name' },
           { path: 'tags', select: 'name' },
@@ -49,6 +57,9 @@ exports.searchWithRAG = async (req, res) => {
       });
     }
 
+    // Search works on plain copies; the documents are kept for their methods
+    const articlesById = new Map(validEmbeddings.map(emb => [emb.article._id.toString(), emb.article]));
+
     // Find similar documents using HYBRID search (semantic + keyword matching)
     const similarDocs = embeddingService.findSimilarDocumentsHybrid(
       query,
@@ -102,7 +113,9 @@ exports.searchWithRAG = async (req, res) => {
         views: doc.article.views || 0,
         author: doc.article.author?.username || 'Unknown',
         pdfFile: doc.article.pdfFile || null,
-        pdfOriginalName: doc.article.pdfOriginalName || null
+        pdfOriginalName: doc.article.pdfOriginalName || null,
+        isOutdated: articlesById.get(doc.article._id.toString()).isOutdated(),
+        reviewDueAt: doc.article.reviewDueAt || null
       })),
       alternativeResults: similarDocs.slice(3, 5).map(doc => ({
         id: doc.article._id,
@@ -147,7 +160,7 @@ exports.searchKnowledgeBase = async (req, res) => {
       .filter(word => word.length > 2 && !commonWords.includes(word));
 
     // Build search conditions with keyword matching
-    const searchConditions = {
+    const searchConditions = excludeUnpublished({
       status: 'APPROVED',
       $or: [
         // Full phrase search
@@ -161,7 +174,7 @@ exports.searchKnowledgeBase = async (req, res) => {
           { excerpt: { $regex: keyword, $options: 'i' } }
         ])
       ]
-    };
+    });
 
     // Find articles and populate category, tags, and author
     const articles = await Article.find(searchConditions)
@@ -225,7 +238,9 @@ exports.searchKnowledgeBase = async (req, res) => {
         tags: bestMatch.tags ? bestMatch.tags.map(tag => tag.name) : [],
         approvedAt: bestMatch.approvedAt,
         views: bestMatch.views || 0,
-        author: bestMatch.author?.username || 'Unknown'
+        author: bestMatch.author?.username || 'Unknown',
+        isOutdated: bestMatch.isOutdated(),
+        reviewDueAt: bestMatch.reviewDueAt || null
       },
       alternativeResults: scoredArticles.slice(1, 4).map(item => ({
         id: item.article._id,
@@ -277,6 +292,9 @@ exports.getChatbotStats = async (req, res) => {
  */
 exports.getChatbotAnalytics = async (req, res) => {
   try {
+    const { period = '30', interval = 'day' } = req.query; // days
+    const startDate = periodStart(period);
+
     // Get total articles by status
     const articleStats = await Article.aggregate([
       {
@@ -340,7 +358,21 @@ exports.getChatbotAnalytics = async (req, res) => {
       .limit(5)
       .select('title approvedAt category views');
 
+    // View trends for the period (unique views, not lifetime counters)
+    const [viewTrend, chatbotViewTrend, viewSources, trendingArticles] = await Promise.all([
+      aggregateViews({ interval, since: startDate }),
+      aggregateViews({ interval, since: startDate, source: 'chatbot' }),
+      viewsBySource(startDate),
+      topArticlesInPeriod(startDate, 10)
+    ]);
+
     res.json({
+      period: parseInt(period) || 30,
+      viewTrend,
+      chatbotViewTrend,
+      viewsBySource: viewSources,
+      viewsInPeriod: viewTrend.reduce((sum, point) => sum + point.views, 0),
+      trendingArticles,
       articleStats,
       topArticles,
       articlesByCategory,
@@ -385,27 +417,16 @@ exports.indexArticle = async (req, res) => {
       });
     }
 
-    // Prepare text for embedding (combine title, excerpt, content, and PDF text)
-    let textToEmbed = `${article.title}\n\n${article.excerpt || ''}\n\n${article.content}`;
-    if (article.pdfText) {
-      textToEmbed += `\n\n--- PDF Content ---\n${article.pdfText}`;
+    // Embargoed articles are indexed by the scheduler when they go live
+    if (!isPublished(article)) {
+      return res.status(400).json({
+        message: 'Article is outside its publishing window',
+        publishAt: article.publishAt,
+        unpublishAt: article.unpublishAt
+      });
     }
 
-    // Generate embedding
-    const embedding = await embeddingService.generateEmbedding(textToEmbed);
-
-    // Save or update embedding
-    await ArticleEmbedding.findOneAndUpdate(
-      { article: articleId },
-      {
-        article: articleId,
-        embedding,
-        textContent: textToEmbed,
-        embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
-        lastUpdated: new Date()
-      },
-      { upsert: true, new: true }
-    );
+    await indexArticle(article);
 
     res.json({
       success: true,
@@ -436,8 +457,8 @@ exports.indexAllArticles = async (req, res) => {
       });
     }
 
-    // Get all approved articles
-    const articles = await Article.find({ status: 'APPROVED' });
+    // Get all published articles
+    const articles = await Article.find(publishedFilter());
 
     if (articles.length === 0) {
       return res.json({
@@ -454,23 +475,7 @@ exports.indexAllArticles = async (req, res) => {
     // Index each article
     for (const article of articles) {
       try {
-        let textToEmbed = `${article.title}\n\n${article.excerpt || ''}\n\n${article.content}`;
-        if (article.pdfText) {
-          textToEmbed += `\n\n--- PDF Content ---\n${article.pdfText}`;
-        }
-        const embedding = await embeddingService.generateEmbedding(textToEmbed);
-
-        await ArticleEmbedding.findOneAndUpdate(
-          { article: article._id },
-          {
-            article: article._id,
-            embedding,
-            textContent: textToEmbed,
-            embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
-            lastUpdated: new Date()
-          },
-          { upsert: true, new: true }
-        );
+        await indexArticle(article);
 
         indexed++;
       } catch (error) {
@@ -0,0 +1,335 @@
+const mongoose = require("mongoose");
+const { Article, Comment } = require("../models");
+const { createAuditLog } = require("../services/auditService");
+const { canViewArticle } = require("../services/articleAccess");
+const {
+  resolveMentions,
+  collectThreadIds,
+} = require("../services/commentService");
+
+const formatComment = (comment, user) => {
+  const isAdmin = user.role === "ADMIN";
+  const isDeleted = comment.status === "DELETED";
+  // Hidden comments stay readable for admins and their own author only
+  const isRedacted =
+    isDeleted ||
+    (comment.status === "HIDDEN" &&
+      !isAdmin &&
+      comment.author?._id?.toString() !== user._id.toString());
+
+  return {
+    id: comment._id,
+    parentId: comment.parent,
+    body: isRedacted ? null : comment.body,
+    author: isDeleted ? null : comment.author?.username || null,
+    mentions: isRedacted ? [] : (comment.mentions || []).map((u) => u.username),
+    status: comment.status,
+    moderationReason: isAdmin ? comment.moderationReason : undefined,
+    editedAt: comment.editedAt,
+    createdAt: comment.createdAt,
+    replies: [],
+  };
+};
+
+// Nest replies under their parents; removed comments without replies are dropped
+const buildThreads = (comments, user) => {
+  const nodes = new Map();
+  comments.forEach((comment) => nodes.set(comment._id.toString(), formatComment(comment, user)));
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parentId && nodes.get(node.parentId.toString());
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const prune = (list) =>
+    list.filter((node) => {
+      node.replies = prune(node.replies);
+      const isRemoved =
+        node.status === "DELETED" ||
+        (node.status === "HIDDEN" && node.body === null);
+      return !isRemoved || node.replies.length > 0;
+    });
+
+  return prune(roots);
+};
+
+// @desc    Get threaded comments of an article
+// @route   GET /api/articles/:id/comments
+// @access  Private
+exports.getComments = async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+    if (!article || !canViewArticle(article, req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    const comments = await Comment.find({ article: article._id })
+      .populate("author", "username")
+      .populate("mentions", "username")
+      .sort({ createdAt: 1 });
+
+    const visibleCount = comments.filter((c) => c.status === "VISIBLE").length;
+
+    res.json({
+      articleId: article._id,
+      commentCount: visibleCount,
+      comments: buildThreads(comments, req.user),
+    });
+  } catch (error) {
+    console.error("Get comments error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Comment on an article or reply to a comment
+// @route   POST /api/articles/:id/comments
+// @access  Private
+exports.createComment = async (req, res) => {
+  try {
+    const { body, parentId } = req.body;
+
+    if (!body || !body.toString().trim()) {
+      return res.status(400).json({ message: "Comment body is required" });
+    }
+
+    const article = await Article.findById(req.params.id);
+    if (!article || !canViewArticle(article, req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    if (article.status !== "APPROVED") {
+      return res
+        .status(400)
+        .json({ message: "Comments are only open on approved articles" });
+    }
+
+    let parent = null;
+    if (parentId) {
+      if (!mongoose.Types.ObjectId.isValid(parentId)) {
+        return res.status(400).json({ message: "Invalid parent comment id" });
+      }
+      parent = await Comment.findOne({ _id: parentId, article: article._id });
+      if (!parent || parent.status === "DELETED") {
+        return res.status(404).json({ message: "Parent comment not found" });
+      }
+    }
+
+    const mentions = await resolveMentions(body);
+
+    const comment = await Comment.create({
+      article: article._id,
+      author: req.user._id,
+      parent: parent ? parent._id : null,
+      body,
+      mentions: mentions.map((user) => user._id),
+    });
+
+    await createAuditLog(
+      req.user._id,
+      "COMMENT_CREATE",
+      "Comment",
+      comment._id,
+      `${parent ? "Replied" : "Commented"} on article: ${article.title}`,
+      { article: article._id, parent: comment.parent, mentions: mentions.map((u) => u.username) },
+      req,
+    );
+
+    await comment.populate([
+      { path: "author", select: "username" },
+      { path: "mentions", select: "username" },
+    ]);
+
+    res.status(201).json(formatComment(comment, req.user));
+  } catch (error) {
+    console.error("Create comment error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Edit own comment
+// @route   PATCH /api/comments/:commentId
+// @access  Private (Comment author)
+exports.updateComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    if (!body || !body.toString().trim()) {
+      return res.status(400).json({ message: "Comment body is required" });
+    }
+
+    const comment = await Comment.findById(req.params.commentId);
+    if (!comment || comment.status === "DELETED") {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to edit this comment" });
+    }
+
+    const mentions = await resolveMentions(body);
+
+    comment.body = body;
+    comment.mentions = mentions.map((user) => user._id);
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await createAuditLog(
+      req.user._id,
+      "COMMENT_EDIT",
+      "Comment",
+      comment._id,
+      "Edited comment",
+      { article: comment.article },
+      req,
+    );
+
+    await comment.populate([
+      { path: "author", select: "username" },
+      { path: "mentions", select: "username" },
+    ]);
+
+    res.json(formatComment(comment, req.user));
+  } catch (error) {
+    console.error("Update comment error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Delete own comment (replies stay, the comment becomes a placeholder)
+// @route   DELETE /api/comments/:commentId
+// @access  Private (Comment author)
+exports.deleteComment = async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.commentId);
+    if (!comment || comment.status === "DELETED") {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to delete this comment" });
+    }
+
+    comment.status = "DELETED";
+    comment.body = "[deleted]";
+    comment.mentions = [];
+    await comment.save();
+
+    await createAuditLog(
+      req.user._id,
+      "COMMENT_DELETE",
+      "Comment",
+      comment._id,
+      "Deleted own comment",
+      { article: comment.article },
+      req,
+    );
+
+    res.json({ message: "Comment deleted successfully" });
+  } catch (error) {
+    console.error("Delete comment error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Comment Moderation (admin)
+exports.hideComment = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const comment = await Comment.findById(req.params.commentId);
+    if (!comment || comment.status === "DELETED") {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    comment.status = "HIDDEN";
+    comment.moderatedBy = req.user._id;
+    comment.moderatedAt = new Date();
+    comment.moderationReason = reason || null;
+    await comment.save();
+
+    await createAuditLog(
+      req.user._id,
+      "COMMENT_HIDE",
+      "Comment",
+      comment._id,
+      "Hid comment",
+      { article: comment.article, reason: comment.moderationReason },
+      req,
+    );
+
+    res.json({ message: "Comment hidden", id: comment._id, status: comment.status });
+  } catch (error) {
+    console.error("Error hiding comment:", error);
+    res.status(500).json({ message: "Error hiding comment" });
+  }
+};
+
+exports.unhideComment = async (req, res) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      status: "HIDDEN",
+    });
+    if (!comment) {
+      return res.status(404).json({ message: "Hidden comment not found" });
+    }
+
+    comment.status = "VISIBLE";
+    comment.moderatedBy = req.user._id;
+    comment.moderatedAt = new Date();
+    comment.moderationReason = null;
+    await comment.save();
+
+    await createAuditLog(
+      req.user._id,
+      "COMMENT_UNHIDE",
+      "Comment",
+      comment._id,
+      "Restored hidden comment",
+      { article: comment.article },
+      req,
+    );
+
+    res.json({ message: "Comment restored", id: comment._id, status: comment.status });
+  } catch (error) {
+    console.error("Error restoring comment:", error);
+    res.status(500).json({ message: "Error restoring comment" });
+  }
+};
+
+exports.deleteCommentAdmin = async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    // Moderation removes the whole thread below the comment
+    const threadIds = await collectThreadIds(comment._id);
+    await Comment.deleteMany({ _id: { $in: threadIds } });
+
+    await createAuditLog(
+      req.user._id,
+      "COMMENT_DELETE",
+      "Comment",
+      comment._id,
+      `Deleted comment thread (${threadIds.length} comment(s))`,
+      { article: comment.article, author: comment.author, removed: threadIds.length },
+      req,
+    );
+
+    res.json({ message: "Comment deleted successfully", removed: threadIds.length });
+  } catch (error) {
+    console.error("Error deleting comment:", error);
+    res.status(500).json({ message: "Error deleting comment" });
+  }
+};
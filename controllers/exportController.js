@@ -0,0 +1,131 @@
+const archiver = require("archiver");
+const { Article, Category } = require("../models");
+const {
+  canViewArticle,
+  contributorFilter,
+  publishedFilter,
+} = require("../services/articleAccess");
+const { slugify } = require("../services/slugService");
+const {
+  EXPORT_FORMATS,
+  exportMetadata,
+  exportArticle: renderExport,
+} = require("../services/exportService");
+
+const EXPORT_POPULATE = [
+  { path: "author", select: "username email" },
+  { path: "approvedBy", select: "username" },
+  { path: "category", select: "name" },
+  { path: "tags", select: "name" },
+];
+
+// Requested format, or null when it is not one of EXPORT_FORMATS. A repeated
+// ?format= arrives as an array and is refused too.
+const parseFormat = (value = "pdf") => {
+  if (typeof value !== "string") return null;
+  const format = value.toLowerCase();
+  return Object.hasOwn(EXPORT_FORMATS, format) ? format : null;
+};
+
+const invalidFormat = (res) =>
+  res.status(400).json({
+    message: `Invalid export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+  });
+
+// @desc    Export an article as PDF, Markdown or standalone HTML
+// @route   GET /api/articles/:id/export?format=pdf|md|html
+// @access  Private (approved articles, or author/admin)
+exports.exportArticle = async (req, res) => {
+  try {
+    const format = parseFormat(req.query.format);
+    if (!format) {
+      return invalidFormat(res);
+    }
+
+    const article = await Article.findById(req.params.id).populate(EXPORT_POPULATE);
+
+    if (!article || !canViewArticle(article, req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    const { buffer, contentType, filename } = await renderExport(article, format);
+
+    res.attachment(filename);
+    res.set("Content-Type", contentType);
+    res.send(buffer);
+  } catch (error) {
+    console.error("Export article error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Export every article of a category as one ZIP
+// @route   GET /api/categories/:id/export?format=pdf|md|html
+// @access  Private (published articles, plus the user's own; admins get all)
+exports.exportCategory = async (req, res) => {
+  try {
+    const format = parseFormat(req.query.format);
+    if (!format) {
+      return invalidFormat(res);
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const query = { category: category._id };
+    if (req.user.role !== "ADMIN") {
+      query.$or = [publishedFilter(), contributorFilter(req.user._id)];
+    }
+
+    const articles = await Article.find(query)
+      .populate(EXPORT_POPULATE)
+      .sort({ title: 1 });
+
+    if (articles.length === 0) {
+      return res.status(404).json({ message: "No articles to export in this category" });
+    }
+
+    const archive = new archiver.ZipArchive({ zlib: { level: 9 } });
+    archive.on("error", (error) => {
+      console.error("Export category archive error:", error);
+      res.destroy(error);
+    });
+
+    res.attachment(`${slugify(category.name) || "category"}-${format}.zip`);
+    res.set("Content-Type", "application/zip");
+    archive.pipe(res);
+
+    const index = [];
+    for (const article of articles) {
+      const { buffer, filename } = await renderExport(article, format);
+      archive.append(buffer, { name: filename });
+      const meta = exportMetadata(article);
+      index.push({ file: filename, ...meta });
+    }
+
+    archive.append(
+      JSON.stringify(
+        {
+          category: category.name,
+          format,
+          exportedAt: new Date(),
+          exportedBy: req.user.username,
+          articles: index,
+        },
+        null,
+        2,
+      ),
+      { name: "index.json" },
+    );
+
+    await archive.finalize();
+  } catch (error) {
+    console.error("Export category error:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
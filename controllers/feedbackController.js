@@ -0,0 +1,209 @@
+const { Article, ArticleFeedback } = require("../models");
+const { canViewArticle } = require("../services/articleAccess");
+const {
+  summarizeFeedback,
+  syncFeedbackCounts,
+} = require("../services/feedbackService");
+
+const formatVote = (vote) =>
+  vote
+    ? {
+        helpful: vote.helpful,
+        reason: vote.reason,
+        updatedAt: vote.updatedAt,
+      }
+    : null;
+
+// @desc    Get helpfulness summary of an article (and the user's own vote)
+// @route   GET /api/articles/:id/feedback
+// @access  Private
+exports.getFeedback = async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+    if (!article || !canViewArticle(article, req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    const myVote = await ArticleFeedback.findOne({
+      article: article._id,
+      user: req.user._id,
+    });
+
+    const response = {
+      articleId: article._id,
+      ...summarizeFeedback(article),
+      myVote: formatVote(myVote),
+    };
+
+    // Admins also see the written reasons behind negative votes
+    if (req.user.role === "ADMIN") {
+      const reasons = await ArticleFeedback.find({
+        article: article._id,
+        helpful: false,
+        reason: { $ne: null },
+      })
+        .populate("user", "username")
+        .sort({ updatedAt: -1 })
+        .limit(20);
+
+      response.recentReasons = reasons.map((vote) => ({
+        user: vote.user?.username || null,
+        reason: vote.reason,
+        updatedAt: vote.updatedAt,
+      }));
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("Get feedback error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Vote helpful / not helpful (one vote per user, can be changed)
+// @route   PUT /api/articles/:id/feedback
+// @access  Private
+exports.submitFeedback = async (req, res) => {
+  try {
+    const { helpful, reason } = req.body;
+
+    if (typeof helpful !== "boolean") {
+      return res
+        .status(400)
+        .json({ message: "helpful must be true or false" });
+    }
+
+    const article = await Article.findById(req.params.id);
+    if (!article || !canViewArticle(article, req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    if (article.status !== "APPROVED") {
+      return res
+        .status(400)
+        .json({ message: "Only approved articles can be rated" });
+    }
+
+    const vote = await ArticleFeedback.findOneAndUpdate(
+      { article: article._id, user: req.user._id },
+      { helpful, reason: reason ? reason.toString().trim() || null : null },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true },
+    );
+
+    const summary = await syncFeedbackCounts(article._id);
+
+    res.json({
+      message: "Thanks for your feedback",
+      articleId: article._id,
+      ...summary,
+      myVote: formatVote(vote),
+    });
+  } catch (error) {
+    console.error("Submit feedback error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Retract own vote
+// @route   DELETE /api/articles/:id/feedback
+// @access  Private
+exports.removeFeedback = async (req, res) => {
+  try {
+    const vote = await ArticleFeedback.findOneAndDelete({
+      article: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!vote) {
+      return res.status(404).json({ message: "No vote to remove" });
+    }
+
+    const summary = await syncFeedbackCounts(req.params.id);
+
+    res.json({ message: "Vote removed", articleId: req.params.id, ...summary });
+  } catch (error) {
+    console.error("Remove feedback error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Lowest rated approved articles (admin), candidates for a rewrite
+exports.getLowestRatedArticles = async (req, res) => {
+  try {
+    const { minVotes = 3 } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const articles = await Article.aggregate([
+      { $match: { status: "APPROVED" } },
+      {
+        $addFields: {
+          helpfulVotes: { $ifNull: ["$helpfulVotes", 0] },
+          notHelpfulVotes: { $ifNull: ["$notHelpfulVotes", 0] },
+          totalVotes: {
+            $add: [
+              { $ifNull: ["$helpfulVotes", 0] },
+              { $ifNull: ["$notHelpfulVotes", 0] },
+            ],
+          },
+        },
+      },
+      // At least one vote, otherwise there is no ratio to rank by
+      { $match: { totalVotes: { $gte: Math.max(parseInt(minVotes) || 1, 1) } } },
+      {
+        $addFields: {
+          helpfulnessRatio: { $divide: ["$helpfulVotes", "$totalVotes"] },
+        },
+      },
+      { $sort: { helpfulnessRatio: 1, totalVotes: -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: "users",
+          localField: "author",
+          foreignField: "_id",
+          as: "authorData",
+        },
+      },
+      {
+        $lookup: {
+          from: "categories",
+          localField: "category",
+          foreignField: "_id",
+          as: "categoryData",
+        },
+      },
+      {
+        $project: {
+          title: 1,
+          views: 1,
+          helpfulVotes: 1,
+          notHelpfulVotes: 1,
+          totalVotes: 1,
+          helpfulnessRatio: 1,
+          updatedAt: 1,
+          author: { $arrayElemAt: ["$authorData.username", 0] },
+          category: { $arrayElemAt: ["$categoryData.name", 0] },
+        },
+      },
+    ]);
+
+    res.json(
+      articles.map((article, idx) => ({
+        rank: idx + 1,
+        id: article._id,
+        title: article.title,
+        author: article.author || null,
+        category: article.category || null,
+        views: article.views,
+        helpful: article.helpfulVotes,
+        notHelpful: article.notHelpfulVotes,
+        totalVotes: article.totalVotes,
+        helpfulnessRatio: Number(article.helpfulnessRatio.toFixed(3)),
+        updatedAt: article.updatedAt,
+      })),
+    );
+  } catch (error) {
+    console.error("Error fetching lowest rated articles:", error);
+    res.status(500).json({ message: "Error fetching lowest rated articles" });
+  }
+};
@@ -0,0 +1,173 @@
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { Article, Attachment } = require("../models");
+const { createAuditLog } = require("../services/auditService");
+const {
+  ImportError,
+  convertDocument,
+  linkImages,
+} = require("../services/importService");
+const {
+  parseTagsInput,
+  resolveTags,
+  resolveCategory,
+  TagSuggestionError,
+} = require("../services/taxonomyService");
+const { recordRevision } = require("../services/revisionService");
+const { trySummarizeArticle } = require("../services/summaryService");
+const {
+  formatAttachment,
+  syncAttachmentCount,
+} = require("../services/attachmentService");
+const {
+  attachmentDir,
+  ATTACHMENT_TYPES,
+} = require("../middleware/attachmentUpload");
+
+// Write an extracted image next to uploaded attachments
+const storeImage = async (image) => {
+  const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+  const filename = `${uniqueSuffix}-${image.originalName}`;
+  await fs.promises.writeFile(path.join(attachmentDir, filename), image.buffer);
+  return filename;
+};
+
+// @desc    Import a DOCX, Markdown or HTML document as a draft article
+// @route   POST /api/articles/import (multipart: document, title?, category?, tags?)
+// @access  Private (Employee only)
+exports.importArticle = async (req, res) => {
+  try {
+    if (req.user.role === "ADMIN") {
+      return res.status(403).json({
+        message:
+          "Admins cannot create articles. Only employees can submit articles.",
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: "A document file is required" });
+    }
+
+    const converted = await convertDocument(req.file.buffer, req.file.originalname);
+    // A blank title field falls back to the document's own title
+    const title = ((req.body.title || "").toString().trim() || converted.title.trim()).substring(0, 200);
+
+    if (!title) {
+      return res.status(400).json({ message: "A title is required: the document has none" });
+    }
+    if (!converted.content.trim()) {
+      return res.status(400).json({ message: "The document has no content to import" });
+    }
+
+    // Embedded images become attachments: ids are allocated up front so the
+    // content can link to them before anything is written
+    const warnings = [...converted.warnings];
+    const imageUrls = [];
+    const imports = [];
+    converted.images.forEach((image) => {
+      const type = ATTACHMENT_TYPES[image.mimeType];
+      if (!type || type.kind !== "image") {
+        warnings.push(`Skipped ${image.originalName}: unsupported image type ${image.mimeType}`);
+        imageUrls.push(null);
+        return;
+      }
+      if (image.buffer.length > type.maxSize) {
+        warnings.push(`Skipped ${image.originalName}: image exceeds the size limit`);
+        imageUrls.push(null);
+        return;
+      }
+      const id = new mongoose.Types.ObjectId();
+      imageUrls.push(`/api/articles/attachments/${id}/image`);
+      imports.push({ id, image });
+    });
+
+    const categoryRecord = await resolveCategory(req.body.category);
+    const tagDocs = await resolveTags(parseTagsInput(req.body.tags), {
+      confirmNewTags: req.body.confirmNewTags === true || req.body.confirmNewTags === "true",
+    });
+
+    const content = linkImages(converted.content, imageUrls);
+    const summary = await trySummarizeArticle({ title, content, contentFormat: "markdown" });
+
+    const article = new Article({
+      title,
+      content,
+      contentFormat: "markdown",
+      excerpt: summary.excerpt,
+      excerptSource: summary.source,
+      status: "DRAFT",
+      author: req.user.id,
+      category: categoryRecord ? categoryRecord._id : null,
+      tags: tagDocs.map((t) => t._id),
+    });
+    await article.saveWithFreeSlug();
+
+    const attachments = [];
+    for (const [idx, { id, image }] of imports.entries()) {
+      const filename = await storeImage(image);
+      attachments.push(
+        await Attachment.create({
+          _id: id,
+          article: article._id,
+          uploader: req.user._id,
+          filename,
+          originalName: image.originalName,
+          mimeType: image.mimeType,
+          kind: "image",
+          size: image.buffer.length,
+          caption: image.alt,
+          order: idx,
+        }),
+      );
+    }
+    await syncAttachmentCount(article._id);
+
+    await recordRevision(article, req.user.id, {
+      note: `Imported from ${req.file.originalname}`,
+    });
+
+    await createAuditLog(
+      req.user._id,
+      "ARTICLE_CREATE",
+      "Article",
+      article._id,
+      `Imported article draft: ${article.title}`,
+      {
+        importedFrom: req.file.originalname,
+        sourceFormat: converted.sourceFormat,
+        images: attachments.length,
+      },
+      req,
+    );
+
+    res.status(201).json({
+      id: article._id,
+      slug: article.slug,
+      title: article.title,
+      content: article.content,
+      contentFormat: article.contentFormat,
+      excerpt: article.excerpt,
+      status: article.status,
+      category: categoryRecord?.name || null,
+      tags: tagDocs.map((tag) => tag.name),
+      sourceFormat: converted.sourceFormat,
+      attachments: attachments.map(formatAttachment),
+      warnings,
+      createdAt: article.createdAt,
+    });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error instanceof TagSuggestionError) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.code,
+        suggestions: error.suggestions,
+      });
+    }
+    console.error("Import article error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
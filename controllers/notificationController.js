@@ -0,0 +1,96 @@
+const { Notification } = require("../models");
+
+const formatNotification = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  message: notification.message,
+  article: notification.article
+    ? {
+        id: notification.article._id,
+        title: notification.article.title,
+        slug: notification.article.slug,
+      }
+    : null,
+  metadata: notification.metadata,
+  read: Boolean(notification.readAt),
+  readAt: notification.readAt,
+  createdAt: notification.createdAt,
+});
+
+// @desc    Get the user's notifications
+// @route   GET /api/notifications?unread=true&page=1&limit=20
+// @access  Private
+exports.getNotifications = async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const filter = { user: req.user._id };
+    if (unread === "true") filter.readAt = null;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const size = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (pageNumber - 1) * size;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate("article", "title slug")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(size),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ]);
+
+    res.json({
+      notifications: notifications.map(formatNotification),
+      unreadCount,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / size),
+      },
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:notificationId/read
+// @access  Private
+exports.markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, user: req.user._id },
+      [{ $set: { readAt: { $ifNull: ["$readAt", "$$NOW"] } } }],
+      { new: true },
+    ).populate("article", "title slug");
+
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    res.json(formatNotification(notification));
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+exports.markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() },
+    );
+
+    res.json({ message: "Notifications marked as read", updated: result.modifiedCount });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
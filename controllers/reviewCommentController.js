@@ -0,0 +1,259 @@
+const mongoose = require("mongoose");
+const { Article, ReviewComment } = require("../models");
+const { createAuditLog } = require("../services/auditService");
+const { notify } = require("../services/notificationService");
+const { canEditArticle, isContributor } = require("../services/articleAccess");
+const { LifecycleError } = require("../services/articleLifecycle");
+const {
+  getApprovalPolicy,
+  assertEligibleReviewer,
+} = require("../services/approvalService");
+const {
+  parseAnchor,
+  isAnchorOutdated,
+} = require("../services/reviewCommentService");
+
+const formatReviewComment = (comment, article) => ({
+  id: comment._id,
+  parentId: comment.parent,
+  body: comment.body,
+  author: comment.author?.username || null,
+  anchor: comment.anchor
+    ? {
+        type: comment.anchor.type,
+        start: comment.anchor.start,
+        end: comment.anchor.end,
+        paragraph: comment.anchor.paragraph,
+        quote: comment.anchor.quote,
+      }
+    : null,
+  anchorOutdated: isAnchorOutdated(comment.anchor, article.content),
+  blocking: comment.blocking,
+  round: comment.round,
+  revision: comment.revision,
+  resolved: Boolean(comment.resolvedAt),
+  resolvedAt: comment.resolvedAt,
+  resolvedBy: comment.resolvedBy?.username || null,
+  createdAt: comment.createdAt,
+  replies: [],
+});
+
+// Load the article and check the user takes part in its review (contributor or admin)
+const loadArticleForReview = async (req, res) => {
+  const article = await Article.findById(req.params.id);
+  if (!article || !canEditArticle(article, req.user)) {
+    res.status(404).json({ message: "Article not found" });
+    return null;
+  }
+  return article;
+};
+
+// Blocking threads are the reviewers' to close; authors may resolve the rest
+const canResolve = (comment, article, user) =>
+  user.role === "ADMIN" || (!comment.blocking && isContributor(article, user));
+
+// @desc    Get review comment threads of an article
+// @route   GET /api/articles/:id/review-comments?status=open|resolved
+// @access  Private (Author or Admin)
+exports.getReviewComments = async (req, res) => {
+  try {
+    const article = await loadArticleForReview(req, res);
+    if (!article) return;
+
+    const comments = await ReviewComment.find({ article: article._id })
+      .populate("author", "username")
+      .populate("resolvedBy", "username")
+      .sort({ createdAt: 1 });
+
+    const threads = new Map();
+    comments
+      .filter((comment) => !comment.parent)
+      .forEach((comment) => threads.set(comment._id.toString(), formatReviewComment(comment, article)));
+    comments
+      .filter((comment) => comment.parent)
+      .forEach((reply) => {
+        threads.get(reply.parent.toString())?.replies.push(formatReviewComment(reply, article));
+      });
+
+    let list = [...threads.values()];
+    if (req.query.status === "open") list = list.filter((thread) => !thread.resolved);
+    if (req.query.status === "resolved") list = list.filter((thread) => thread.resolved);
+
+    const open = [...threads.values()].filter((thread) => !thread.resolved);
+
+    res.json({
+      articleId: article._id,
+      reviewRound: article.reviewRound,
+      unresolved: open.length,
+      blocking: open.filter((thread) => thread.blocking).length,
+      comments: list,
+    });
+  } catch (error) {
+    console.error("Get review comments error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Comment on a passage of a pending article, or reply to a review thread
+// @route   POST /api/articles/:id/review-comments (body: body, anchor, blocking | body, parentId)
+// @access  Private (Reviewers comment; the author and admins reply)
+exports.createReviewComment = async (req, res) => {
+  try {
+    const { body, anchor, blocking, parentId } = req.body;
+
+    if (!body || !body.toString().trim()) {
+      return res.status(400).json({ message: "Comment body is required" });
+    }
+
+    const article = await loadArticleForReview(req, res);
+    if (!article) return;
+
+    let parent = null;
+    let commentAnchor = null;
+
+    if (parentId) {
+      if (!mongoose.Types.ObjectId.isValid(parentId)) {
+        return res.status(400).json({ message: "Invalid parent comment id" });
+      }
+      parent = await ReviewComment.findOne({ _id: parentId, article: article._id });
+      if (!parent) {
+        return res.status(404).json({ message: "Review comment not found" });
+      }
+      // Threads are one level deep: replies to replies join the thread
+      if (parent.parent) {
+        parent = await ReviewComment.findById(parent.parent);
+      }
+    } else {
+      if (req.user.role !== "ADMIN") {
+        return res
+          .status(403)
+          .json({ message: "Only reviewers can open review comments; reply to a thread instead" });
+      }
+      if (article.status !== "PENDING") {
+        return res
+          .status(409)
+          .json({ message: "Review comments can only be added to pending articles" });
+      }
+      assertEligibleReviewer(req.user, await getApprovalPolicy(article));
+
+      const parsed = parseAnchor(anchor, article.content);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      commentAnchor = parsed.anchor;
+    }
+
+    const comment = await ReviewComment.create({
+      article: article._id,
+      author: req.user._id,
+      parent: parent ? parent._id : null,
+      body,
+      anchor: commentAnchor,
+      blocking: !parent && (blocking === true || blocking === "true"),
+      round: article.reviewRound,
+      revision: article.currentRevision,
+    });
+
+    // Let the other side of the thread know
+    const recipient = parent && isContributor(article, req.user) ? parent.author : article.author;
+    if (recipient && recipient.toString() !== req.user._id.toString()) {
+      await notify(recipient, {
+        type: "REVIEW_COMMENT",
+        message: parent
+          ? `${req.user.username} replied to a review comment on "${article.title}"`
+          : `${req.user.username} left a ${comment.blocking ? "blocking " : ""}review comment on "${article.title}"`,
+        article: article._id,
+        metadata: { comment: comment._id, thread: parent ? parent._id : comment._id },
+      });
+    }
+
+    await createAuditLog(
+      req.user._id,
+      "REVIEW_COMMENT_CREATE",
+      "ReviewComment",
+      comment._id,
+      `${parent ? "Replied to review comment" : "Added review comment"} on article: ${article.title}`,
+      { article: article._id, parent: comment.parent, blocking: comment.blocking, round: comment.round },
+      req,
+    );
+
+    await comment.populate("author", "username");
+
+    res.status(201).json(formatReviewComment(comment, article));
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.code,
+        details: error.details,
+      });
+    }
+    console.error("Create review comment error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Resolve or reopen a review thread
+const setResolved = async (req, res, resolved) => {
+  try {
+    const article = await loadArticleForReview(req, res);
+    if (!article) return;
+
+    const comment = await ReviewComment.findOne({
+      _id: req.params.commentId,
+      article: article._id,
+    });
+    if (!comment) {
+      return res.status(404).json({ message: "Review comment not found" });
+    }
+    if (comment.parent) {
+      return res
+        .status(400)
+        .json({ message: "Replies cannot be resolved; resolve the thread instead" });
+    }
+    if (!canResolve(comment, article, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Only reviewers can resolve blocking review comments" });
+    }
+    if (Boolean(comment.resolvedAt) === resolved) {
+      return res
+        .status(409)
+        .json({ message: `Review comment is already ${resolved ? "resolved" : "open"}` });
+    }
+
+    comment.resolvedAt = resolved ? new Date() : null;
+    comment.resolvedBy = resolved ? req.user._id : null;
+    await comment.save();
+
+    await createAuditLog(
+      req.user._id,
+      resolved ? "REVIEW_COMMENT_RESOLVE" : "REVIEW_COMMENT_UNRESOLVE",
+      "ReviewComment",
+      comment._id,
+      `${resolved ? "Resolved" : "Reopened"} review comment on article: ${article.title}`,
+      { article: article._id, blocking: comment.blocking },
+      req,
+    );
+
+    await comment.populate([
+      { path: "author", select: "username" },
+      { path: "resolvedBy", select: "username" },
+    ]);
+
+    res.json(formatReviewComment(comment, article));
+  } catch (error) {
+    console.error(`${resolved ? "Resolve" : "Unresolve"} review comment error:`, error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Resolve a review thread
+// @route   PATCH /api/articles/:id/review-comments/:commentId/resolve
+// @access  Private (Admin; the author for non-blocking threads)
+exports.resolveReviewComment = (req, res) => setResolved(req, res, true);
+
+// @desc    Reopen a resolved review thread
+// @route   PATCH /api/articles/:id/review-comments/:commentId/unresolve
+// @access  Private (Admin; the author for non-blocking threads)
+exports.unresolveReviewComment = (req, res) => setResolved(req, res, false);
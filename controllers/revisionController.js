@@ -0,0 +1,267 @@
+const { Article, ArticleRevision } = require("../models");
+const { createAuditLog } = require("../services/auditService");
+const { diffArticleVersions } = require("../services/diffService");
+const { canEditArticle } = require("../services/articleAccess");
+const {
+  LifecycleError,
+  assertEditable,
+  statusAfterEdit,
+} = require("../services/articleLifecycle");
+const {
+  snapshotArticle,
+  changedFields,
+  recordRevision,
+  ensureBaselineRevision,
+} = require("../services/revisionService");
+const { assertReadyForReview } = require("../services/reviewCommentService");
+
+// Load an article and make sure the user may see its history
+const findEditableArticle = async (req, res) => {
+  const article = await Article.findById(req.params.id);
+
+  if (!article) {
+    res.status(404).json({ message: "Article not found" });
+    return null;
+  }
+
+  if (!canEditArticle(article, req.user)) {
+    res
+      .status(403)
+      .json({ message: "Not authorized to access this article's revisions" });
+    return null;
+  }
+
+  return article;
+};
+
+const formatRevision = (revision, includeContent = false) => {
+  const formatted = {
+    id: revision._id,
+    revision: revision.revision,
+    title: revision.title,
+    excerpt: revision.excerpt,
+    category: revision.category?.name || null,
+    tags: (revision.tags || []).map((tag) => tag.name),
+    pdfFile: revision.pdfFile,
+    pdfOriginalName: revision.pdfOriginalName,
+    editor: revision.editor?.username || null,
+    restoredFrom: revision.restoredFrom,
+    note: revision.note,
+    createdAt: revision.createdAt,
+  };
+
+  if (includeContent) {
+    formatted.content = revision.content;
+    formatted.contentFormat = revision.contentFormat;
+  }
+
+  return formatted;
+};
+
+// @desc    List revisions of an article
+// @route   GET /api/articles/:id/revisions
+// @access  Private (Author or Admin)
+exports.getRevisions = async (req, res) => {
+  try {
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+
+    const revisions = await ArticleRevision.find({ article: article._id })
+      .select("-content -pdfText")
+      .populate("editor", "username")
+      .populate("category", "name")
+      .populate("tags", "name")
+      .sort({ revision: -1 });
+
+    res.json({
+      articleId: article._id,
+      currentRevision: article.currentRevision,
+      revisions: revisions.map((revision) => formatRevision(revision)),
+    });
+  } catch (error) {
+    console.error("Get revisions error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get a single revision of an article
+// @route   GET /api/articles/:id/revisions/:revision
+// @access  Private (Author or Admin)
+exports.getRevision = async (req, res) => {
+  try {
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+
+    const revision = await ArticleRevision.findOne({
+      article: article._id,
+      revision: parseInt(req.params.revision),
+    })
+      .populate("editor", "username")
+      .populate("category", "name")
+      .populate("tags", "name");
+
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+
+    res.json({
+      articleId: article._id,
+      currentRevision: article.currentRevision,
+      ...formatRevision(revision, true),
+    });
+  } catch (error) {
+    console.error("Get revision error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Restore an older revision (stored as a new revision)
+// @route   POST /api/articles/:id/revisions/:revision/restore
+// @access  Private (Author or Admin)
+exports.restoreRevision = async (req, res) => {
+  try {
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+
+    const revision = await ArticleRevision.findOne({
+      article: article._id,
+      revision: parseInt(req.params.revision),
+    });
+
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+
+    assertEditable(article);
+
+    await ensureBaselineRevision(article);
+    const before = snapshotArticle(article);
+    const restored = snapshotArticle(revision);
+
+    const changes = changedFields(before, restored);
+    if (changes.length === 0) {
+      return res.json({
+        message: "Article already matches this revision",
+        currentRevision: article.currentRevision,
+      });
+    }
+
+    Object.assign(article, restored);
+    article.status = statusAfterEdit(article, req.user);
+    if (article.isModified("status") && article.status === "PENDING") {
+      await assertReadyForReview(article);
+    }
+    await article.saveWithFreeSlug();
+
+    const newRevision = await recordRevision(article, req.user.id, {
+      restoredFrom: revision.revision,
+      note: req.body?.note,
+    });
+
+    await createAuditLog(
+      req.user._id,
+      "ARTICLE_EDIT",
+      "Article",
+      article._id,
+      `Restored revision ${revision.revision} of article: ${article.title}`,
+      { restoredFrom: revision.revision, revision: newRevision.revision, changes },
+      req,
+    );
+
+    res.json({
+      message: `Revision ${revision.revision} restored`,
+      id: article._id,
+      status: article.status,
+      currentRevision: article.currentRevision,
+      changes,
+    });
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return res
+        .status(error.statusCode)
+        .json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error("Restore revision error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Resolve "current", "approved" or a revision number to a comparable version
+const loadVersion = async (article, spec) => {
+  if (spec === "current") {
+    await article.populate([
+      { path: "category", select: "name" },
+      { path: "tags", select: "name" },
+    ]);
+    return { label: "current", revision: article.currentRevision, doc: article };
+  }
+
+  const revisionNumber =
+    spec === "approved" ? article.approvedRevision : parseInt(spec);
+  if (!revisionNumber) return null;
+
+  const doc = await ArticleRevision.findOne({
+    article: article._id,
+    revision: revisionNumber,
+  })
+    .populate("category", "name")
+    .populate("tags", "name");
+  if (!doc) return null;
+
+  return {
+    label: spec === "approved" ? "approved" : `revision ${revisionNumber}`,
+    revision: revisionNumber,
+    doc,
+  };
+};
+
+const comparableVersion = (doc) => ({
+  title: doc.title,
+  excerpt: doc.excerpt,
+  content: doc.content,
+  category: doc.category?.name || null,
+  tags: (doc.tags || []).map((tag) => tag.name),
+});
+
+// @desc    Diff two versions of an article
+// @route   GET /api/articles/:id/diff?from=<revision|approved>&to=<revision|current>
+// @access  Private (Author or Admin)
+exports.getRevisionDiff = async (req, res) => {
+  try {
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+
+    // Default: what changed since the last approval (or the previous revision)
+    const defaultFrom = article.approvedRevision
+      ? "approved"
+      : String(Math.max(article.currentRevision - 1, 1));
+    const fromSpec = (req.query.from || defaultFrom).toString();
+    const toSpec = (req.query.to || "current").toString();
+
+    const [from, to] = await Promise.all([
+      loadVersion(article, fromSpec),
+      loadVersion(article, toSpec),
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        message: `Version not found: ${!from ? fromSpec : toSpec}`,
+      });
+    }
+
+    const diff = diffArticleVersions(
+      comparableVersion(from.doc),
+      comparableVersion(to.doc),
+    );
+
+    res.json({
+      articleId: article._id,
+      from: { label: from.label, revision: from.revision },
+      to: { label: to.label, revision: to.revision },
+      ...diff,
+    });
+  } catch (error) {
+    console.error("Get revision diff error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
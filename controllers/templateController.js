@@ -0,0 +1,225 @@
+const { ArticleTemplate, Category } = require("../models");
+const { createAuditLog } = require("../services/auditService");
+const {
+  parseSections,
+  sectionsChanged,
+  buildSkeleton,
+} = require("../services/templateService");
+
+const formatTemplate = (template, version = template.getVersion()) => ({
+  id: template._id,
+  name: template.name,
+  description: template.description,
+  category: template.category?.name || template.category,
+  version: version?.version ?? null,
+  currentVersion: template.currentVersion,
+  sections: version?.sections || [],
+  isActive: template.isActive,
+  updatedAt: template.updatedAt,
+});
+
+// @desc    List active templates, optionally of one category
+// @route   GET /api/templates?category=<id>
+// @access  Private
+exports.getTemplates = async (req, res) => {
+  try {
+    const filter = { isActive: true };
+    if (req.query.category) filter.category = req.query.category;
+
+    const templates = await ArticleTemplate.find(filter)
+      .populate("category", "name")
+      .sort({ name: 1 });
+
+    res.json(templates.map((template) => formatTemplate(template)));
+  } catch (error) {
+    console.error("Get templates error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get a template, at its current or a given version
+// @route   GET /api/templates/:id?version=<n>
+// @access  Private
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await ArticleTemplate.findById(req.params.id).populate("category", "name");
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    const version = template.getVersion(
+      req.query.version ? parseInt(req.query.version) : template.currentVersion,
+    );
+    if (!version) {
+      return res.status(404).json({ message: "Template version not found" });
+    }
+
+    res.json({
+      ...formatTemplate(template, version),
+      versions: template.versions.map((entry) => ({
+        version: entry.version,
+        createdAt: entry.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error("Get template error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Prefilled draft skeleton for a template
+// @route   GET /api/templates/:id/skeleton
+// @access  Private
+exports.getTemplateSkeleton = async (req, res) => {
+  try {
+    const template = await ArticleTemplate.findOne({ _id: req.params.id, isActive: true })
+      .populate("category", "name");
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    const version = template.getVersion();
+
+    // Post this back to /api/articles/drafts to start an article
+    res.json({
+      title: "",
+      ...buildSkeleton(version.sections),
+      category: template.category?.name || null,
+      template: template._id,
+      templateVersion: version.version,
+      sections: version.sections,
+    });
+  } catch (error) {
+    console.error("Get template skeleton error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Template Management (admin)
+exports.createTemplate = async (req, res) => {
+  try {
+    const { name, description, category, sections } = req.body;
+
+    if (!name || !category) {
+      return res.status(400).json({ message: "Template name and category are required" });
+    }
+
+    const categoryRecord = await Category.findById(category);
+    if (!categoryRecord) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const parsed = parseSections(sections);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const template = await ArticleTemplate.create({
+      name,
+      description,
+      category: categoryRecord._id,
+      currentVersion: 1,
+      versions: [{ version: 1, sections: parsed.sections, createdBy: req.user._id }],
+      createdBy: req.user._id,
+    });
+
+    await createAuditLog(
+      req.user._id,
+      "TEMPLATE_CREATE",
+      "ArticleTemplate",
+      template._id,
+      `Created template "${template.name}" for category: ${categoryRecord.name}`,
+      { category: categoryRecord._id, sections: parsed.sections.map((s) => s.heading) },
+      req,
+    );
+
+    await template.populate("category", "name");
+    res.status(201).json(formatTemplate(template));
+  } catch (error) {
+    console.error("Error creating template:", error);
+    res.status(500).json({ message: "Error creating template" });
+  }
+};
+
+// Changing the sections adds a version; name and description are edited in place
+exports.updateTemplate = async (req, res) => {
+  try {
+    const { name, description, sections } = req.body;
+
+    const template = await ArticleTemplate.findById(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    if (name !== undefined) {
+      if (!name.toString().trim()) {
+        return res.status(400).json({ message: "Template name cannot be empty" });
+      }
+      template.name = name;
+    }
+    if (description !== undefined) template.description = description || null;
+
+    let versionAdded = false;
+    if (sections !== undefined) {
+      const parsed = parseSections(sections);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      if (sectionsChanged(template.getVersion().sections, parsed.sections)) {
+        template.currentVersion += 1;
+        template.versions.push({
+          version: template.currentVersion,
+          sections: parsed.sections,
+          createdBy: req.user._id,
+        });
+        versionAdded = true;
+      }
+    }
+
+    await template.save();
+
+    await createAuditLog(
+      req.user._id,
+      "TEMPLATE_EDIT",
+      "ArticleTemplate",
+      template._id,
+      `Updated template: ${template.name}`,
+      { version: template.currentVersion, versionAdded },
+      req,
+    );
+
+    await template.populate("category", "name");
+    res.json(formatTemplate(template));
+  } catch (error) {
+    console.error("Error updating template:", error);
+    res.status(500).json({ message: "Error updating template" });
+  }
+};
+
+// Retire a template; articles started from it keep their version's rules
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await ArticleTemplate.findById(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    template.isActive = false;
+    await template.save();
+
+    await createAuditLog(
+      req.user._id,
+      "TEMPLATE_DELETE",
+      "ArticleTemplate",
+      template._id,
+      `Retired template: ${template.name}`,
+      { version: template.currentVersion },
+      req,
+    );
+
+    res.json({ message: "Template retired successfully" });
+  } catch (error) {
+    console.error("Error retiring template:", error);
+    res.status(500).json({ message: "Error retiring template" });
+  }
+};
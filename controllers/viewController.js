@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+const { Article, Category, User } = require("../models");
+const { canEditArticle } = require("../services/articleAccess");
+const {
+  periodStart,
+  aggregateViews,
+  viewsBySource,
+} = require("../services/viewTrackingService");
+
+const INTERVALS = ["day", "week"];
+const GROUP_BY = ["article", "category", "author"];
+
+// Attach display names to grouped series
+const labelSeries = async (groupBy, series) => {
+  const ids = series.map((entry) => entry.id).filter(Boolean);
+  let docs = [];
+  if (groupBy === "article") {
+    docs = await Article.find({ _id: { $in: ids } }).select("title");
+  } else if (groupBy === "category") {
+    docs = await Category.find({ _id: { $in: ids } }).select("name");
+  } else if (groupBy === "author") {
+    docs = await User.find({ _id: { $in: ids } }).select("username");
+  }
+
+  const names = new Map(
+    docs.map((doc) => [doc._id.toString(), doc.title || doc.name || doc.username]),
+  );
+
+  return series.map((entry) => ({
+    ...entry,
+    name: entry.id ? names.get(entry.id) || null : "Uncategorized",
+  }));
+};
+
+// @desc    View trend of a single article
+// @route   GET /api/articles/:id/views?interval=day|week&period=30
+// @access  Private (Author or Admin)
+exports.getArticleViewTrend = async (req, res) => {
+  try {
+    const { interval = "day", period = "30" } = req.query;
+
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: "interval must be day or week" });
+    }
+
+    const article = await Article.findById(req.params.id);
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    if (!canEditArticle(article, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to view this article's analytics" });
+    }
+
+    const since = periodStart(period);
+    const [series, sources] = await Promise.all([
+      aggregateViews({ interval, since, groupBy: "article", id: article._id }),
+      viewsBySource(since, { article: article._id }),
+    ]);
+    const trend = series[0] || { total: 0, series: [] };
+
+    res.json({
+      articleId: article._id,
+      title: article.title,
+      lifetimeViews: article.views,
+      interval,
+      period: parseInt(period) || 30,
+      viewsInPeriod: trend.total,
+      viewsBySource: sources,
+      series: trend.series,
+    });
+  } catch (error) {
+    console.error("Get article view trend error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// View trends grouped by article, category or author (admin)
+exports.getViewAnalytics = async (req, res) => {
+  try {
+    const { groupBy, id, interval = "day", period = "30", source } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: "interval must be day or week" });
+    }
+    if (groupBy && !GROUP_BY.includes(groupBy)) {
+      return res
+        .status(400)
+        .json({ message: "groupBy must be article, category or author" });
+    }
+    if (id && (!groupBy || !mongoose.Types.ObjectId.isValid(id))) {
+      return res
+        .status(400)
+        .json({ message: "id requires a valid id and a groupBy value" });
+    }
+
+    const since = periodStart(period);
+    const result = await aggregateViews({ interval, since, groupBy, id, source });
+
+    const response = {
+      interval,
+      period: parseInt(period) || 30,
+      groupBy: groupBy || null,
+      viewsBySource: await viewsBySource(since),
+    };
+
+    if (groupBy) {
+      response.series = await labelSeries(groupBy, result.slice(0, limit));
+    } else {
+      response.series = result;
+      response.totalViews = result.reduce((sum, point) => sum + point.views, 0);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("Error fetching view analytics:", error);
+    res.status(500).json({ message: "Error fetching view analytics" });
+  }
+};
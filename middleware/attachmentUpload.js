@@ -0,0 +1,138 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Ensure upload directory exists
+const attachmentDir = path.join(__dirname, '../uploads/attachments');
+if (!fs.existsSync(attachmentDir)) {
+  fs.mkdirSync(attachmentDir, { recursive: true });
+}
+
+const MB = 1024 * 1024;
+
+// Allowed MIME types with their kind and per-file size limit
+const ATTACHMENT_TYPES = {
+  'application/pdf': { kind: 'pdf', maxSize: 10 * MB },
+  'image/png': { kind: 'image', maxSize: 5 * MB },
+  'image/jpeg': { kind: 'image', maxSize: 5 * MB },
+  'image/gif': { kind: 'image', maxSize: 5 * MB },
+  'image/webp': { kind: 'image', maxSize: 5 * MB },
+  'text/plain': { kind: 'text', maxSize: 2 * MB },
+  'text/csv': { kind: 'text', maxSize: 2 * MB },
+  'text/markdown': { kind: 'text', maxSize: 2 * MB },
+  'application/json': { kind: 'config', maxSize: 1 * MB },
+  'application/xml': { kind: 'config', maxSize: 1 * MB },
+  'text/xml': { kind: 'config', maxSize: 1 * MB },
+  'application/x-yaml': { kind: 'config', maxSize: 1 * MB },
+  'text/yaml': { kind: 'config', maxSize: 1 * MB }
+};
+
+// Browsers often send logs and config files as a generic type: trust the extension
+const GENERIC_MIME_TYPES = ['application/octet-stream', ''];
+const EXTENSION_TYPES = {
+  '.log': 'text/plain',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.yaml': 'application/x-yaml',
+  '.yml': 'application/x-yaml',
+  '.conf': 'text/plain',
+  '.cfg': 'text/plain',
+  '.ini': 'text/plain',
+  '.toml': 'text/plain',
+  '.properties': 'text/plain'
+};
+
+const MAX_FILES = 10;
+const MAX_FILE_SIZE = Math.max(...Object.values(ATTACHMENT_TYPES).map(t => t.maxSize));
+
+/**
+ * Resolve the effective MIME type of an uploaded file
+ * @returns {string|null} - Allowed MIME type, or null when not allowed
+ */
+const resolveMimeType = (file) => {
+  if (ATTACHMENT_TYPES[file.mimetype]) {
+    return file.mimetype;
+  }
+  if (GENERIC_MIME_TYPES.includes(file.mimetype || '')) {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    return EXTENSION_TYPES[ext] || null;
+  }
+  return null;
+};
+
+// Configure storage
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, attachmentDir);
+  },
+  filename: (req, file, cb) => {
+    // Create unique filename: timestamp-random-originalname
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const safeName = path.basename(file.originalname).replace(/[^\w.\-]+/g, '_');
+    cb(null, uniqueSuffix + '-' + safeName);
+  }
+});
+
+// File filter - only allowlisted types
+const fileFilter = (req, file, cb) => {
+  const mimeType = resolveMimeType(file);
+  if (mimeType) {
+    file.resolvedMimeType = mimeType;
+    cb(null, true);
+  } else {
+    cb(new Error(`File type not allowed: ${file.originalname}`), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES
+  }
+});
+
+const removeFiles = (files) => {
+  (files || []).forEach(file => {
+    fs.unlink(file.path, () => {});
+  });
+};
+
+/**
+ * Accept up to MAX_FILES files in the "files" field, enforcing the
+ * per-type size limits. Upload errors are answered with 400.
+ */
+const uploadAttachments = (req, res, next) => {
+  upload.array('files', MAX_FILES)(req, res, (err) => {
+    if (err) {
+      removeFiles(req.files);
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File too large (max ${MAX_FILE_SIZE / MB}MB)`
+        : err.message;
+      return res.status(400).json({ message });
+    }
+
+    const oversized = (req.files || []).find(
+      file => file.size > ATTACHMENT_TYPES[file.resolvedMimeType].maxSize
+    );
+    if (oversized) {
+      removeFiles(req.files);
+      const limit = ATTACHMENT_TYPES[oversized.resolvedMimeType].maxSize / MB;
+      return res.status(400).json({
+        message: `${oversized.originalname} exceeds the ${limit}MB limit for this file type`
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadAttachments,
+  attachmentDir,
+  ATTACHMENT_TYPES
+};
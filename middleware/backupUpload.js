@@ -0,0 +1,53 @@
+const multer = require('multer');
+const os = require('os');
+const path = require('path');
+
+const maxSizeMb = parseInt(process.env.BACKUP_MAX_SIZE_MB) || 512;
+
+// Archives can be large: spool them to the temp directory, the restore
+// handler removes the file when it is done
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, os.tmpdir());
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `kkbp-restore-${uniqueSuffix}.zip`);
+  }
+});
+
+// File filter - only ZIP archives
+const fileFilter = (req, file, cb) => {
+  if (path.extname(file.originalname || '').toLowerCase() === '.zip') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .zip backup archives can be restored'), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: maxSizeMb * 1024 * 1024
+  }
+});
+
+/**
+ * Accept one archive in the "archive" field; upload errors are answered with 400
+ */
+const uploadBackupArchive = (req, res, next) => {
+  upload.single('archive')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Archive too large (max ${maxSizeMb}MB)`
+        : err.message;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  uploadBackupArchive
+};
@@ -0,0 +1,46 @@
+const multer = require('multer');
+const path = require('path');
+
+// Document formats that can be imported as article drafts
+const IMPORT_EXTENSIONS = ['.docx', '.md', '.markdown', '.html', '.htm'];
+
+// Keep the document in memory: it is converted, not stored
+const storage = multer.memoryStorage();
+
+// File filter - only importable documents
+const fileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (IMPORT_EXTENSIONS.includes(ext)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Only ${IMPORT_EXTENSIONS.join(', ')} files can be imported`), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit
+  }
+});
+
+/**
+ * Accept one document in the "document" field; upload errors are answered with 400
+ */
+const uploadImportDocument = (req, res, next) => {
+  upload.single('document')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'Document too large (max 20MB)'
+        : err.message;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  uploadImportDocument,
+  IMPORT_EXTENSIONS
+};
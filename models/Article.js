@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { slugify, uniqueSlug } = require("../services/slugService");
+const { CONTENT_FORMATS, renderContent } = require("../services/contentRenderer");
 
 const articleSchema = new mongoose.Schema(
   {
@@ -8,18 +10,56 @@ const articleSchema = new mongoose.Schema(
       trim: true,
       maxlength: 200,
     },
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+    },
+    // Slugs used before a title change, kept so shared links still resolve
+    previousSlugs: {
+      type: [String],
+      default: [],
+      index: true,
+    },
     content: {
       type: String,
       required: true,
     },
+    contentFormat: {
+      type: String,
+      enum: CONTENT_FORMATS,
+      default: "markdown",
+    },
+    // Sanitized HTML and metadata derived from content on save
+    rendered: {
+      html: { type: String, default: null },
+      toc: [
+        {
+          _id: false,
+          level: Number,
+          text: String,
+          anchor: String,
+        },
+      ],
+      wordCount: { type: Number, default: 0 },
+      readingTimeMinutes: { type: Number, default: 0 },
+    },
     excerpt: {
       type: String,
       default: null,
       maxlength: 500,
     },
+    // Who wrote the excerpt: generated ones follow content edits, an
+    // author's is never overwritten
+    excerptSource: {
+      type: String,
+      enum: ["author", "llm", "extractive", null],
+      default: null,
+    },
     status: {
       type: String,
-      enum: ["DRAFT", "PENDING", "APPROVED", "REJECTED"],
+      enum: ["DRAFT", "PENDING", "APPROVED", "REJECTED", "ARCHIVED"],
       default: "PENDING",
     },
     views: {
@@ -30,6 +70,14 @@ const articleSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    helpfulVotes: {
+      type: Number,
+      default: 0,
+    },
+    notHelpfulVotes: {
+      type: Number,
+      default: 0,
+    },
     rejectionReason: {
       type: String,
       default: null,
@@ -39,12 +87,24 @@ const articleSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Co-authors can edit the article and are credited alongside the author
+    coAuthors: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
       default: null,
     },
     tags: [{ type: mongoose.Schema.Types.ObjectId, ref: "Tag" }],
+    // Template (and its version) the article was started from
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ArticleTemplate",
+      default: null,
+    },
+    templateVersion: {
+      type: Number,
+      default: null,
+    },
     pdfFile: {
       type: String,
       default: null,
@@ -57,6 +117,10 @@ const articleSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    attachmentCount: {
+      type: Number,
+      default: 0,
+    },
     approvedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -66,8 +130,305 @@ const articleSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    currentRevision: {
+      type: Number,
+      default: 0,
+    },
+    approvedRevision: {
+      type: Number,
+      default: null,
+    },
+    rejectedRevision: {
+      type: Number,
+      default: null,
+    },
+    // Each submission for review opens a new round; decisions are kept per round
+    reviewRound: {
+      type: Number,
+      default: 0,
+    },
+    approvals: [
+      {
+        reviewer: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        decision: {
+          type: String,
+          enum: ["APPROVED", "REJECTED"],
+          required: true,
+        },
+        comment: {
+          type: String,
+          default: null,
+          maxlength: 2000,
+        },
+        round: {
+          type: Number,
+          required: true,
+        },
+        revision: {
+          type: Number,
+          default: null,
+        },
+        decidedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Publishing window of an approved article: hidden before publishAt,
+    // archived once unpublishAt passes
+    publishAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    unpublishAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // Explicit review deadline; without one the category's interval applies
+    reviewBy: {
+      type: Date,
+      default: null,
+    },
+    // Effective deadline, kept in step with reviewBy and the category interval
+    reviewDueAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    lastVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    lastVerifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewReminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    // Approved or pending articles this one looked like when last checked
+    possibleDuplicates: [
+      {
+        _id: false,
+        article: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Article",
+          required: true,
+        },
+        score: { type: Number, required: true },
+        titleSimilarity: { type: Number, default: null },
+        contentSimilarity: { type: Number, default: null },
+        detectedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Set when an admin merged this article into another one; its links
+    // then lead to that article
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      default: null,
+    },
+    mergedAt: {
+      type: Date,
+      default: null,
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set while the article is in the trash; the purge job removes it for
+    // good once the retention period has passed
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   { timestamps: true },
 );
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keep the slug in step with the title, remembering the old one
+articleSchema.pre("validate", async function (next) {
+  try {
+    if (this.slug && !this.isModified("title")) return next();
+
+    const base = slugify(this.title);
+    if (this.slug === base) return next();
+
+    const slug = await this.constructor.freeSlug(base, this._id);
+
+    if (slug === this.slug) return next();
+
+    if (this.slug) {
+      this.previousSlugs.addToSet(this.slug);
+    }
+    // Going back to an earlier title reclaims its slug
+    this.previousSlugs.pull(slug);
+    this.slug = slug;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Re-render whenever the source or its format changes
+articleSchema.pre("save", function (next) {
+  const sourceChanged =
+    this.isNew || this.isModified("content") || this.isModified("contentFormat");
+  if (sourceChanged || !this.rendered?.html) {
+    this.rendered = renderContent(this.content, this.contentFormat);
+  }
+  next();
+});
+
+// Fields whose change invalidates approvals already given in a round
+const REVIEWED_FIELDS = ["title", "content", "contentFormat", "excerpt", "category", "tags", "pdfFile"];
+
+// Submitting for review, or editing while under review, starts a new round
+articleSchema.pre("save", function (next) {
+  if (this.status !== "PENDING") return next();
+
+  const entersReview = this.isNew || this.isModified("status");
+  const editedInReview = REVIEWED_FIELDS.some((field) => this.isModified(field));
+  if (entersReview || editedInReview) {
+    this.reviewRound = (this.reviewRound || 0) + 1;
+    // A publishing window belongs to the approval that sets it
+    this.publishAt = null;
+    this.unpublishAt = null;
+  }
+  next();
+});
+
+// Recompute the review deadline when anything it depends on changes
+articleSchema.pre("save", async function (next) {
+  try {
+    const inputs = ["reviewBy", "category", "approvedAt", "lastVerifiedAt"];
+    if (!this.isNew && !inputs.some((field) => this.isModified(field))) return next();
+
+    const category = this.category
+      ? await mongoose.model("Category").findById(this.category, "reviewIntervalDays")
+      : null;
+    this.reviewDueAt = this.computeReviewDueAt(category?.reviewIntervalDays);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Trashed articles are left out of every query unless it asks for them,
+// by filtering on deletedAt or with setOptions({ withDeleted: true })
+const READ_QUERIES = ["find", "findOne", "findOneAndUpdate", "countDocuments", "distinct"];
+
+articleSchema.pre(READ_QUERIES, function () {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+});
+
+articleSchema.pre("aggregate", function () {
+  const [first] = this.pipeline();
+  if (first?.$match?.deletedAt !== undefined) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+/**
+ * Review deadline: the explicit reviewBy date, otherwise the category
+ * interval counted from the last verification (or approval)
+ * @param {number} intervalDays - Category review interval, if any
+ * @returns {Date|null}
+ */
+articleSchema.methods.computeReviewDueAt = function (intervalDays) {
+  if (this.reviewBy) return this.reviewBy;
+  if (!intervalDays) return null;
+
+  const since = this.lastVerifiedAt || this.approvedAt || this.createdAt || new Date();
+  return new Date(since.getTime() + intervalDays * DAY_MS);
+};
+
+/**
+ * Approved articles past their review deadline may be outdated
+ * @returns {boolean}
+ */
+articleSchema.methods.isOutdated = function (now = new Date()) {
+  return this.status === "APPROVED" && Boolean(this.reviewDueAt) && this.reviewDueAt <= now;
+};
+
+/**
+ * Rendered form of the content, rendering on the fly for articles
+ * saved before rendering existed
+ * @returns {Object} - { html, toc, wordCount, readingTimeMinutes }
+ */
+articleSchema.methods.getRendered = function () {
+  if (this.rendered?.html) {
+    return this.rendered;
+  }
+  return renderContent(this.content, this.contentFormat);
+};
+
+/**
+ * First slug based on base that no other article uses or used before.
+ * Trashed articles keep their slugs so a restore never collides
+ * @param {string} base - Slugified title
+ * @param {ObjectId} articleId - Article the slug is for
+ * @returns {Promise<string>}
+ */
+articleSchema.statics.freeSlug = function (base, articleId) {
+  return uniqueSlug(base, (candidate) =>
+    this.exists({
+      _id: { $ne: articleId },
+      $or: [{ slug: candidate }, { previousSlugs: candidate }],
+    }).setOptions({ withDeleted: true }),
+  );
+};
+
+// Another article saved with the same slug after the validate hook checked it
+const isSlugConflict = (error) => error?.code === 11000 && Boolean(error.keyPattern?.slug);
+
+/**
+ * Save the article. When another article claimed the same slug between the
+ * validate hook's check and this write, retry once with the next free slug.
+ * Use it for saves that can set the slug: creating, or changing the title.
+ * @returns {Promise<Object>} - The saved article
+ */
+articleSchema.methods.saveWithFreeSlug = async function () {
+  try {
+    return await this.save();
+  } catch (error) {
+    if (!isSlugConflict(error)) throw error;
+    this.slug = await this.constructor.freeSlug(slugify(this.title), this._id);
+    return this.save();
+  }
+};
+
+/**
+ * Give a slug to articles created before permalinks existed. Only the slug
+ * is written, so updatedAt and the rest of the document stay as they were
+ * @returns {Promise<number>} - Number of articles updated
+ */
+articleSchema.statics.backfillSlugs = async function () {
+  const articles = await this.find({ slug: { $in: [null, ""] } }, "title")
+    .setOptions({ withDeleted: true })
+    .lean();
+  for (const article of articles) {
+    const slug = await this.freeSlug(slugify(article.title), article._id);
+    await this.updateOne({ _id: article._id }, { slug }, { timestamps: false });
+  }
+  return articles.length;
+};
+
 module.exports = mongoose.model("Article", articleSchema);
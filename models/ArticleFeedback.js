@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const articleFeedbackSchema = new mongoose.Schema(
+  {
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    helpful: {
+      type: Boolean,
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: 1000,
+    },
+  },
+  { timestamps: true },
+);
+
+// One vote per user and article (the vote itself can change)
+articleFeedbackSchema.index({ article: 1, user: 1 }, { unique: true });
+articleFeedbackSchema.index({ article: 1, helpful: 1, updatedAt: -1 });
+
+module.exports = mongoose.model("ArticleFeedback", articleFeedbackSchema);
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+const articleRevisionSchema = new mongoose.Schema(
+  {
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    contentFormat: {
+      type: String,
+      default: "markdown",
+    },
+    excerpt: {
+      type: String,
+      default: null,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    tags: [{ type: mongoose.Schema.Types.ObjectId, ref: "Tag" }],
+    pdfFile: {
+      type: String,
+      default: null,
+    },
+    pdfOriginalName: {
+      type: String,
+      default: null,
+    },
+    pdfText: {
+      type: String,
+      default: null,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+    note: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+articleRevisionSchema.index({ article: 1, revision: -1 }, { unique: true });
+
+// Revisions are an append-only history: block any attempt to change one
+const rejectMutation = function (next) {
+  next(new Error("Article revisions are immutable"));
+};
+
+articleRevisionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+articleRevisionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  rejectMutation,
+);
+
+module.exports = mongoose.model("ArticleRevision", articleRevisionSchema);
@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+
+const sectionSchema = new mongoose.Schema(
+  {
+    heading: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    required: {
+      type: Boolean,
+      default: true,
+    },
+    // Hint prefilled under the heading in new drafts
+    guidance: {
+      type: String,
+      default: "",
+      maxlength: 1000,
+    },
+  },
+  { _id: false },
+);
+
+// Sections are never edited in place: a change adds a version, and articles
+// keep being checked against the version they were started from
+const versionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+    },
+    sections: [sectionSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+const articleTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      required: true,
+      index: true,
+    },
+    currentVersion: {
+      type: Number,
+      default: 1,
+    },
+    versions: [versionSchema],
+    // Retired templates are no longer offered, but still validate the
+    // articles that were started from them
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+/**
+ * Sections of a version (the current one by default)
+ * @returns {Object|null} - { version, sections, createdBy, createdAt }
+ */
+articleTemplateSchema.methods.getVersion = function (version = this.currentVersion) {
+  return this.versions.find((entry) => entry.version === version) || null;
+};
+
+module.exports = mongoose.model("ArticleTemplate", articleTemplateSchema);
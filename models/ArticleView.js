@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const articleViewSchema = new mongoose.Schema(
+  {
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    viewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Copied from the article at view time so trends can be grouped cheaply
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: ["direct", "search", "chatbot"],
+      default: "direct",
+    },
+    // Start of the dedup window the view fell in; one view per viewer,
+    // article and window
+    bucket: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+articleViewSchema.index({ article: 1, viewer: 1, createdAt: -1 });
+// Views recorded before buckets existed have none and are left out
+articleViewSchema.index(
+  { article: 1, viewer: 1, bucket: 1 },
+  { unique: true, partialFilterExpression: { bucket: { $type: "date" } } },
+);
+articleViewSchema.index({ createdAt: -1 });
+articleViewSchema.index({ category: 1, createdAt: -1 });
+articleViewSchema.index({ author: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ArticleView", articleViewSchema);
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    filename: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["pdf", "image", "text", "config"],
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    caption: {
+      type: String,
+      default: null,
+      maxlength: 300,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true },
+);
+
+attachmentSchema.index({ article: 1, order: 1 });
+attachmentSchema.index({ filename: 1 }, { unique: true });
+
+module.exports = mongoose.model("Attachment", attachmentSchema);
@@ -16,8 +16,22 @@ const auditLogSchema = new mongoose.Schema(
         "ARTICLE_CREATE",
         "ARTICLE_EDIT",
         "ARTICLE_DELETE",
+        "ARTICLE_RESTORE",
+        "ARTICLE_PURGE",
         "ARTICLE_APPROVE",
         "ARTICLE_REJECT",
+        "ARTICLE_PUBLISH",
+        "ARTICLE_SUBMIT",
+        "ARTICLE_WITHDRAW",
+        "ARTICLE_RESUBMIT",
+        "ARTICLE_ARCHIVE",
+        "ARTICLE_UNARCHIVE",
+        "ARTICLE_VERIFY",
+        "ARTICLE_TRANSFER",
+        "ARTICLE_MERGE",
+        "EXCERPT_BACKFILL",
+        "ATTACHMENT_ADD",
+        "ATTACHMENT_REMOVE",
         "USER_CREATE",
         "USER_EDIT",
         "USER_DELETE",
@@ -29,12 +43,25 @@ const auditLogSchema = new mongoose.Schema(
         "TAG_CREATE",
         "TAG_EDIT",
         "TAG_DELETE",
+        "TEMPLATE_CREATE",
+        "TEMPLATE_EDIT",
+        "TEMPLATE_DELETE",
+        "COMMENT_CREATE",
+        "COMMENT_EDIT",
+        "COMMENT_DELETE",
+        "COMMENT_HIDE",
+        "COMMENT_UNHIDE",
+        "REVIEW_COMMENT_CREATE",
+        "REVIEW_COMMENT_RESOLVE",
+        "REVIEW_COMMENT_UNRESOLVE",
         "SETTINGS_UPDATE",
+        "BACKUP_EXPORT",
+        "BACKUP_RESTORE",
       ],
     },
     entity: {
       type: String,
-      required: true, // "Article", "User", "Category", "Tag", "System"
+      required: true, // "Article", "User", "Category", "Tag", "Comment", "ReviewComment", "ArticleTemplate", "System"
     },
     entityId: {
       type: mongoose.Schema.Types.ObjectId,
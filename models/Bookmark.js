@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+const bookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    lists: [{ type: mongoose.Schema.Types.ObjectId, ref: "BookmarkList" }],
+    note: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
+  },
+  { timestamps: true },
+);
+
+// One bookmark per user and article
+bookmarkSchema.index({ user: 1, article: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, lists: 1, createdAt: -1 });
+bookmarkSchema.index({ article: 1 });
+
+module.exports = mongoose.model("Bookmark", bookmarkSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const bookmarkListSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
+  },
+  { timestamps: true },
+);
+
+// List names are unique per user
+bookmarkListSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("BookmarkList", bookmarkListSchema);
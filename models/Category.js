@@ -13,6 +13,23 @@ const categorySchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Articles in this category are due for review this many days after
+    // approval or their last verification
+    reviewIntervalDays: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // Who must sign off articles in this category before they are approved
+    approvalPolicy: {
+      requiredApprovals: {
+        type: Number,
+        default: 1,
+        min: 1,
+      },
+      // Admins allowed to review; empty means any admin
+      reviewers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    },
   },
   { timestamps: true },
 );
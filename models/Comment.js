@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+const commentSchema = new mongoose.Schema(
+  {
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000,
+    },
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    status: {
+      type: String,
+      enum: ["VISIBLE", "HIDDEN", "DELETED"],
+      default: "VISIBLE",
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    moderatedAt: {
+      type: Date,
+      default: null,
+    },
+    moderationReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+commentSchema.index({ article: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+commentSchema.index({ mentions: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Comment", commentSchema);
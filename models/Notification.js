@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["REVIEW_DUE", "REVIEW_COMMENT"],
+    },
+    message: {
+      type: String,
+      required: true,
+      maxlength: 500,
+    },
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      default: null,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ article: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// Where in the article source a review comment points
+const anchorSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["range", "paragraph"],
+      required: true,
+    },
+    // range: character offsets into article.content
+    start: { type: Number, default: null },
+    end: { type: Number, default: null },
+    // paragraph: index of the blank-line separated block
+    paragraph: { type: Number, default: null },
+    // Text the anchor covered when the comment was made
+    quote: { type: String, default: "" },
+  },
+  { _id: false },
+);
+
+const reviewCommentSchema = new mongoose.Schema(
+  {
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Replies point at the reviewer's comment that opened the thread
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReviewComment",
+      default: null,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000,
+    },
+    anchor: {
+      type: anchorSchema,
+      default: null,
+    },
+    // Blocking threads must be resolved before the article can be resubmitted
+    blocking: {
+      type: Boolean,
+      default: false,
+    },
+    round: {
+      type: Number,
+      default: 0,
+    },
+    revision: {
+      type: Number,
+      default: 0,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+reviewCommentSchema.index({ article: 1, createdAt: 1 });
+reviewCommentSchema.index({ article: 1, parent: 1, resolvedAt: 1 });
+
+module.exports = mongoose.model("ReviewComment", reviewCommentSchema);
@@ -2,14 +2,34 @@ const User = require("./User");
 const Article = require("./Article");
 const Category = require("./Category");
 const Tag = require("./Tag");
+const ArticleTemplate = require("./ArticleTemplate");
 const AuditLog = require("./AuditLog");
 const ArticleEmbedding = require("./ArticleEmbedding");
+const ArticleRevision = require("./ArticleRevision");
+const Bookmark = require("./Bookmark");
+const BookmarkList = require("./BookmarkList");
+const Comment = require("./Comment");
+const ReviewComment = require("./ReviewComment");
+const ArticleFeedback = require("./ArticleFeedback");
+const ArticleView = require("./ArticleView");
+const Attachment = require("./Attachment");
+const Notification = require("./Notification");
 
 module.exports = {
   User,
   Article,
   Category,
   Tag,
+  ArticleTemplate,
   AuditLog,
   ArticleEmbedding,
+  ArticleRevision,
+  Bookmark,
+  BookmarkList,
+  Comment,
+  ReviewComment,
+  ArticleFeedback,
+  ArticleView,
+  Attachment,
+  Notification,
 };
@@ -7,10 +7,19 @@ const {
   updateUserRole,
   deleteUser,
   getAllArticlesAdmin,
+  getNeedsReviewQueue,
   deleteArticle,
+  purgeDeletedArticle,
+  transferArticles,
+  getArticleDuplicates,
+  mergeArticle,
+  backfillExcerpts,
+  getExcerptBackfill,
+  transferUserArticles,
   unpublishArticle,
   getCategoriesWithStats,
   updateCategory,
+  updateCategoryApprovalPolicy,
   deleteCategory,
   getAllTagsWithStats,
   updateTag,
@@ -18,6 +27,23 @@ const {
   getAuditLogs,
   getAnalytics,
 } = require("../controllers/adminController");
+const {
+  hideComment,
+  unhideComment,
+  deleteCommentAdmin,
+} = require("../controllers/commentController");
+const {
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} = require("../controllers/templateController");
+const { getLowestRatedArticles } = require("../controllers/feedbackController");
+const { getViewAnalytics } = require("../controllers/viewController");
+const {
+  downloadBackup,
+  restoreBackup,
+} = require("../controllers/backupController");
+const { uploadBackupArchive } = require("../middleware/backupUpload");
 const { protect, adminOnly } = require("../middleware/auth");
 
 // All routes require admin authentication
@@ -27,23 +53,44 @@ router.use(adminOnly);
 // Dashboard
 router.get("/dashboard/stats", getDashboardStats);
 router.get("/analytics", getAnalytics);
+router.get("/analytics/views", getViewAnalytics);
 
 // User Management
 router.get("/users", getAllUsers);
 router.patch("/users/:userId/status", updateUserStatus);
 router.patch("/users/:userId/role", updateUserRole);
 router.delete("/users/:userId", deleteUser);
+router.post("/users/:userId/articles/transfer", transferUserArticles);
 
 // Article Management
 router.get("/articles", getAllArticlesAdmin);
+router.get("/articles/needs-review", getNeedsReviewQueue);
+router.post("/articles/transfer", transferArticles);
+router.post("/articles/excerpts/backfill", backfillExcerpts);
+router.get("/articles/excerpts/backfill", getExcerptBackfill);
+router.get("/articles/:articleId/duplicates", getArticleDuplicates);
+router.post("/articles/:articleId/merge", mergeArticle);
 router.delete("/articles/:articleId", deleteArticle);
+router.delete("/articles/:articleId/purge", purgeDeletedArticle);
 router.patch("/articles/:articleId/unpublish", unpublishArticle);
+router.get("/feedback/lowest-rated", getLowestRatedArticles);
+
+// Comment Moderation
+router.patch("/comments/:commentId/hide", hideComment);
+router.patch("/comments/:commentId/unhide", unhideComment);
+router.delete("/comments/:commentId", deleteCommentAdmin);
 
 // Category Management
 router.get("/categories", getCategoriesWithStats);
 router.patch("/categories/:categoryId", updateCategory);
+router.patch("/categories/:categoryId/approval-policy", updateCategoryApprovalPolicy);
 router.delete("/categories/:categoryId", deleteCategory);
 
+// Article Templates
+router.post("/templates", createTemplate);
+router.put("/templates/:templateId", updateTemplate);
+router.delete("/templates/:templateId", deleteTemplate);
+
 // Tag Management
 router.get("/tags", getAllTagsWithStats);
 router.patch("/tags/:tagId", updateTag);
@@ -52,4 +99,8 @@ router.delete("/tags/:tagId", deleteTag);
 // Audit Logs
 router.get("/audit-logs", getAuditLogs);
 
+// Backup & Restore
+router.get("/backup", downloadBackup);
+router.post("/backup/restore", uploadBackupArchive, restoreBackup);
+
 module.exports = router;
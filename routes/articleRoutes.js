@@ -4,24 +4,88 @@ const path = require("path");
 const {
   getArticles,
   getArticle,
+  getArticleBySlug,
+  getRelatedArticles,
   createArticle,
+  createDraft,
+  suggestArticleTaxonomy,
+  suggestDraftExcerpt,
+  suggestArticleExcerpt,
+  updateArticle,
   getMyArticles,
   approveArticle,
   rejectArticle,
   deleteArticle,
+  getTrash,
+  restoreDeletedArticle,
   getArticleStats,
+  submitArticle,
+  withdrawArticle,
+  resubmitArticle,
+  archiveArticle,
+  unarchiveArticle,
+  verifyArticleContent,
+  updateCoAuthors,
 } = require("../controllers/articleController");
+const {
+  getRevisions,
+  getRevision,
+  restoreRevision,
+  getRevisionDiff,
+} = require("../controllers/revisionController");
+const {
+  getComments,
+  createComment,
+} = require("../controllers/commentController");
+const {
+  getReviewComments,
+  createReviewComment,
+  resolveReviewComment,
+  unresolveReviewComment,
+} = require("../controllers/reviewCommentController");
+const {
+  getFeedback,
+  submitFeedback,
+  removeFeedback,
+} = require("../controllers/feedbackController");
+const { getArticleViewTrend } = require("../controllers/viewController");
+const {
+  getAttachments,
+  addAttachments,
+  updateAttachment,
+  reorderAttachments,
+  removeAttachment,
+  downloadAttachment,
+  serveAttachmentImage,
+} = require("../controllers/attachmentController");
+const { importArticle } = require("../controllers/importController");
+const { exportArticle } = require("../controllers/exportController");
 const { protect, adminOnly } = require("../middleware/auth");
 const upload = require("../middleware/upload");
+const { publishedFilter } = require("../services/articleAccess");
+const { uploadAttachments } = require("../middleware/attachmentUpload");
+const { uploadImportDocument } = require("../middleware/importUpload");
 
 // Public routes (require authentication)
 router.get("/", protect, getArticles);
 router.get("/stats", protect, adminOnly, getArticleStats);
 router.get("/my-articles", protect, getMyArticles);
+router.get("/trash", protect, getTrash);
+router.get("/by-slug/:slug", protect, getArticleBySlug);
 router.get("/:id", protect, getArticle);
 
 // Create article (employees only) - with optional PDF upload
 router.post("/", protect, upload.single('pdfFile'), createArticle);
+router.post("/drafts", protect, upload.single('pdfFile'), createDraft);
+
+// Tag and category suggestions for a draft (PDF optional, not stored)
+router.post("/suggestions", protect, upload.single('pdfFile'), suggestArticleTaxonomy);
+
+// Excerpt suggestions for a draft, or for an article from its current content
+router.post("/excerpt-suggestion", protect, suggestDraftExcerpt);
+
+// Import a .docx, .md or .html document as a draft
+router.post("/import", protect, uploadImportDocument, importArticle);
 
 // Serve PDF files - Public route for iframe viewing
 router.get("/pdf/:filename", async (req, res) => {
@@ -29,9 +93,9 @@ router.get("/pdf/:filename", async (req, res) => {
     const filename = req.params.filename;
     const filePath = path.join(__dirname, '../uploads/pdfs', filename);
     
-    // Check if file exists and article is approved (security check)
+    // Check if file exists and article is published (security check)
     const Article = require('../models/Article');
-    const article = await Article.findOne({ pdfFile: filename, status: 'APPROVED' });
+    const article = await Article.findOne({ pdfFile: filename, ...publishedFilter() });
     
     if (!article) {
       return res.status(404).json({ message: 'PDF not found or article not approved' });
@@ -50,11 +114,72 @@ router.get("/pdf/:filename", async (req, res) => {
   }
 });
 
+// Attachment download (access follows the article's visibility)
+router.get("/attachments/:attachmentId/download", protect, downloadAttachment);
+
+// Images of published articles - Public route so <img> tags can load them
+router.get("/attachments/:attachmentId/image", serveAttachmentImage);
+
+// Edit article (author or admin) - with optional PDF replacement
+router.put("/:id", protect, upload.single('pdfFile'), updateArticle);
+router.patch("/:id", protect, upload.single('pdfFile'), updateArticle);
+
+// Co-authors share editing rights (set by the author or an admin)
+router.put("/:id/co-authors", protect, updateCoAuthors);
+
+// Revision history (author or admin)
+router.get("/:id/revisions", protect, getRevisions);
+router.get("/:id/revisions/:revision", protect, getRevision);
+router.post("/:id/revisions/:revision/restore", protect, restoreRevision);
+router.get("/:id/diff", protect, getRevisionDiff);
+
+router.get("/:id/related", protect, getRelatedArticles);
+router.get("/:id/excerpt-suggestion", protect, suggestArticleExcerpt);
+
+// Offline copies
+router.get("/:id/export", protect, exportArticle);
+
+// Attachments (add/remove/reorder: author or admin)
+router.get("/:id/attachments", protect, getAttachments);
+router.post("/:id/attachments", protect, uploadAttachments, addAttachments);
+router.patch("/:id/attachments/order", protect, reorderAttachments);
+router.patch("/:id/attachments/:attachmentId", protect, updateAttachment);
+router.delete("/:id/attachments/:attachmentId", protect, removeAttachment);
+
+// Discussion
+router.get("/:id/comments", protect, getComments);
+router.post("/:id/comments", protect, createComment);
+
+// Inline review threads on pending articles (author or admin)
+router.get("/:id/review-comments", protect, getReviewComments);
+router.post("/:id/review-comments", protect, createReviewComment);
+router.patch("/:id/review-comments/:commentId/resolve", protect, resolveReviewComment);
+router.patch("/:id/review-comments/:commentId/unresolve", protect, unresolveReviewComment);
+
+// "Was this helpful?" votes
+router.get("/:id/feedback", protect, getFeedback);
+router.put("/:id/feedback", protect, submitFeedback);
+router.delete("/:id/feedback", protect, removeFeedback);
+
+// View analytics (author or admin)
+router.get("/:id/views", protect, getArticleViewTrend);
+
+// Lifecycle transitions (see services/articleLifecycle.js for who may do what)
+router.patch("/:id/submit", protect, submitArticle);
+router.patch("/:id/withdraw", protect, withdrawArticle);
+router.patch("/:id/resubmit", protect, resubmitArticle);
+router.patch("/:id/archive", protect, archiveArticle);
+router.patch("/:id/unarchive", protect, unarchiveArticle);
+
+// Re-verify content that is due for review (author or admin)
+router.patch("/:id/verify", protect, verifyArticleContent);
+
 // Admin only routes
 router.patch("/:id/approve", protect, adminOnly, approveArticle);
 router.patch("/:id/reject", protect, adminOnly, rejectArticle);
 
-// Delete (author or admin)
+// Delete moves to the trash; restore within the retention period (author or admin)
 router.delete("/:id", protect, deleteArticle);
+router.post("/:id/restore", protect, restoreDeletedArticle);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getBookmarks,
+  addBookmark,
+  removeBookmark,
+  setBookmarkLists,
+  getLists,
+  getList,
+  createList,
+  updateList,
+  deleteList,
+} = require("../controllers/bookmarkController");
+const { protect } = require("../middleware/auth");
+
+// All bookmark routes belong to the logged in user
+router.use(protect);
+
+// Reading lists
+router.get("/lists", getLists);
+router.post("/lists", createList);
+router.get("/lists/:listId", getList);
+router.patch("/lists/:listId", updateList);
+router.delete("/lists/:listId", deleteList);
+
+// Bookmarks
+router.get("/", getBookmarks);
+router.post("/", addBookmark);
+router.put("/:articleId/lists", setBookmarkLists);
+router.delete("/:articleId", removeBookmark);
+
+module.exports = router;
@@ -4,9 +4,11 @@ const {
   getCategories,
   createCategory,
 } = require("../controllers/categoryController");
+const { exportCategory } = require("../controllers/exportController");
 const { protect, adminOnly } = require("../middleware/auth");
 
 router.get("/", protect, getCategories);
 router.post("/", protect, adminOnly, createCategory);
+router.get("/:id/export", protect, exportCategory);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+const {
+  updateComment,
+  deleteComment,
+} = require("../controllers/commentController");
+const { protect } = require("../middleware/auth");
+
+// Comment author routes (listing and posting live under /api/articles/:id/comments)
+router.patch("/:commentId", protect, updateComment);
+router.delete("/:commentId", protect, deleteComment);
+
+module.exports = router;
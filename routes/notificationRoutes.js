@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require("../controllers/notificationController");
+const { protect } = require("../middleware/auth");
+
+// Notifications belong to the logged in user
+router.use(protect);
+
+router.get("/", getNotifications);
+router.patch("/read-all", markAllNotificationsRead);
+router.patch("/:notificationId/read", markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getTemplates,
+  getTemplate,
+  getTemplateSkeleton,
+} = require("../controllers/templateController");
+const { protect } = require("../middleware/auth");
+
+// Templates are managed under /api/admin/templates
+router.get("/", protect, getTemplates);
+router.get("/:id", protect, getTemplate);
+router.get("/:id/skeleton", protect, getTemplateSkeleton);
+
+module.exports = router;
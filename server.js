@@ -2,6 +2,8 @@ const express = require("express");
 const cors = require("cors");
 const dotenv = require("dotenv");
 const { connectDB } = require("./config/database");
+const { Article } = require("./models");
+const { startScheduler } = require("./services/scheduler");
 
 // Load environment variables
 dotenv.config();
@@ -18,8 +20,12 @@ app.use(express.urlencoded({ extended: true }));
 app.use("/api/auth", require("./routes/authRoutes"));
 app.use("/api/articles", require("./routes/articleRoutes"));
 app.use("/api/categories", require("./routes/categoryRoutes"));
+app.use("/api/templates", require("./routes/templateRoutes"));
 app.use("/api/chatbot", require("./routes/chatbotRoutes"));
 app.use("/api/admin", require("./routes/adminRoutes"));
+app.use("/api/bookmarks", require("./routes/bookmarkRoutes"));
+app.use("/api/comments", require("./routes/commentRoutes"));
+app.use("/api/notifications", require("./routes/notificationRoutes"));
 
 // Root route
 app.get("/", (req, res) => {
@@ -41,6 +47,15 @@ const startServer = async () => {
   try {
     await connectDB();
 
+    // Articles created before permalinks existed get a slug
+    const slugged = await Article.backfillSlugs();
+    if (slugged > 0) {
+      console.log(`🔗 Generated slugs for ${slugged} article(s)`);
+    }
+
+    // Review reminders and other periodic jobs
+    startScheduler();
+
     // Start listening
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
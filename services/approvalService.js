@@ -0,0 +1,209 @@
+const mongoose = require("mongoose");
+const { Article, Category, User } = require("../models");
+const { LifecycleError } = require("./articleLifecycle");
+const { isContributor } = require("./articleAccess");
+
+/**
+ * Approval Service
+ * Categories can require several independent approvals before an article
+ * is published, optionally from a fixed set of reviewers. Decisions are
+ * recorded per review round; a new round starts whenever the article is
+ * (re)submitted or edited while under review.
+ */
+
+const DEFAULT_POLICY = Object.freeze({ requiredApprovals: 1, reviewers: [] });
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Approval policy that applies to an article
+ * @returns {Promise<Object>} - { requiredApprovals, reviewers: [ids] }
+ */
+const getApprovalPolicy = async (article) => {
+  if (!article.category) return DEFAULT_POLICY;
+
+  const category = await Category.findById(idOf(article.category), "approvalPolicy");
+  const policy = category?.approvalPolicy;
+  if (!policy) return DEFAULT_POLICY;
+
+  return {
+    requiredApprovals: policy.requiredApprovals || 1,
+    reviewers: (policy.reviewers || []).map(idOf),
+  };
+};
+
+/**
+ * Decisions recorded in the article's current review round
+ * @returns {Array}
+ */
+const currentRoundDecisions = (article) =>
+  (article.approvals || []).filter((entry) => entry.round === article.reviewRound);
+
+/**
+ * How far the current round is from quorum
+ * @returns {Object} - { round, required, received, remaining, approvedBy }
+ */
+const approvalProgress = (article, policy) => {
+  const approvedBy = [
+    ...new Set(
+      currentRoundDecisions(article)
+        .filter((entry) => entry.decision === "APPROVED")
+        .map((entry) => idOf(entry.reviewer)),
+    ),
+  ];
+
+  return {
+    round: article.reviewRound,
+    required: policy.requiredApprovals,
+    received: approvedBy.length,
+    remaining: Math.max(0, policy.requiredApprovals - approvedBy.length),
+    approvedBy,
+  };
+};
+
+/**
+ * Throw unless the user is one of the category's reviewers (any admin when unrestricted)
+ */
+const assertEligibleReviewer = (user, policy) => {
+  if (policy.reviewers.length > 0 && !policy.reviewers.includes(idOf(user))) {
+    throw new LifecycleError(
+      "You are not an eligible reviewer for this category",
+      "NOT_ELIGIBLE_REVIEWER",
+      403,
+    );
+  }
+};
+
+/**
+ * Throw unless the user may decide on the article in this round
+ */
+const assertCanReview = (article, user, policy) => {
+  const userId = idOf(user);
+
+  assertEligibleReviewer(user, policy);
+
+  // Authors and co-authors never count towards their own article's quorum
+  if (isContributor(article, user)) {
+    throw new LifecycleError(
+      "You cannot review an article you contributed to",
+      "OWN_ARTICLE",
+      403,
+    );
+  }
+
+  if (currentRoundDecisions(article).some((entry) => idOf(entry.reviewer) === userId)) {
+    throw new LifecycleError(
+      "You have already reviewed this version of the article",
+      "ALREADY_REVIEWED",
+      409,
+      { round: article.reviewRound },
+    );
+  }
+};
+
+const decisionEntry = (article, user, decision, comment) => ({
+  reviewer: user._id,
+  decision,
+  comment: comment || null,
+  round: article.reviewRound,
+  revision: article.currentRevision,
+  decidedAt: new Date(),
+});
+
+/**
+ * Record a reviewer decision in a single update, so reviewers deciding at
+ * the same time each see the other's decision in the returned article
+ * @param {Object} article - Article as loaded for the review
+ * @param {Object} fields - Other fields to set along with the decision
+ * @returns {Promise<Object>} - The article with the decision recorded
+ */
+const saveDecision = async (article, user, decision, comment, fields = {}) => {
+  const round = article.reviewRound;
+  const update = { $push: { approvals: decisionEntry(article, user, decision, comment) } };
+  if (Object.keys(fields).length > 0) update.$set = fields;
+
+  const updated = await Article.findOneAndUpdate(
+    {
+      _id: article._id,
+      status: article.status,
+      reviewRound: round,
+      approvals: { $not: { $elemMatch: { reviewer: user._id, round } } },
+    },
+    update,
+    { new: true },
+  );
+
+  // Another request decided for this reviewer, or the round moved on
+  if (!updated) {
+    throw new LifecycleError(
+      "The article changed during your review; reload it and review again",
+      "REVIEW_CONFLICT",
+      409,
+      { round },
+    );
+  }
+  return updated;
+};
+
+/**
+ * Approval trail for API responses, newest first
+ * @param {Object} article - Article with approvals.reviewer populated
+ */
+const formatApprovalTrail = (article) =>
+  (article.approvals || [])
+    .map((entry) => ({
+      reviewer: entry.reviewer?.username || idOf(entry.reviewer),
+      decision: entry.decision,
+      comment: entry.comment,
+      round: entry.round,
+      revision: entry.revision,
+      decidedAt: entry.decidedAt,
+    }))
+    .reverse();
+
+/**
+ * Validate a policy sent by an admin
+ * @param {Object} input - { requiredApprovals, reviewers }
+ * @returns {Promise<Object>} - { requiredApprovals, reviewers } or { error }
+ */
+const parseApprovalPolicy = async ({ requiredApprovals, reviewers }) => {
+  const required = parseInt(requiredApprovals ?? 1);
+  if (!Number.isInteger(required) || required < 1) {
+    return { error: "requiredApprovals must be a positive integer" };
+  }
+
+  const reviewerIds = [...new Set((reviewers || []).map(String))];
+  if (!reviewerIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: "reviewers must be a list of user ids" };
+  }
+  const eligible = reviewerIds.length > 0
+    ? await User.find({ _id: { $in: reviewerIds }, role: "ADMIN", isActive: true }).select("_id")
+    : await User.find({ role: "ADMIN", isActive: true }).select("_id");
+
+  if (reviewerIds.length > 0 && eligible.length !== reviewerIds.length) {
+    return { error: "Reviewers must be active admins" };
+  }
+
+  // Quorum has to be reachable, or articles would stay pending forever
+  if (required > eligible.length) {
+    return {
+      error: `requiredApprovals (${required}) exceeds the ${eligible.length} eligible reviewer(s)`,
+    };
+  }
+
+  return {
+    requiredApprovals: required,
+    reviewers: reviewerIds.length > 0 ? eligible.map((user) => user._id) : [],
+  };
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  getApprovalPolicy,
+  approvalProgress,
+  assertEligibleReviewer,
+  assertCanReview,
+  saveDecision,
+  formatApprovalTrail,
+  parseApprovalPolicy,
+};
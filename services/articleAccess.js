@@ -0,0 +1,102 @@
+/**
+ * Article access rules shared by the article controllers
+ */
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+/**
+ * Check whether the user is the article's author
+ * @param {Object} article - Article document (author may be populated)
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {boolean}
+ */
+const isAuthor = (article, user) => {
+  if (!article || !user) return false;
+  return idOf(article.author) === idOf(user);
+};
+
+/**
+ * Check whether the user is one of the article's co-authors
+ * @returns {boolean}
+ */
+const isCoAuthor = (article, user) => {
+  if (!article || !user) return false;
+  return (article.coAuthors || []).some((coAuthor) => idOf(coAuthor) === idOf(user));
+};
+
+/**
+ * The author and co-authors share the work on an article
+ */
+const isContributor = (article, user) => isAuthor(article, user) || isCoAuthor(article, user);
+
+/**
+ * Contributors can edit their own articles, admins can edit any article
+ */
+const canEditArticle = (article, user) => {
+  return isContributor(article, user) || user?.role === "ADMIN";
+};
+
+/**
+ * Query conditions matching articles the user authored or co-authored
+ * @returns {Object}
+ */
+const contributorFilter = (userId) => ({
+  $or: [{ author: userId }, { coAuthors: userId }],
+});
+
+// Approved articles that are embargoed (publishAt ahead) or have expired (unpublishAt passed)
+const notLiveConditions = (now) => [
+  { status: "APPROVED", publishAt: { $gt: now } },
+  { status: "APPROVED", unpublishAt: { $lte: now } },
+];
+
+/**
+ * Whether an approved article is inside its publishing window
+ * @returns {boolean}
+ */
+const isPublished = (article, now = new Date()) => {
+  if (article?.status !== "APPROVED" || article.deletedAt) return false;
+  if (article.publishAt && article.publishAt > now) return false;
+  if (article.unpublishAt && article.unpublishAt <= now) return false;
+  return true;
+};
+
+/**
+ * Query conditions matching published articles only
+ * @returns {Object}
+ */
+const publishedFilter = (now = new Date()) => ({
+  status: "APPROVED",
+  $nor: notLiveConditions(now),
+});
+
+/**
+ * Drop approved articles outside their publishing window from a query,
+ * whatever statuses it otherwise matches
+ * @param {Object} query - Mongo query, modified in place
+ * @returns {Object} - The query
+ */
+const excludeUnpublished = (query, now = new Date()) => {
+  query.$nor = [...(query.$nor || []), ...notLiveConditions(now)];
+  return query;
+};
+
+/**
+ * Published articles are visible to everyone, anything else only to
+ * the people allowed to edit it
+ */
+const canViewArticle = (article, user) => {
+  return isPublished(article) || canEditArticle(article, user);
+};
+
+module.exports = {
+  isAuthor,
+  isCoAuthor,
+  isContributor,
+  canEditArticle,
+  contributorFilter,
+  canViewArticle,
+  isPublished,
+  publishedFilter,
+  excludeUnpublished,
+};
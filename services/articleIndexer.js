@@ -0,0 +1,68 @@
+const { ArticleEmbedding } = require("../models");
+const embeddingService = require("./embeddingService");
+
+/**
+ * Article Indexer
+ * Keeps the RAG embeddings of articles up to date.
+ */
+
+/**
+ * Text embedded for an article: title, excerpt, content and PDF text
+ * @returns {string}
+ */
+const buildIndexText = (article) => {
+  let textToEmbed = `${article.title}\n\n${article.excerpt || ""}\n\n${article.content}`;
+  if (article.pdfText) {
+    textToEmbed += `\n\n--- PDF Content ---\n${article.pdfText}`;
+  }
+  return textToEmbed;
+};
+
+/**
+ * Generate and store the embedding of an article
+ * @param {Object} article - Article document
+ * @returns {Promise<Object>} - The stored embedding
+ */
+const indexArticle = async (article) => {
+  const textToEmbed = buildIndexText(article);
+  const embedding = await embeddingService.generateEmbedding(textToEmbed);
+
+  return ArticleEmbedding.findOneAndUpdate(
+    { article: article._id },
+    {
+      article: article._id,
+      embedding,
+      textContent: textToEmbed,
+      embeddingModel: process.env.EMBEDDING_MODEL || "text-embedding-3-small",
+      lastUpdated: new Date(),
+    },
+    { upsert: true, new: true },
+  );
+};
+
+/**
+ * Index without failing the caller when embeddings are unavailable
+ * @returns {Promise<boolean>} - Whether the article was indexed
+ */
+const tryIndexArticle = async (article) => {
+  if (!embeddingService.isConfigured()) return false;
+  try {
+    await indexArticle(article);
+    return true;
+  } catch (error) {
+    console.error(`Error indexing article ${article._id}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Drop an article from the RAG index
+ */
+const removeArticleIndex = (articleId) => ArticleEmbedding.deleteOne({ article: articleId });
+
+module.exports = {
+  buildIndexText,
+  indexArticle,
+  tryIndexArticle,
+  removeArticleIndex,
+};
@@ -0,0 +1,178 @@
+/**
+ * Article Lifecycle
+ * Single source of truth for article statuses, the transitions between
+ * them and who may perform each transition.
+ */
+const { isContributor } = require("./articleAccess");
+
+const STATUSES = ["DRAFT", "PENDING", "APPROVED", "REJECTED", "ARCHIVED"];
+
+// Statuses an author may pick when creating an article
+const INITIAL_STATUSES = ["DRAFT", "PENDING"];
+
+/**
+ * Allowed transitions keyed by action.
+ * roles: AUTHOR (the article's author or a co-author) and/or ADMIN
+ */
+const TRANSITIONS = {
+  submit: { from: ["DRAFT"], to: "PENDING", roles: ["AUTHOR"] },
+  withdraw: { from: ["PENDING"], to: "DRAFT", roles: ["AUTHOR"] },
+  resubmit: { from: ["REJECTED"], to: "PENDING", roles: ["AUTHOR"] },
+  // An author editing published content sends it back for review
+  revise: { from: ["APPROVED"], to: "PENDING", roles: ["AUTHOR"] },
+  approve: { from: ["PENDING"], to: "APPROVED", roles: ["ADMIN"] },
+  reject: { from: ["PENDING"], to: "REJECTED", roles: ["ADMIN"] },
+  unpublish: { from: ["APPROVED"], to: "DRAFT", roles: ["ADMIN"] },
+  archive: {
+    from: ["DRAFT", "APPROVED", "REJECTED"],
+    to: "ARCHIVED",
+    roles: ["AUTHOR", "ADMIN"],
+  },
+  unarchive: { from: ["ARCHIVED"], to: "DRAFT", roles: ["AUTHOR", "ADMIN"] },
+};
+
+// Actor for transitions made by scheduled jobs rather than a person
+const SYSTEM_ACTOR = Object.freeze({ role: "ADMIN", system: true });
+
+// Statuses whose content can no longer be edited
+const LOCKED_STATUSES = ["ARCHIVED"];
+
+class LifecycleError extends Error {
+  constructor(message, code, statusCode = 409, details = {}) {
+    super(message);
+    this.name = "LifecycleError";
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Roles the user holds with respect to an article
+ * @returns {string[]}
+ */
+const rolesFor = (article, user) => {
+  const roles = [];
+  if (isContributor(article, user)) roles.push("AUTHOR");
+  if (user?.role === "ADMIN") roles.push("ADMIN");
+  return roles;
+};
+
+/**
+ * Throw a LifecycleError unless the user may perform the action
+ * on the article in its current status
+ * @returns {Object} - The transition definition
+ */
+const assertTransition = (article, action, user) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new LifecycleError(`Unknown article action: ${action}`, "UNKNOWN_ACTION", 400);
+  }
+
+  if (!transition.from.includes(article.status)) {
+    throw new LifecycleError(
+      `Cannot ${action} an article that is ${article.status}`,
+      "INVALID_TRANSITION",
+      409,
+      { action, from: article.status, allowedFrom: transition.from },
+    );
+  }
+
+  const roles = rolesFor(article, user);
+  if (!transition.roles.some((role) => roles.includes(role))) {
+    throw new LifecycleError(
+      `Not allowed to ${action} this article`,
+      "TRANSITION_FORBIDDEN",
+      403,
+      { action, requiredRoles: transition.roles },
+    );
+  }
+
+  return transition;
+};
+
+/**
+ * Validate and apply a transition to an (unsaved) article document
+ * @returns {Object} - { from, to }
+ */
+const applyTransition = (article, action, user) => {
+  const transition = assertTransition(article, action, user);
+  const from = article.status;
+  article.status = transition.to;
+  return { from, to: transition.to };
+};
+
+/**
+ * Check whether the action is currently allowed, without throwing
+ */
+const canTransition = (article, action, user) => {
+  try {
+    assertTransition(article, action, user);
+    return true;
+  } catch (error) {
+    if (error instanceof LifecycleError) return false;
+    throw error;
+  }
+};
+
+/**
+ * Actions the user can take on the article right now
+ * @returns {string[]}
+ */
+const availableActions = (article, user) => {
+  return Object.keys(TRANSITIONS).filter(
+    (action) => action !== "revise" && canTransition(article, action, user),
+  );
+};
+
+/**
+ * Validate the status requested when an article is created
+ */
+const assertInitialStatus = (status) => {
+  if (!INITIAL_STATUSES.includes(status)) {
+    throw new LifecycleError(
+      `New articles can only be created as ${INITIAL_STATUSES.join(" or ")}`,
+      "INVALID_INITIAL_STATUS",
+      400,
+      { allowed: INITIAL_STATUSES },
+    );
+  }
+};
+
+/**
+ * Throw unless the article's content may be edited at all
+ */
+const assertEditable = (article) => {
+  if (LOCKED_STATUSES.includes(article.status)) {
+    throw new LifecycleError(
+      `Articles that are ${article.status} cannot be edited`,
+      "ARTICLE_NOT_EDITABLE",
+      409,
+    );
+  }
+};
+
+/**
+ * Status an article should have after its content was edited
+ */
+const statusAfterEdit = (article, user) => {
+  if (canTransition(article, "revise", user) && user?.role !== "ADMIN") {
+    return TRANSITIONS.revise.to;
+  }
+  return article.status;
+};
+
+module.exports = {
+  STATUSES,
+  INITIAL_STATUSES,
+  TRANSITIONS,
+  SYSTEM_ACTOR,
+  LifecycleError,
+  assertTransition,
+  applyTransition,
+  canTransition,
+  availableActions,
+  assertInitialStatus,
+  assertEditable,
+  statusAfterEdit,
+};
@@ -0,0 +1,227 @@
+const mongoose = require("mongoose");
+const { Category, Tag, User } = require("../models");
+const { contributorFilter } = require("./articleAccess");
+
+/**
+ * Article Listing Service
+ * Query parsing for the article list: filters, sort orders, cursors and
+ * sparse field selection. Cursors are opaque to clients: they encode the
+ * last article's sort value and id, so paging stays stable while articles
+ * are added or removed.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Every sort ends on _id so articles sharing a value keep a fixed order
+const SORTS = {
+  newest: { field: "createdAt", direction: -1, type: "date" },
+  views: { field: "views", direction: -1, type: "number" },
+  updated: { field: "updatedAt", direction: -1, type: "date" },
+  title: { field: "title", direction: 1, type: "string" },
+};
+
+// Response fields and the article paths each one needs
+const LIST_FIELDS = {
+  id: [],
+  slug: ["slug"],
+  title: ["title"],
+  content: ["content"],
+  contentFormat: ["contentFormat"],
+  readingTimeMinutes: ["rendered.readingTimeMinutes"],
+  excerpt: ["excerpt"],
+  status: ["status"],
+  views: ["views"],
+  bookmarks: ["bookmarks"],
+  commentCount: [],
+  feedback: ["helpfulVotes", "notHelpfulVotes"],
+  author: ["author"],
+  authorEmail: ["author"],
+  coAuthors: ["coAuthors"],
+  category: ["category"],
+  tags: ["tags"],
+  pdfFile: ["pdfFile"],
+  pdfOriginalName: ["pdfOriginalName"],
+  attachmentCount: ["attachmentCount"],
+  isOutdated: ["status", "reviewDueAt"],
+  createdAt: ["createdAt"],
+  updatedAt: ["updatedAt"],
+};
+
+// Full content is only sent when asked for: a page of it is large
+const DEFAULT_FIELDS = Object.keys(LIST_FIELDS).filter((field) => field !== "content");
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const splitList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+/**
+ * Requested statuses, upper-cased
+ * @param {string|string[]} input - Comma separated, or repeated ?status=
+ * @returns {string[]|null} - null when no status is asked for
+ */
+const parseStatuses = (input) => {
+  const statuses = splitList(input).map((status) => status.toUpperCase());
+  return statuses.length > 0 ? statuses : null;
+};
+
+/**
+ * Requested response fields, and the projection that loads them
+ * @param {string} input - Comma separated field names; all but content when empty
+ * @returns {Object} - { fields: Set, projection } or { error }
+ */
+const parseFields = (input, sort) => {
+  const requested = splitList(input);
+  const unknown = requested.filter((field) => !LIST_FIELDS[field]);
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown field(s): ${unknown.join(", ")}. Available: ${Object.keys(LIST_FIELDS).join(", ")}`,
+    };
+  }
+
+  const fields = new Set(requested.length > 0 ? ["id", ...requested] : DEFAULT_FIELDS);
+  // The sort field is always loaded, to build the next cursor
+  const paths = new Set([SORTS[sort].field]);
+  fields.forEach((field) => LIST_FIELDS[field].forEach((path) => paths.add(path)));
+
+  return { fields, projection: [...paths].join(" ") };
+};
+
+/**
+ * Opaque cursor pointing after an article
+ * @returns {string}
+ */
+const encodeCursor = (article, sort) => {
+  const value = article[SORTS[sort].field];
+  return Buffer.from(
+    JSON.stringify({ s: sort, v: value instanceof Date ? value.toISOString() : value, id: article._id }),
+  ).toString("base64url");
+};
+
+/**
+ * Condition selecting the articles after a cursor
+ * @returns {Object} - { filter } or { error }
+ */
+const cursorFilter = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    return { error: "Invalid cursor" };
+  }
+  if (!decoded || decoded.s !== sort || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+    return { error: "Invalid cursor (it belongs to a different sort order)" };
+  }
+
+  // Dates travel as ISO strings
+  const { field, direction, type } = SORTS[sort];
+  if (typeof decoded.v !== (type === "date" ? "string" : type)) {
+    return { error: "Invalid cursor" };
+  }
+  const value = type === "date" ? new Date(decoded.v) : decoded.v;
+  if (type === "date" && Number.isNaN(value.getTime())) {
+    return { error: "Invalid cursor" };
+  }
+
+  const id = new mongoose.Types.ObjectId(decoded.id);
+  const after = direction === 1 ? "$gt" : "$lt";
+  return {
+    filter: {
+      $or: [{ [field]: { [after]: value } }, { [field]: value, _id: { [after]: id } }],
+    },
+  };
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Turn the list's filter parameters into query conditions. A filter naming
+ * a category, tag or author that does not exist matches nothing.
+ * @param {Object} params - { category, tags, author, from, to, hasAttachment, search }
+ * @returns {Promise<Object>} - { conditions: [] } (null when nothing can match) or { error }
+ */
+const buildListFilters = async ({ category, tags, author, from, to, hasAttachment, search }) => {
+  const conditions = [];
+
+  if (category) {
+    const categoryRecord = await Category.findOne(
+      mongoose.Types.ObjectId.isValid(category) ? { _id: category } : { name: category },
+    );
+    if (!categoryRecord) return { conditions: null };
+    conditions.push({ category: categoryRecord._id });
+  }
+
+  // Several tags narrow the list: articles must carry all of them
+  const tagValues = splitList(tags);
+  if (tagValues.length > 0) {
+    const ids = tagValues.filter((value) => mongoose.Types.ObjectId.isValid(value));
+    const tagRecords = await Tag.find({ $or: [{ _id: { $in: ids } }, { name: { $in: tagValues } }] })
+      .collation({ locale: "en", strength: 2 });
+    const matched = tagValues.every((value) =>
+      tagRecords.some(
+        (tag) => tag._id.toString() === value || tag.name.toLowerCase() === value.toLowerCase(),
+      ),
+    );
+    if (!matched) return { conditions: null };
+    conditions.push({ tags: { $all: tagRecords.map((tag) => tag._id) } });
+  }
+
+  // Co-authored articles count as the author's
+  if (author) {
+    const user = await User.findOne(
+      mongoose.Types.ObjectId.isValid(author) ? { _id: author } : { username: author },
+    ).select("_id");
+    if (!user) return { conditions: null };
+    conditions.push(contributorFilter(user._id));
+  }
+
+  if (from || to) {
+    const createdAt = {};
+    if (from) {
+      createdAt.$gte = parseDate(from);
+      if (!createdAt.$gte) return { error: "from must be a valid date" };
+    }
+    if (to) {
+      createdAt.$lte = parseDate(to);
+      if (!createdAt.$lte) return { error: "to must be a valid date" };
+    }
+    conditions.push({ createdAt });
+  }
+
+  // A PDF counts as an attachment too
+  if (hasAttachment === "true") {
+    conditions.push({ $or: [{ attachmentCount: { $gt: 0 } }, { pdfFile: { $ne: null } }] });
+  } else if (hasAttachment === "false") {
+    conditions.push({ attachmentCount: { $not: { $gt: 0 } }, pdfFile: null });
+  }
+
+  // Plain text search: the term is matched literally, never as a pattern
+  if (search) {
+    const regex = new RegExp(escapeRegex(String(search)), "i");
+    conditions.push({ $or: [{ title: regex }, { content: regex }] });
+  }
+
+  return { conditions };
+};
+
+/**
+ * Page size requested, within bounds
+ * @returns {number}
+ */
+const parseLimit = (limit) => Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+module.exports = {
+  SORTS,
+  parseStatuses,
+  parseFields,
+  parseLimit,
+  encodeCursor,
+  cursorFilter,
+  buildListFilters,
+};
@@ -0,0 +1,66 @@
+const fs = require("fs");
+const path = require("path");
+const { Article, Attachment } = require("../models");
+const { attachmentDir } = require("../middleware/attachmentUpload");
+
+/**
+ * Absolute path of a stored attachment file
+ */
+const attachmentPath = (attachment) => path.join(attachmentDir, attachment.filename);
+
+/**
+ * Public shape of an attachment
+ */
+const formatAttachment = (attachment) => ({
+  id: attachment._id,
+  originalName: attachment.originalName,
+  mimeType: attachment.mimeType,
+  kind: attachment.kind,
+  size: attachment.size,
+  caption: attachment.caption,
+  order: attachment.order,
+  downloadUrl: `/api/articles/attachments/${attachment._id}/download`,
+  // Loads in <img> tags without a token once the article is published
+  imageUrl: attachment.kind === "image" ? `/api/articles/attachments/${attachment._id}/image` : undefined,
+  createdAt: attachment.createdAt,
+});
+
+/**
+ * Recompute an article's attachment counter from the attachment records
+ * @returns {Promise<number>}
+ */
+const syncAttachmentCount = async (articleId) => {
+  const attachmentCount = await Attachment.countDocuments({ article: articleId });
+  await Article.updateOne({ _id: articleId }, { attachmentCount });
+  return attachmentCount;
+};
+
+/**
+ * Delete an attachment record and its file
+ */
+const deleteAttachment = async (attachment) => {
+  await attachment.deleteOne();
+  await fs.promises.unlink(attachmentPath(attachment)).catch((error) => {
+    if (error.code !== "ENOENT") {
+      console.error("Error removing attachment file:", error);
+    }
+  });
+};
+
+/**
+ * Remove every attachment of an article, files included
+ */
+const removeArticleAttachments = async (articleId) => {
+  const attachments = await Attachment.find({ article: articleId });
+  for (const attachment of attachments) {
+    await deleteAttachment(attachment);
+  }
+};
+
+module.exports = {
+  attachmentPath,
+  formatAttachment,
+  syncAttachmentCount,
+  deleteAttachment,
+  removeArticleAttachments,
+};
@@ -0,0 +1,23 @@
+const AuditLog = require("../models/AuditLog");
+
+/**
+ * Record an entry in the audit log.
+ * Failures are logged and swallowed so auditing never breaks the request.
+ */
+const createAuditLog = async (userId, action, entity, entityId, details, metadata = {}, req = null) => {
+  try {
+    await AuditLog.create({
+      user: userId,
+      action,
+      entity,
+      entityId,
+      details,
+      metadata,
+      ipAddress: req ? req.ip || req.connection.remoteAddress : null,
+    });
+  } catch (error) {
+    console.error("Error creating audit log:", error);
+  }
+};
+
+module.exports = { createAuditLog };
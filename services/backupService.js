@@ -0,0 +1,418 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const { pipeline } = require("stream/promises");
+const archiver = require("archiver");
+const models = require("../models");
+const { openZip } = require("./zipReader");
+
+/**
+ * Backup Service
+ * Writes the whole knowledge base into a versioned ZIP archive and restores
+ * it into an empty or existing database.
+ *
+ * Archive layout:
+ *   manifest.json              format, version, counts
+ *   data/<collection>.json     Extended JSON, so ids and dates keep their types
+ *   files/pdfs/*               uploaded article PDFs
+ *   files/attachments/*        article attachments
+ *
+ * Documents are restored through the driver, bypassing mongoose hooks, so
+ * password hashes, slugs and rendered content are kept exactly as exported.
+ */
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const BACKUP_FORMAT = "kkbp-backup";
+const BACKUP_VERSION = 1;
+
+const RESTORE_MODES = ["skip", "overwrite"];
+
+// Largest manifest or data file read into memory during a restore
+const MAX_DATA_ENTRY_SIZE = 256 * 1024 * 1024;
+
+// Restore order: referenced collections come before the ones pointing at them.
+// `keys` are natural keys used to match records that exist under another id.
+const COLLECTIONS = [
+  { name: "users", model: "User", keys: ["username", "email"] },
+  { name: "categories", model: "Category", keys: ["name"] },
+  { name: "tags", model: "Tag", keys: ["name"] },
+  { name: "articleTemplates", model: "ArticleTemplate", keys: [] },
+  { name: "articles", model: "Article", keys: ["slug"] },
+  { name: "articleRevisions", model: "ArticleRevision", keys: [] },
+  { name: "articleEmbeddings", model: "ArticleEmbedding", keys: ["article"] },
+  { name: "attachments", model: "Attachment", keys: ["filename"] },
+  { name: "bookmarkLists", model: "BookmarkList", keys: [] },
+  { name: "bookmarks", model: "Bookmark", keys: [] },
+  { name: "comments", model: "Comment", keys: [] },
+  { name: "reviewComments", model: "ReviewComment", keys: [] },
+  { name: "articleFeedback", model: "ArticleFeedback", keys: [] },
+  { name: "articleViews", model: "ArticleView", keys: [] },
+  { name: "notifications", model: "Notification", keys: [] },
+  { name: "auditLogs", model: "AuditLog", keys: [] },
+];
+
+const FILE_DIRS = {
+  pdfs: path.join(__dirname, "../uploads/pdfs"),
+  attachments: path.join(__dirname, "../uploads/attachments"),
+};
+
+// AuditLog.entityId has no ref; its target collection follows `entity`
+const AUDIT_ENTITY_COLLECTIONS = {
+  Article: "articles",
+  User: "users",
+  Category: "categories",
+  Tag: "tags",
+  ArticleTemplate: "articleTemplates",
+  Comment: "comments",
+  ReviewComment: "reviewComments",
+};
+
+class BackupError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "BackupError";
+    this.statusCode = statusCode;
+  }
+}
+
+const collectionForModel = (modelName) =>
+  COLLECTIONS.find((collection) => collection.model === modelName)?.name;
+
+/**
+ * ObjectId reference paths of a schema, including those inside subdocument arrays
+ * @returns {Array} - [{ path, collection, array }] or [{ path, schema }] for subdocuments
+ */
+const referencePaths = (schema) => {
+  const refs = [];
+  schema.eachPath((pathName, schemaType) => {
+    if (schemaType.schema) {
+      refs.push({ path: pathName, schema: schemaType.schema });
+      return;
+    }
+    const ref = schemaType.options?.ref || schemaType.caster?.options?.ref;
+    if (ref && collectionForModel(ref)) {
+      refs.push({
+        path: pathName,
+        collection: collectionForModel(ref),
+        array: schemaType.instance === "Array",
+      });
+    }
+  });
+  return refs;
+};
+
+const getPath = (doc, pathName) =>
+  pathName.split(".").reduce((value, key) => (value == null ? value : value[key]), doc);
+
+const setPath = (doc, pathName, value) => {
+  const keys = pathName.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((value, key) => (value == null ? value : value[key]), doc);
+  if (parent != null) parent[last] = value;
+};
+
+// Point references at the ids records were restored under; only the
+// collections present in idMaps are touched
+const remapReferences = (doc, schema, idMaps) => {
+  for (const ref of referencePaths(schema)) {
+    const value = getPath(doc, ref.path);
+    if (value == null) continue;
+
+    if (ref.schema) {
+      const subdocs = Array.isArray(value) ? value : [value];
+      subdocs.forEach((subdoc) => remapReferences(subdoc, ref.schema, idMaps));
+      continue;
+    }
+
+    const map = idMaps[ref.collection];
+    if (!map) continue;
+    const remap = (id) => map.get(id.toString()) || id;
+    setPath(doc, ref.path, ref.array ? value.map(remap) : remap(value));
+  }
+  return doc;
+};
+
+const listFiles = (dir) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((name) => !name.startsWith(".") && fs.statSync(path.join(dir, name)).isFile());
+};
+
+/**
+ * Stream a backup archive
+ * @param {Stream} output - Writable stream the ZIP is piped into
+ * @param {Object} options - { includePasswords }
+ * @returns {Promise<Object>} - The manifest written into the archive
+ */
+const writeBackup = async (output, { includePasswords = false } = {}) => {
+  const archive = new archiver.ZipArchive({ zlib: { level: 9 } });
+  const failed = new Promise((resolve, reject) => archive.on("error", reject));
+  archive.pipe(output);
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date(),
+    includesPasswords: Boolean(includePasswords),
+    collections: {},
+    files: {},
+  };
+
+  for (const collection of COLLECTIONS) {
+    const Model = models[collection.model];
+    let docs = await Model.collection.find({}).toArray();
+
+    if (collection.name === "users" && !includePasswords) {
+      docs = docs.map(({ password, ...user }) => user);
+    }
+
+    manifest.collections[collection.name] = docs.length;
+    archive.append(EJSON.stringify(docs, { relaxed: false }), {
+      name: `data/${collection.name}.json`,
+    });
+  }
+
+  for (const [folder, dir] of Object.entries(FILE_DIRS)) {
+    const files = listFiles(dir);
+    manifest.files[folder] = files.length;
+    files.forEach((name) => {
+      archive.file(path.join(dir, name), { name: `files/${folder}/${name}` });
+    });
+  }
+
+  archive.append(JSON.stringify(manifest, null, 2), { name: "manifest.json" });
+  await Promise.race([archive.finalize(), failed]);
+  return manifest;
+};
+
+/**
+ * Read a manifest or data entry as UTF-8 text. Entries over the size limit
+ * are refused up front, and the read stops as soon as the inflated data
+ * passes it, whatever size the entry declares.
+ */
+const readEntryText = async (zip, entry) => {
+  const tooLarge = () => new BackupError(`${entry.fileName} is too large to restore`);
+  if (entry.uncompressedSize > MAX_DATA_ENTRY_SIZE) throw tooLarge();
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of await zip.createReadStream(entry)) {
+    size += chunk.length;
+    // Leaving the loop destroys the stream
+    if (size > MAX_DATA_ENTRY_SIZE) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+/**
+ * Read and validate the manifest of a backup archive
+ */
+const readManifest = async (zip) => {
+  const entry = zip.entries.get("manifest.json");
+  if (!entry) {
+    throw new BackupError("Not a backup archive: manifest.json is missing");
+  }
+
+  const manifest = JSON.parse(await readEntryText(zip, entry));
+  if (manifest.format !== BACKUP_FORMAT) {
+    throw new BackupError("Not a backup archive: unknown format");
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new BackupError(
+      `Backup version ${manifest.version} is newer than supported version ${BACKUP_VERSION}`,
+    );
+  }
+  return manifest;
+};
+
+// Existing record with the same id, or with the same natural key
+const findExisting = async (Model, collection, doc) => {
+  const byId = await Model.collection.findOne({ _id: doc._id }, { projection: { _id: 1 } });
+  if (byId) return { existing: byId, matchedBy: "_id" };
+
+  for (const key of collection.keys) {
+    if (doc[key] == null) continue;
+    const byKey = await Model.collection.findOne({ [key]: doc[key] }, { projection: { _id: 1 } });
+    if (byKey) return { existing: byKey, matchedBy: key };
+  }
+  return { existing: null, matchedBy: null };
+};
+
+// Users exported without a hash get an unusable random one
+const placeholderPassword = () =>
+  bcrypt.hash(crypto.randomBytes(24).toString("hex"), 10);
+
+/**
+ * Restore a backup archive. Entries are read from the file one at a time,
+ * never the whole archive at once.
+ * @param {string} filePath - ZIP archive on disk
+ * @param {Object} options - { mode: "skip" | "overwrite", dryRun }
+ * @returns {Promise<Object>} - Restore report
+ */
+const restoreBackup = async (filePath, { mode = "skip", dryRun = false } = {}) => {
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new BackupError(`Invalid restore mode. Use one of: ${RESTORE_MODES.join(", ")}`);
+  }
+
+  let zip;
+  try {
+    zip = await openZip(filePath);
+  } catch (error) {
+    // File system errors (a missing file) are not the archive's fault
+    if (error.code) throw error;
+    throw new BackupError("Not a valid ZIP archive");
+  }
+
+  try {
+    return await restoreArchive(zip, { mode, dryRun });
+  } finally {
+    await zip.close();
+  }
+};
+
+// Restore the records and files of an opened archive
+const restoreArchive = async (zip, { mode, dryRun }) => {
+  const manifest = await readManifest(zip);
+
+  const report = {
+    dryRun,
+    mode,
+    backup: {
+      version: manifest.version,
+      createdAt: manifest.createdAt,
+      includesPasswords: manifest.includesPasswords,
+    },
+    collections: {},
+    files: {},
+    conflicts: [],
+    usersWithoutPassword: [],
+    errors: [],
+  };
+
+  // archive id -> id in this database, for records matched by natural key
+  const idMaps = Object.fromEntries(COLLECTIONS.map(({ name }) => [name, new Map()]));
+
+  for (const collection of COLLECTIONS) {
+    const Model = models[collection.model];
+    const entry = zip.entries.get(`data/${collection.name}.json`);
+    const stats = { total: 0, inserted: 0, overwritten: 0, skipped: 0, failed: 0 };
+    report.collections[collection.name] = stats;
+    if (!entry) continue;
+
+    const docs = EJSON.parse(await readEntryText(zip, entry), { relaxed: false });
+    stats.total = docs.length;
+
+    // Match every record before writing any, so references between records
+    // of the same collection (an article merged into another) follow them too
+    const matched = [];
+    for (const doc of docs) {
+      const archiveId = doc._id.toString();
+      remapReferences(doc, Model.schema, idMaps);
+
+      if (collection.name === "auditLogs" && doc.entityId) {
+        const target = AUDIT_ENTITY_COLLECTIONS[doc.entity];
+        doc.entityId = (target && idMaps[target].get(doc.entityId.toString())) || doc.entityId;
+      }
+
+      const { existing, matchedBy } = await findExisting(Model, collection, doc);
+
+      if (existing && matchedBy !== "_id") {
+        idMaps[collection.name].set(archiveId, existing._id);
+        report.conflicts.push({
+          collection: collection.name,
+          id: archiveId,
+          existingId: existing._id.toString(),
+          matchedBy,
+          value: doc[matchedBy]?.toString(),
+          resolution: mode === "overwrite" ? "overwritten" : "skipped",
+        });
+      }
+      matched.push({ doc, archiveId, existing });
+    }
+
+    const ownIds = { [collection.name]: idMaps[collection.name] };
+    for (const { doc, archiveId, existing } of matched) {
+      remapReferences(doc, Model.schema, ownIds);
+
+      if (existing && mode === "skip") {
+        stats.skipped++;
+        continue;
+      }
+
+      try {
+        if (existing) {
+          const replacement = { ...doc, _id: existing._id };
+          if (collection.name === "users" && !replacement.password) {
+            // Keep the password the user already has here
+            const current = await Model.collection.findOne({ _id: existing._id });
+            replacement.password = current.password;
+          }
+          if (!dryRun) {
+            await Model.collection.replaceOne({ _id: existing._id }, replacement);
+          }
+          stats.overwritten++;
+        } else {
+          if (collection.name === "users" && !doc.password) {
+            doc.password = await placeholderPassword();
+            report.usersWithoutPassword.push(doc.username);
+          }
+          if (!dryRun) {
+            await Model.collection.insertOne(doc);
+          }
+          stats.inserted++;
+        }
+      } catch (error) {
+        stats.failed++;
+        report.errors.push({
+          collection: collection.name,
+          id: archiveId,
+          message: error.code === 11000 ? "Duplicate key" : error.message,
+        });
+      }
+    }
+  }
+
+  for (const [folder, dir] of Object.entries(FILE_DIRS)) {
+    const stats = { total: 0, written: 0, skipped: 0 };
+    report.files[folder] = stats;
+
+    const pattern = new RegExp(`^files/${folder}/[^/]+$`);
+    const entries = [...zip.entries.values()].filter((entry) => pattern.test(entry.fileName));
+    for (const entry of entries) {
+      stats.total++;
+      const name = path.basename(entry.fileName);
+      const target = path.join(dir, name);
+
+      if (fs.existsSync(target) && mode === "skip") {
+        stats.skipped++;
+        continue;
+      }
+      if (!dryRun) {
+        fs.mkdirSync(dir, { recursive: true });
+        try {
+          await pipeline(await zip.createReadStream(entry), fs.createWriteStream(target));
+        } catch (error) {
+          // Never leave a partly written file behind
+          await fs.promises.unlink(target).catch(() => {});
+          throw error;
+        }
+      }
+      stats.written++;
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  BACKUP_VERSION,
+  RESTORE_MODES,
+  BackupError,
+  writeBackup,
+  restoreBackup,
+};
@@ -0,0 +1,25 @@
+const { Article, Bookmark } = require("../models");
+
+/**
+ * Recompute an article's bookmark counter from the bookmark records,
+ * so the counter can never drift from the real data
+ * @param {string} articleId
+ * @returns {Promise<number>} - Current bookmark count
+ */
+const syncBookmarkCount = async (articleId) => {
+  const bookmarks = await Bookmark.countDocuments({ article: articleId });
+  await Article.updateOne({ _id: articleId }, { bookmarks });
+  return bookmarks;
+};
+
+/**
+ * Remove every bookmark pointing at an article
+ */
+const removeArticleBookmarks = async (articleId) => {
+  await Bookmark.deleteMany({ article: articleId });
+};
+
+module.exports = {
+  syncBookmarkCount,
+  removeArticleBookmarks,
+};
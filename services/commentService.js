@@ -0,0 +1,74 @@
+const { Comment, User } = require("../models");
+
+// @username: letters, digits, underscore, dot and dash
+const MENTION_PATTERN = /(^|[^\w@.])@([A-Za-z0-9_][A-Za-z0-9_.-]{0,49})/g;
+
+/**
+ * Extract the unique usernames mentioned in a comment body
+ * @param {string} text
+ * @returns {string[]}
+ */
+const extractMentionUsernames = (text) => {
+  const usernames = new Set();
+  for (const match of (text || "").matchAll(MENTION_PATTERN)) {
+    // A trailing dot is punctuation, not part of the username
+    usernames.add(match[2].replace(/[.-]+$/, ""));
+  }
+  return [...usernames].filter(Boolean);
+};
+
+/**
+ * Resolve @mentions in a comment body to existing users
+ * @param {string} text
+ * @returns {Promise<Object[]>} - Mentioned user documents
+ */
+const resolveMentions = async (text) => {
+  const usernames = extractMentionUsernames(text);
+  if (usernames.length === 0) return [];
+
+  return User.find({ username: { $in: usernames }, isActive: true }).select("username");
+};
+
+/**
+ * Count visible comments per article
+ * @param {Array} articleIds
+ * @returns {Promise<Map<string, number>>}
+ */
+const countVisibleComments = async (articleIds) => {
+  const counts = await Comment.aggregate([
+    { $match: { article: { $in: articleIds }, status: "VISIBLE" } },
+    { $group: { _id: "$article", count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map((c) => [c._id.toString(), c.count]));
+};
+
+/**
+ * Ids of a comment and all of its replies, at any depth
+ */
+const collectThreadIds = async (commentId) => {
+  const ids = [commentId];
+  let frontier = [commentId];
+
+  while (frontier.length > 0) {
+    const replies = await Comment.find({ parent: { $in: frontier } }).select("_id");
+    frontier = replies.map((reply) => reply._id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+};
+
+/**
+ * Remove every comment on an article
+ */
+const removeArticleComments = async (articleId) => {
+  await Comment.deleteMany({ article: articleId });
+};
+
+module.exports = {
+  extractMentionUsernames,
+  resolveMentions,
+  countVisibleComments,
+  collectThreadIds,
+  removeArticleComments,
+};
@@ -0,0 +1,168 @@
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+const { slugify } = require("./slugService");
+
+/**
+ * Content Renderer
+ * Turns article source (plain text, Markdown or HTML) into sanitized HTML,
+ * and extracts a table of contents and reading time in the same pass.
+ */
+
+const CONTENT_FORMATS = ["plain", "markdown", "html"];
+const WORDS_PER_MINUTE = 200;
+
+const markdown = new Marked({ gfm: true, breaks: false });
+
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+    "img",
+    "h1",
+    "h2",
+    "del",
+    "ins",
+    "sup",
+    "sub",
+  ]),
+  allowedAttributes: {
+    a: ["href", "name", "title", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height"],
+    code: ["class"],
+    span: ["class"],
+    th: ["align", "colspan", "rowspan"],
+    td: ["align", "colspan", "rowspan"],
+    ol: ["start"],
+  },
+  // Only language hints survive, for client side syntax highlighting
+  allowedClasses: {
+    code: ["language-*"],
+    span: ["hljs-*"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowProtocolRelative: false,
+  disallowedTagsMode: "discard",
+  transformTags: {
+    a: (tagName, attribs) => {
+      if (attribs.target === "_blank") {
+        attribs.rel = "noopener noreferrer";
+      }
+      return { tagName, attribs };
+    },
+  },
+};
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]*>/g, " "));
+
+// Plain text: paragraphs on blank lines, line breaks kept
+const renderPlain = (text) =>
+  text
+    .replace(/\r\n/g, "\n")
+    .split(/\n{2,}/)
+    .filter((block) => block.trim())
+    .map((block) => `<p>${escapeHtml(block.trim()).replace(/\n/g, "<br>")}</p>`)
+    .join("\n");
+
+/**
+ * Give every heading an id and collect the table of contents
+ * @param {string} html - Sanitized HTML (headings carry no attributes)
+ * @returns {Object} - { html, toc }
+ */
+const anchorHeadings = (html) => {
+  const toc = [];
+  const used = new Map();
+
+  const anchored = html.replace(/<h([1-6])>([\s\S]*?)<\/h\1>/g, (match, level, inner) => {
+    const text = stripTags(inner).replace(/\s+/g, " ").trim();
+    if (!text) return match;
+
+    const base = slugify(text);
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    const anchor = count === 0 ? base : `${base}-${count + 1}`;
+
+    toc.push({ level: parseInt(level), text, anchor });
+    return `<h${level} id="${anchor}">${inner}</h${level}>`;
+  });
+
+  return { html: anchored, toc };
+};
+
+/**
+ * Render article content to sanitized HTML
+ * @param {string} content - Raw article source
+ * @param {string} format - plain | markdown | html
+ * @returns {Object} - { html, toc, wordCount, readingTimeMinutes }
+ */
+const renderContent = (content, format = "markdown") => {
+  const source = content || "";
+
+  let rawHtml;
+  if (format === "plain") {
+    rawHtml = renderPlain(source);
+  } else if (format === "html") {
+    rawHtml = source;
+  } else {
+    rawHtml = markdown.parse(source);
+  }
+
+  // Scripts, event handlers and javascript: URLs are removed here
+  const clean = sanitizeHtml(rawHtml, SANITIZE_OPTIONS);
+  const { html, toc } = anchorHeadings(clean);
+
+  const words = stripTags(html).split(/\s+/).filter(Boolean);
+
+  return {
+    html,
+    toc,
+    wordCount: words.length,
+    readingTimeMinutes: Math.max(1, Math.ceil(words.length / WORDS_PER_MINUTE)),
+  };
+};
+
+/**
+ * Split rendered HTML into its headed sections. A section's text runs up to
+ * the next heading of the same or a higher level, so it includes subsections.
+ * @param {string} html - Rendered article HTML
+ * @returns {Array} - [{ level, heading, text }]
+ */
+const extractSections = (html) => {
+  const headings = [...(html || "").matchAll(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/g)];
+  const collapse = (text) => stripTags(text).replace(/\s+/g, " ").trim();
+
+  return headings.map((match, index) => {
+    const level = parseInt(match[1]);
+    const next = headings
+      .slice(index + 1)
+      .find((candidate) => parseInt(candidate[1]) <= level);
+    const bodyEnd = next ? next.index : html.length;
+
+    return {
+      level,
+      heading: collapse(match[2]),
+      text: collapse(html.slice(match.index + match[0].length, bodyEnd)),
+    };
+  });
+};
+
+module.exports = {
+  CONTENT_FORMATS,
+  renderContent,
+  extractSections,
+  stripTags,
+};
@@ -0,0 +1,301 @@
+/**
+ * Diff Service
+ * Line and word level diffs between two versions of an article
+ * (Myers' O(ND) algorithm in its linear-space form, no external dependencies)
+ */
+
+// Longest edit script searched for in one range. Time grows with its square,
+// so ranges that differ more are shown as a whole-block replace instead.
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Compute the shortest edit script between two token arrays
+ * @param {string[]} a - Old tokens
+ * @param {string[]} b - New tokens
+ * @returns {Array<{type: string, value: string}>} - equal/delete/insert ops, one per token
+ */
+const diffTokens = (a, b) => {
+  // Common prefix and suffix never need to go through the search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const prefix = a.slice(0, start).map((value) => ({ type: "equal", value }));
+  const suffix = a.slice(endA).map((value) => ({ type: "equal", value }));
+  const oldMid = a.slice(start, endA);
+  const newMid = b.slice(start, endB);
+
+  return [...prefix, ...myers(oldMid, newMid), ...suffix];
+};
+
+/**
+ * Middle snake of a[aLo, aHi) against b[bLo, bHi): the diagonal run where
+ * the forward and backward searches meet, halfway along the edit script
+ * @returns {Object|null} - { x, y, u, v, d }: the snake runs from (x, y) to (u, v);
+ *   d is the length of the whole edit script. null when it is longer than
+ *   MAX_EDIT_DISTANCE.
+ */
+const middleSnake = (a, aLo, aHi, b, bLo, bHi) => {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const limit = Math.min(max, Math.ceil(MAX_EDIT_DISTANCE / 2));
+  const offset = max + 1;
+  // Furthest x reached on each diagonal; backward x counts from the end
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= limit; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+
+      const back = delta - k;
+      if (odd && back >= -(d - 1) && back <= d - 1 && x + backward[offset + back] >= n) {
+        return { x: aLo + startX, y: bLo + startY, u: aLo + x, v: bLo + y, d: 2 * d - 1 };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+          ? backward[offset + k + 1]
+          : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+
+      const front = delta - k;
+      if (!odd && front >= -d && front <= d && x + forward[offset + front] >= n) {
+        return { x: aHi - x, y: bHi - y, u: aHi - startX, v: bHi - startY, d: 2 * d };
+      }
+    }
+  }
+
+  // The searches always meet by d = max, so only the cap stops them earlier
+  if (limit < max) return null;
+  throw new Error("Diff search did not converge");
+};
+
+/**
+ * Myers' diff in linear space: split at the middle snake and diff both
+ * halves, so memory stays proportional to the input however much changed
+ */
+const myers = (a, b) => {
+  const ops = [];
+
+  const diffRange = (aLo, aHi, bLo, bHi) => {
+    if (aLo === aHi) {
+      for (let j = bLo; j < bHi; j++) ops.push({ type: "insert", value: b[j] });
+      return;
+    }
+    if (bLo === bHi) {
+      for (let i = aLo; i < aHi; i++) ops.push({ type: "delete", value: a[i] });
+      return;
+    }
+
+    const snake = middleSnake(a, aLo, aHi, b, bLo, bHi);
+
+    // Too different to search: replace the whole range
+    if (!snake) {
+      for (let i = aLo; i < aHi; i++) ops.push({ type: "delete", value: a[i] });
+      for (let j = bLo; j < bHi; j++) ops.push({ type: "insert", value: b[j] });
+      return;
+    }
+
+    // One edit at most: the shorter range is the longer one minus a token.
+    // Splitting would not make these any smaller.
+    if (snake.d <= 1) {
+      let i = aLo;
+      let j = bLo;
+      while (i < aHi && j < bHi && a[i] === b[j]) {
+        ops.push({ type: "equal", value: a[i] });
+        i++;
+        j++;
+      }
+      if (aHi - aLo > bHi - bLo) ops.push({ type: "delete", value: a[i++] });
+      if (bHi - bLo > aHi - aLo) ops.push({ type: "insert", value: b[j++] });
+      for (; i < aHi; i++) ops.push({ type: "equal", value: a[i] });
+      return;
+    }
+
+    diffRange(aLo, snake.x, bLo, snake.y);
+    for (let i = snake.x; i < snake.u; i++) ops.push({ type: "equal", value: a[i] });
+    diffRange(snake.u, aHi, snake.v, bHi);
+  };
+
+  diffRange(0, a.length, 0, b.length);
+  return ops;
+};
+
+// Merge consecutive ops of the same type into one chunk
+const mergeOps = (ops, separator = "") => {
+  const chunks = [];
+  ops.forEach((op) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === op.type) {
+      last.value += separator + op.value;
+    } else {
+      chunks.push({ ...op });
+    }
+  });
+  return chunks;
+};
+
+const tokenizeWords = (text) => (text || "").match(/\s+|[^\s]+/g) || [];
+
+const splitLines = (text) => (text ? text.replace(/\r\n/g, "\n").split("\n") : []);
+
+/**
+ * Word level diff of two strings
+ * @returns {Array<{type: string, value: string}>}
+ */
+const diffWords = (oldText, newText) => {
+  return mergeOps(diffTokens(tokenizeWords(oldText), tokenizeWords(newText)));
+};
+
+/**
+ * Line level diff for side-by-side display.
+ * Runs of deleted lines directly followed by inserted lines are paired up
+ * as "replace" rows carrying a word level diff.
+ * @returns {Object} - { lines, stats }
+ */
+const diffLines = (oldText, newText) => {
+  const ops = diffTokens(splitLines(oldText), splitLines(newText));
+  const lines = [];
+  const stats = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+  let oldLine = 0;
+  let newLine = 0;
+
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].type === "equal") {
+      oldLine++;
+      newLine++;
+      stats.unchanged++;
+      lines.push({ type: "equal", oldLine, newLine, value: ops[i].value });
+      i++;
+      continue;
+    }
+
+    const deleted = [];
+    const inserted = [];
+    while (i < ops.length && ops[i].type !== "equal") {
+      if (ops[i].type === "delete") deleted.push(ops[i].value);
+      else inserted.push(ops[i].value);
+      i++;
+    }
+
+    const paired = Math.min(deleted.length, inserted.length);
+    for (let j = 0; j < paired; j++) {
+      oldLine++;
+      newLine++;
+      stats.modified++;
+      lines.push({
+        type: "replace",
+        oldLine,
+        newLine,
+        oldValue: deleted[j],
+        newValue: inserted[j],
+        words: diffWords(deleted[j], inserted[j]),
+      });
+    }
+    deleted.slice(paired).forEach((value) => {
+      oldLine++;
+      stats.removed++;
+      lines.push({ type: "delete", oldLine, newLine: null, value });
+    });
+    inserted.slice(paired).forEach((value) => {
+      newLine++;
+      stats.added++;
+      lines.push({ type: "insert", oldLine: null, newLine, value });
+    });
+  }
+
+  return { lines, stats };
+};
+
+/**
+ * Added/removed/unchanged members of two string sets
+ */
+const diffSets = (oldValues, newValues) => {
+  const oldSet = new Set(oldValues);
+  const newSet = new Set(newValues);
+  return {
+    added: [...newSet].filter((value) => !oldSet.has(value)),
+    removed: [...oldSet].filter((value) => !newSet.has(value)),
+    unchanged: [...newSet].filter((value) => oldSet.has(value)),
+  };
+};
+
+/**
+ * Structured diff between two article versions
+ * @param {Object} from - { title, excerpt, content, category, tags } (category/tags as names)
+ * @param {Object} to - Same shape as from
+ * @returns {Object} - Per field diff plus the list of changed fields
+ */
+const diffArticleVersions = (from, to) => {
+  const textField = (field) => {
+    const changed = (from[field] || "") !== (to[field] || "");
+    return { changed, words: diffWords(from[field], to[field]) };
+  };
+
+  const content = diffLines(from.content, to.content);
+  const tags = diffSets(from.tags || [], to.tags || []);
+
+  const fields = {
+    title: textField("title"),
+    excerpt: textField("excerpt"),
+    content: {
+      changed: (from.content || "") !== (to.content || ""),
+      stats: content.stats,
+      lines: content.lines,
+    },
+    category: {
+      changed: (from.category || null) !== (to.category || null),
+      from: from.category || null,
+      to: to.category || null,
+    },
+    tags: {
+      changed: tags.added.length > 0 || tags.removed.length > 0,
+      ...tags,
+    },
+  };
+
+  return {
+    changedFields: Object.keys(fields).filter((field) => fields[field].changed),
+    fields,
+  };
+};
+
+module.exports = {
+  diffTokens,
+  diffWords,
+  diffLines,
+  diffSets,
+  diffArticleVersions,
+};
@@ -0,0 +1,271 @@
+const { Article, ArticleEmbedding } = require("../models");
+const embeddingService = require("./embeddingService");
+const { buildIndexText, removeArticleIndex } = require("./articleIndexer");
+const { applyTransition } = require("./articleLifecycle");
+const { ensureBaselineRevision, recordRevision } = require("./revisionService");
+const { canViewArticle } = require("./articleAccess");
+
+/**
+ * Duplicate Detection Service
+ * Compares an article with approved and pending articles by title and,
+ * where both sides have an embedding, by content. Matches above the
+ * threshold are stored on the article so reviewers see them in the queue.
+ * Admins can then merge a duplicate into the original.
+ */
+
+const WEIGHTS = { content: 0.7, title: 0.3 };
+const MAX_DUPLICATES = 5;
+
+// Fields of a matched article needed to list it and to decide who may see it
+const DUPLICATE_MATCH_FIELDS = "title slug status author coAuthors publishAt unpublishAt";
+
+/**
+ * Minimum score for an article to count as a likely duplicate
+ * @returns {number}
+ */
+const getDuplicateThreshold = () => parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.75;
+
+const normalizeTitle = (title) =>
+  (title || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// Character bigrams of each word, so reordered or reworded titles still overlap
+const bigrams = (text) => {
+  const grams = [];
+  for (const word of text.split(" ")) {
+    const padded = ` ${word} `;
+    for (let i = 0; i < padded.length - 1; i++) grams.push(padded.slice(i, i + 2));
+  }
+  return grams;
+};
+
+/**
+ * Dice coefficient of the titles' character bigrams
+ * @returns {number} - 0 (nothing in common) to 1 (same title)
+ */
+const titleSimilarity = (a, b) => {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const counts = new Map();
+  const leftGrams = bigrams(left);
+  leftGrams.forEach((gram) => counts.set(gram, (counts.get(gram) || 0) + 1));
+
+  let shared = 0;
+  const rightGrams = bigrams(right);
+  for (const gram of rightGrams) {
+    if (counts.get(gram) > 0) {
+      counts.set(gram, counts.get(gram) - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (leftGrams.length + rightGrams.length);
+};
+
+// Stored embedding of the article, or a fresh one when it has not been indexed
+const embeddingFor = async (article) => {
+  const stored = await ArticleEmbedding.findOne(
+    { article: article._id },
+    "embedding embeddingModel",
+  ).lean();
+  if (stored) return stored;
+
+  if (!embeddingService.isConfigured()) return null;
+  try {
+    return {
+      embedding: await embeddingService.generateEmbedding(buildIndexText(article)),
+      embeddingModel: process.env.EMBEDDING_MODEL || "text-embedding-3-small",
+    };
+  } catch (error) {
+    console.error(`Error embedding article ${article._id} for duplicate check:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Approved and pending articles that look like the same article
+ * @param {Object} article - Article document (saved)
+ * @returns {Promise<Array>} - [{ article, score, titleSimilarity, contentSimilarity }], best first
+ */
+const findDuplicates = async (article) => {
+  const threshold = getDuplicateThreshold();
+  const candidates = await Article.find(
+    { _id: { $ne: article._id }, status: { $in: ["APPROVED", "PENDING"] }, mergedInto: null },
+    DUPLICATE_MATCH_FIELDS,
+  );
+  if (candidates.length === 0) return [];
+
+  const source = await embeddingFor(article);
+  const candidateEmbeddings = new Map();
+  if (source) {
+    const stored = await ArticleEmbedding.find(
+      { article: { $in: candidates.map((candidate) => candidate._id) } },
+      "article embedding embeddingModel",
+    ).lean();
+    stored
+      // Vectors from different models or sizes are not comparable
+      .filter(
+        (entry) =>
+          entry.embeddingModel === source.embeddingModel &&
+          entry.embedding.length === source.embedding.length,
+      )
+      .forEach((entry) => candidateEmbeddings.set(entry.article.toString(), entry.embedding));
+  }
+
+  return candidates
+    .map((candidate) => {
+      const titleScore = titleSimilarity(article.title, candidate.title);
+      const embedding = candidateEmbeddings.get(candidate._id.toString());
+      if (!embedding) {
+        return { article: candidate, score: titleScore, titleSimilarity: titleScore, contentSimilarity: null };
+      }
+
+      const similarity = embeddingService.cosineSimilarity(source.embedding, embedding);
+      const contentScore = Number.isFinite(similarity) ? Math.max(0, similarity) : 0;
+      return {
+        article: candidate,
+        score: WEIGHTS.content * contentScore + WEIGHTS.title * titleScore,
+        titleSimilarity: titleScore,
+        contentSimilarity: contentScore,
+      };
+    })
+    .filter((match) => match.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_DUPLICATES);
+};
+
+/**
+ * Detect duplicates and store them on the article for reviewers
+ * @returns {Promise<Array>} - See findDuplicates
+ */
+const refreshPossibleDuplicates = async (article) => {
+  const duplicates = await findDuplicates(article);
+  const detectedAt = new Date();
+
+  article.possibleDuplicates = duplicates.map((match) => ({
+    article: match.article._id,
+    score: match.score,
+    titleSimilarity: match.titleSimilarity,
+    contentSimilarity: match.contentSimilarity,
+    detectedAt,
+  }));
+  await Article.updateOne(
+    { _id: article._id },
+    { possibleDuplicates: article.possibleDuplicates },
+    { timestamps: false },
+  );
+
+  return duplicates;
+};
+
+/**
+ * Duplicate check that never fails the request it runs in
+ * @returns {Promise<Array>}
+ */
+const tryRefreshPossibleDuplicates = async (article) => {
+  try {
+    return await refreshPossibleDuplicates(article);
+  } catch (error) {
+    console.error(`Duplicate check failed for article ${article._id}:`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Duplicate matches for API responses, with a link to each article. Only
+ * matches the user may view are listed: admins reviewing see pending
+ * matches too, authors only published articles and their own.
+ * @param {Array} matches - From findDuplicates, or article.possibleDuplicates with article populated (DUPLICATE_MATCH_FIELDS)
+ * @param {Object} user - Authenticated user (req.user)
+ */
+const formatDuplicates = (matches, user) =>
+  (matches || [])
+    .filter((match) => match.article && match.article.title && canViewArticle(match.article, user))
+    .map((match) => ({
+      id: match.article._id,
+      title: match.article.title,
+      slug: match.article.slug,
+      status: match.article.status,
+      url: `/api/articles/by-slug/${match.article.slug}`,
+      score: Math.round(match.score * 100) / 100,
+      titleSimilarity: Math.round(match.titleSimilarity * 100) / 100,
+      contentSimilarity:
+        match.contentSimilarity == null ? null : Math.round(match.contentSimilarity * 100) / 100,
+    }));
+
+/**
+ * Merge a duplicate into the original article. The original gains the
+ * duplicate's tags; the duplicate is archived and its links lead to the
+ * original from then on.
+ * @param {Object} duplicate - Article document to retire
+ * @param {Object} original - Article document to keep
+ * @param {Object} user - Admin performing the merge
+ * @returns {Promise<Object>} - { addedTags, revision }
+ */
+const mergeArticles = async (duplicate, original, user) => {
+  const originalTags = original.tags.map(String);
+  const addedTags = duplicate.tags.filter((tag) => !originalTags.includes(tag.toString()));
+
+  let revision = null;
+  if (addedTags.length > 0) {
+    await ensureBaselineRevision(original);
+    original.tags.push(...addedTags);
+    await original.save();
+    revision = await recordRevision(original, user._id, {
+      note: `Merged tags from "${duplicate.title}"`,
+    });
+  }
+
+  // Pending articles have to be rejected before they can be archived
+  if (duplicate.status === "PENDING") {
+    applyTransition(duplicate, "reject", user);
+    duplicate.rejectionReason = `Merged into "${original.title}"`;
+  }
+  if (duplicate.status !== "ARCHIVED") {
+    applyTransition(duplicate, "archive", user);
+  }
+  duplicate.mergedInto = original._id;
+  duplicate.mergedAt = new Date();
+  duplicate.mergedBy = user._id;
+  duplicate.possibleDuplicates = [];
+  await duplicate.save();
+
+  await removeArticleIndex(duplicate._id);
+  await Article.updateMany(
+    { "possibleDuplicates.article": duplicate._id },
+    { $pull: { possibleDuplicates: { article: duplicate._id } } },
+    { timestamps: false },
+  );
+
+  return { addedTags, revision: revision ? revision.revision : null };
+};
+
+/**
+ * Follow merges from an article to the one that replaced it
+ * @returns {Promise<Object>} - The final article document (the article itself when not merged)
+ */
+const resolveMergedArticle = async (article) => {
+  let current = article;
+  // Bounded, in case merges ever formed a loop
+  for (let hops = 0; current.mergedInto && hops < 5; hops++) {
+    const next = await Article.findById(current.mergedInto);
+    if (!next) break;
+    current = next;
+  }
+  return current;
+};
+
+module.exports = {
+  titleSimilarity,
+  findDuplicates,
+  refreshPossibleDuplicates,
+  tryRefreshPossibleDuplicates,
+  formatDuplicates,
+  DUPLICATE_MATCH_FIELDS,
+  mergeArticles,
+  resolveMergedArticle,
+};
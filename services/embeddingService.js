@@ -431,36 +431,54 @@ ${context}
 
 Answer:`;
 
-      // Use Gemini if configured
-      if (this.provider === 'gemini' && this.genAI) {
-        const model = this.genAI.getGenerativeModel({ model: this.llmModel });
-        const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
-        const result = await model.generateContent(fullPrompt);
-        const response = await result.response;
-        return response.text();
-      }
-
-      // Use OpenAI if configured
-      if (this.provider === 'openai' && this.openai) {
-        const response = await this.openai.chat.completions.create({
-          model: process.env.LLM_MODEL || 'gpt-3.5-turbo',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          temperature: 0.7,
-          max_tokens: 500,
-        });
-        return response.choices[0].message.content;
-      }
-
-      return this.generateRuleBasedAnswer(query, relevantDocs);
+      return await this.generateText(systemPrompt, userPrompt, { temperature: 0.7, maxTokens: 500 });
     } catch (error) {
       console.error('Error generating answer:', error);
       throw error;
     }
   }
 
+  /**
+   * Whether an LLM is available for generating text
+   */
+  hasLanguageModel() {
+    return (this.provider === 'gemini' && !!this.genAI) || (this.provider === 'openai' && !!this.openai);
+  }
+
+  /**
+   * Generate text with the configured LLM
+   * @param {string} systemPrompt - Instructions for the model
+   * @param {string} userPrompt - The request itself
+   * @param {Object} options - { temperature, maxTokens }
+   * @returns {Promise<string>} - Generated text
+   */
+  async generateText(systemPrompt, userPrompt, { temperature = 0.7, maxTokens = 500 } = {}) {
+    // Use Gemini if configured
+    if (this.provider === 'gemini' && this.genAI) {
+      const model = this.genAI.getGenerativeModel({ model: this.llmModel });
+      const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
+      const result = await model.generateContent(fullPrompt);
+      const response = await result.response;
+      return response.text();
+    }
+
+    // Use OpenAI if configured
+    if (this.provider === 'openai' && this.openai) {
+      const response = await this.openai.chat.completions.create({
+        model: process.env.LLM_MODEL || 'gpt-3.5-turbo',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt }
+        ],
+        temperature,
+        max_tokens: maxTokens,
+      });
+      return response.choices[0].message.content;
+    }
+
+    throw new Error('No language model configured');
+  }
+
   /**
    * Generate rule-based answer (FREE - no LLM required)
    * Used when LLM is not available
@@ -0,0 +1,487 @@
+const fs = require("fs");
+const { Lexer } = require("marked");
+const PDFDocument = require("pdfkit");
+const { Attachment } = require("../models");
+const { attachmentPath } = require("./attachmentService");
+const { htmlToMarkdown } = require("./importService");
+
+/**
+ * Export Service
+ * Produces offline copies of an article as Markdown, standalone HTML or PDF.
+ * Every format carries the same metadata header: author, category, tags,
+ * approval and last-updated date. Images stored as article attachments are
+ * embedded so the copy works without access to the portal.
+ */
+
+const EXPORT_FORMATS = {
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+};
+
+const ATTACHMENT_URL = /\/api\/articles\/attachments\/([0-9a-f]{24})\/(?:download|image)(?:\?[^"')\s]*)?/;
+
+// pdfkit can only draw these
+const PDF_IMAGE_TYPES = ["image/png", "image/jpeg"];
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatDate = (date) => (date ? new Date(date).toISOString().split("T")[0] : null);
+
+/**
+ * Metadata printed at the top of every export
+ * @param {Object} article - Article with author, category, tags and approvedBy populated
+ */
+const exportMetadata = (article) => ({
+  title: article.title,
+  author: article.author?.username || "Unknown",
+  category: article.category?.name || null,
+  tags: (article.tags || []).map((tag) => tag.name).filter(Boolean),
+  status: article.status,
+  approvedBy: article.approvedBy?.username || null,
+  approvedAt: article.approvedAt || null,
+  updatedAt: article.updatedAt,
+  revision: article.currentRevision || 0,
+});
+
+/**
+ * Article content as Markdown, whatever format it was written in
+ */
+const markdownSource = (article) => {
+  if (article.contentFormat === "html") {
+    return htmlToMarkdown(article.content);
+  }
+  return article.content || "";
+};
+
+// Image attachments of the article, keyed by id
+const loadImageAttachments = async (articleId) => {
+  const attachments = await Attachment.find({ article: articleId, kind: "image" });
+  return new Map(attachments.map((attachment) => [attachment._id.toString(), attachment]));
+};
+
+// Attachment record and file path behind an image URL, if it is stored locally
+const resolveImage = (src, images) => {
+  const match = (src || "").match(ATTACHMENT_URL);
+  const attachment = match && images.get(match[1]);
+  if (!attachment) return null;
+
+  const filePath = attachmentPath(attachment);
+  return fs.existsSync(filePath) ? { attachment, filePath } : null;
+};
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+/**
+ * Markdown with a front matter block
+ * @returns {Buffer}
+ */
+const toMarkdown = (article) => {
+  const meta = exportMetadata(article);
+  const frontMatter = [
+    "---",
+    `title: ${JSON.stringify(meta.title)}`,
+    `author: ${JSON.stringify(meta.author)}`,
+    meta.category ? `category: ${JSON.stringify(meta.category)}` : null,
+    `tags: ${JSON.stringify(meta.tags)}`,
+    `status: ${meta.status}`,
+    meta.approvedBy ? `approvedBy: ${JSON.stringify(meta.approvedBy)}` : null,
+    meta.approvedAt ? `approvedAt: ${new Date(meta.approvedAt).toISOString()}` : null,
+    `updatedAt: ${new Date(meta.updatedAt).toISOString()}`,
+    `revision: ${meta.revision}`,
+    "---",
+  ].filter((line) => line !== null);
+
+  const body =
+    article.contentFormat === "plain"
+      ? article.content
+      : markdownSource(article);
+
+  return Buffer.from(`${frontMatter.join("\n")}\n\n# ${meta.title}\n\n${body.trim()}\n`, "utf-8");
+};
+
+// ---------------------------------------------------------------------------
+// Standalone HTML
+// ---------------------------------------------------------------------------
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 820px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; line-height: 1.6; }
+  header { border-bottom: 1px solid #d0d7de; margin-bottom: 1.5rem; }
+  header dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; font-size: 0.9rem; color: #57606a; }
+  header dt { font-weight: 600; }
+  header dd { margin: 0; }
+  pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; border-radius: 4px; }
+  code { font-family: SFMono-Regular, Consolas, monospace; font-size: 0.9em; }
+  blockquote { border-left: 4px solid #d0d7de; margin: 0; padding-left: 1rem; color: #57606a; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #d0d7de; padding: 0.35rem 0.6rem; }
+  img { max-width: 100%; }
+`;
+
+// Replace attachment image URLs with data URIs so the page is self-contained
+const inlineImages = (html, images) =>
+  html.replace(/<img([^>]*?)src="([^"]*)"/g, (match, before, src) => {
+    const image = resolveImage(src.replace(/&amp;/g, "&"), images);
+    if (!image) return match;
+    const data = fs.readFileSync(image.filePath).toString("base64");
+    return `<img${before}src="data:${image.attachment.mimeType};base64,${data}"`;
+  });
+
+/**
+ * Self-contained HTML page
+ * @returns {Promise<Buffer>}
+ */
+const toHtml = async (article) => {
+  const meta = exportMetadata(article);
+  const rendered = article.getRendered();
+  const images = await loadImageAttachments(article._id);
+
+  const rows = [
+    ["Author", meta.author],
+    ["Category", meta.category],
+    ["Tags", meta.tags.join(", ")],
+    ["Status", meta.status],
+    ["Approved", meta.approvedBy ? `${meta.approvedBy} on ${formatDate(meta.approvedAt)}` : null],
+    ["Last updated", formatDate(meta.updatedAt)],
+    ["Revision", meta.revision],
+  ]
+    .filter(([, value]) => value !== null && value !== "")
+    .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join("\n      ");
+
+  const page = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(meta.title)}</title>
+  <style>${HTML_STYLES}</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(meta.title)}</h1>
+    <dl>
+      ${rows}
+    </dl>
+  </header>
+  <main>
+${inlineImages(rendered.html, images)}
+  </main>
+</body>
+</html>
+`;
+
+  return Buffer.from(page, "utf-8");
+};
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+const PDF_FONTS = {
+  regular: "Helvetica",
+  bold: "Helvetica-Bold",
+  italic: "Helvetica-Oblique",
+  boldItalic: "Helvetica-BoldOblique",
+  code: "Courier",
+};
+
+const HEADING_SIZES = { 1: 20, 2: 16, 3: 14, 4: 12, 5: 11, 6: 11 };
+const BODY_SIZE = 10.5;
+
+const decodeEntities = (text) =>
+  (text || "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+
+// Flatten inline tokens into styled text runs; images are kept as their own runs
+const inlineRuns = (tokens, style = {}) => {
+  const runs = [];
+  for (const token of tokens || []) {
+    switch (token.type) {
+      case "strong":
+        runs.push(...inlineRuns(token.tokens, { ...style, bold: true }));
+        break;
+      case "em":
+        runs.push(...inlineRuns(token.tokens, { ...style, italic: true }));
+        break;
+      case "del":
+        runs.push(...inlineRuns(token.tokens, { ...style, strike: true }));
+        break;
+      case "codespan":
+        runs.push({ ...style, text: decodeEntities(token.text), code: true });
+        break;
+      case "link":
+        runs.push(...inlineRuns(token.tokens, { ...style, link: token.href }));
+        break;
+      case "image":
+        runs.push({ image: token.href, alt: token.text });
+        break;
+      case "br":
+        runs.push({ ...style, text: "\n" });
+        break;
+      case "html":
+        runs.push({ ...style, text: decodeEntities(token.text.replace(/<[^>]*>/g, "")) });
+        break;
+      default:
+        if (token.tokens) {
+          runs.push(...inlineRuns(token.tokens, style));
+        } else {
+          runs.push({ ...style, text: decodeEntities(token.text || token.raw || "") });
+        }
+    }
+  }
+  return runs;
+};
+
+const fontFor = (run) => {
+  if (run.code) return PDF_FONTS.code;
+  if (run.bold && run.italic) return PDF_FONTS.boldItalic;
+  if (run.bold) return PDF_FONTS.bold;
+  if (run.italic) return PDF_FONTS.italic;
+  return PDF_FONTS.regular;
+};
+
+class PdfWriter {
+  constructor(doc, images) {
+    this.doc = doc;
+    this.images = images;
+    this.indent = 0;
+  }
+
+  get width() {
+    const { margins } = this.doc.page;
+    return this.doc.page.width - margins.left - margins.right - this.indent;
+  }
+
+  get x() {
+    return this.doc.page.margins.left + this.indent;
+  }
+
+  // Write styled runs as one flowing paragraph, breaking out for images
+  text(runs, { size = BODY_SIZE, prefix = null, color = "#1f2328" } = {}) {
+    const doc = this.doc;
+    let pending = prefix ? [{ text: prefix }] : [];
+
+    const flush = () => {
+      const printable = pending.filter((run) => run.text);
+      if (printable.length === 0) return;
+      doc.fontSize(size).fillColor(color);
+      printable.forEach((run, idx) => {
+        const last = idx === printable.length - 1;
+        doc.font(fontFor(run)).text(run.text, idx === 0 ? this.x : undefined, undefined, {
+          width: this.width,
+          continued: !last,
+          link: run.link || null,
+          underline: Boolean(run.link),
+          strike: Boolean(run.strike),
+        });
+      });
+      pending = [];
+    };
+
+    for (const run of runs) {
+      if (run.image !== undefined) {
+        flush();
+        this.image(run.image, run.alt);
+      } else {
+        pending.push(run);
+      }
+    }
+    flush();
+  }
+
+  image(src, alt) {
+    const image = resolveImage(src, this.images);
+    if (image && PDF_IMAGE_TYPES.includes(image.attachment.mimeType)) {
+      try {
+        this.doc.image(image.filePath, this.x, undefined, { fit: [this.width, 360] });
+        this.doc.moveDown(0.5);
+        return;
+      } catch (error) {
+        console.error("PDF export image error:", error.message);
+      }
+    }
+    this.text([{ text: `[Image: ${alt || src}]`, italic: true }], { color: "#57606a" });
+  }
+
+  blocks(tokens) {
+    for (const token of tokens || []) {
+      this.block(token);
+    }
+  }
+
+  block(token) {
+    const doc = this.doc;
+    switch (token.type) {
+      case "heading":
+        doc.moveDown(0.6);
+        this.text(inlineRuns(token.tokens, { bold: true }), { size: HEADING_SIZES[token.depth] });
+        doc.moveDown(0.3);
+        break;
+      case "paragraph":
+        this.text(inlineRuns(token.tokens));
+        doc.moveDown(0.5);
+        break;
+      case "text":
+        this.text(inlineRuns(token.tokens || [token]));
+        break;
+      case "list":
+        token.items.forEach((item, idx) => {
+          const marker = token.ordered ? `${(token.start || 1) + idx}. ` : "• ";
+          const [first, ...rest] = item.tokens;
+          const firstRuns = first && ["text", "paragraph"].includes(first.type)
+            ? inlineRuns(first.tokens || [first])
+            : [];
+          this.text(firstRuns, { prefix: item.task ? `${item.checked ? "[x]" : "[ ]"} ` : marker });
+          this.indent += 14;
+          this.blocks(firstRuns.length ? rest : item.tokens);
+          this.indent -= 14;
+        });
+        doc.moveDown(0.5);
+        break;
+      case "code":
+        doc.font(PDF_FONTS.code).fontSize(9).fillColor("#24292f")
+          .text(token.text, this.x + 8, undefined, { width: this.width - 8 });
+        doc.moveDown(0.5);
+        break;
+      case "blockquote":
+        this.indent += 14;
+        this.blocks(token.tokens);
+        this.indent -= 14;
+        break;
+      case "table": {
+        const row = (cells) => cells.map((cell) => decodeEntities(cell.text)).join("  |  ");
+        this.text([{ text: row(token.header), bold: true }]);
+        token.rows.forEach((cells) => this.text([{ text: row(cells) }]));
+        doc.moveDown(0.5);
+        break;
+      }
+      case "hr":
+        doc.moveTo(this.x, doc.y).lineTo(this.x + this.width, doc.y).strokeColor("#d0d7de").stroke();
+        doc.moveDown(0.5);
+        break;
+      case "html": {
+        const text = decodeEntities(token.text.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+        if (text) {
+          this.text([{ text }]);
+          doc.moveDown(0.5);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * PDF document with a metadata header and page numbers
+ * @returns {Promise<Buffer>}
+ */
+const toPdf = async (article) => {
+  const meta = exportMetadata(article);
+  const images = await loadImageAttachments(article._id);
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 56,
+    bufferPages: true,
+    info: { Title: meta.title, Author: meta.author, Subject: meta.category || "" },
+  });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  doc.font(PDF_FONTS.bold).fontSize(22).fillColor("#1f2328").text(meta.title);
+  doc.moveDown(0.4);
+
+  const details = [
+    `Author: ${meta.author}`,
+    meta.category ? `Category: ${meta.category}` : null,
+    meta.tags.length ? `Tags: ${meta.tags.join(", ")}` : null,
+    `Status: ${meta.status}`,
+    meta.approvedBy ? `Approved by ${meta.approvedBy} on ${formatDate(meta.approvedAt)}` : null,
+    `Last updated: ${formatDate(meta.updatedAt)} (revision ${meta.revision})`,
+  ].filter(Boolean);
+  doc.font(PDF_FONTS.regular).fontSize(9).fillColor("#57606a").text(details.join("\n"));
+  doc.moveDown(0.5);
+  doc.moveTo(doc.x, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y)
+    .strokeColor("#d0d7de").stroke();
+  doc.moveDown(1);
+
+  const writer = new PdfWriter(doc, images);
+  if (article.contentFormat === "plain") {
+    article.content
+      .split(/\n{2,}/)
+      .filter((block) => block.trim())
+      .forEach((block) => {
+        writer.text([{ text: block.trim() }]);
+        doc.moveDown(0.5);
+      });
+  } else {
+    writer.blocks(Lexer.lex(markdownSource(article), { gfm: true }));
+  }
+
+  // Footer on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font(PDF_FONTS.regular).fontSize(8).fillColor("#57606a").text(
+      `${meta.title} — page ${i + 1} of ${range.count}`,
+      doc.page.margins.left,
+      doc.page.height - 36,
+      { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: "center" },
+    );
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+  return done;
+};
+
+/**
+ * Export an article in the requested format
+ * @param {Object} article - Article with author, category, tags and approvedBy populated
+ * @param {string} format - md | html | pdf
+ * @returns {Promise<Object>} - { buffer, contentType, filename }
+ */
+const exportArticle = async (article, format) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  let buffer;
+  if (format === "pdf") {
+    buffer = await toPdf(article);
+  } else if (format === "html") {
+    buffer = await toHtml(article);
+  } else {
+    buffer = toMarkdown(article);
+  }
+
+  return {
+    buffer,
+    contentType,
+    filename: `${article.slug || article._id}.${extension}`,
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportMetadata,
+  exportArticle,
+};
@@ -0,0 +1,48 @@
+const { Article, ArticleFeedback } = require("../models");
+
+/**
+ * Helpfulness aggregates of an article (or any object carrying the vote counters)
+ * @param {Object} article - { helpfulVotes, notHelpfulVotes }
+ * @returns {Object} - { helpful, notHelpful, totalVotes, helpfulnessRatio }
+ */
+const summarizeFeedback = (article) => {
+  const helpful = article?.helpfulVotes || 0;
+  const notHelpful = article?.notHelpfulVotes || 0;
+  const totalVotes = helpful + notHelpful;
+
+  return {
+    helpful,
+    notHelpful,
+    totalVotes,
+    helpfulnessRatio: totalVotes > 0 ? Number((helpful / totalVotes).toFixed(3)) : null,
+  };
+};
+
+/**
+ * Recompute an article's vote counters from the feedback records
+ * @param {string} articleId
+ * @returns {Promise<Object>} - Feedback summary
+ */
+const syncFeedbackCounts = async (articleId) => {
+  const [helpfulVotes, notHelpfulVotes] = await Promise.all([
+    ArticleFeedback.countDocuments({ article: articleId, helpful: true }),
+    ArticleFeedback.countDocuments({ article: articleId, helpful: false }),
+  ]);
+
+  await Article.updateOne({ _id: articleId }, { helpfulVotes, notHelpfulVotes });
+
+  return summarizeFeedback({ helpfulVotes, notHelpfulVotes });
+};
+
+/**
+ * Remove every vote on an article
+ */
+const removeArticleFeedback = async (articleId) => {
+  await ArticleFeedback.deleteMany({ article: articleId });
+};
+
+module.exports = {
+  summarizeFeedback,
+  syncFeedbackCounts,
+  removeArticleFeedback,
+};
@@ -0,0 +1,230 @@
+const path = require("path");
+const mammoth = require("mammoth");
+const TurndownService = require("turndown");
+const { gfm } = require("turndown-plugin-gfm");
+
+/**
+ * Import Service
+ * Converts DOCX, Markdown and HTML documents into Markdown article content.
+ * Embedded images are returned separately so they can become attachments;
+ * the content references them through "attachment://<index>" placeholders.
+ */
+
+const IMAGE_PLACEHOLDER = "attachment://";
+
+// A document that cannot be imported as sent; reported back to the client
+class ImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ImportError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Word paragraph styles commonly used for code
+const DOCX_STYLE_MAP = [
+  "p[style-name='Code'] => pre:separator('\\n')",
+  "p[style-name='Source Code'] => pre:separator('\\n')",
+  "p[style-name='HTML Preformatted'] => pre:separator('\\n')",
+  "r[style-name='Code Char'] => code",
+  "r[style-name='Verbatim Char'] => code",
+];
+
+const IMAGE_EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+};
+
+const createTurndown = () => {
+  const turndown = new TurndownService({
+    headingStyle: "atx",
+    codeBlockStyle: "fenced",
+    bulletListMarker: "-",
+    emDelimiter: "*",
+  });
+  turndown.use(gfm);
+  turndown.remove(["script", "style", "head", "noscript", "iframe", "object"]);
+  return turndown;
+};
+
+/**
+ * Convert an HTML fragment to Markdown
+ * @param {string} html
+ * @returns {string}
+ */
+const htmlToMarkdown = (html) => createTurndown().turndown(html || "");
+
+/**
+ * Collect embedded images into an array and return their placeholder
+ */
+const imageCollector = (images, baseName) => (mimeType, buffer, alt) => {
+  const index = images.length;
+  const ext = IMAGE_EXTENSIONS[mimeType] || "";
+  images.push({
+    mimeType,
+    buffer,
+    alt: alt || null,
+    originalName: `${baseName}-image-${index + 1}${ext}`,
+  });
+  return `${IMAGE_PLACEHOLDER}${index}`;
+};
+
+// Pull base64 data URIs out of HTML <img> tags
+const extractHtmlDataImages = (html, collect) =>
+  html.replace(
+    /(<img\b[^>]*\bsrc=["'])data:(image\/[\w.+-]+);base64,([^"']+)(["'][^>]*>)/gi,
+    (match, before, mimeType, data, after) => {
+      const altMatch = match.match(/\balt=["']([^"']*)["']/i);
+      const placeholder = collect(
+        mimeType.toLowerCase(),
+        Buffer.from(data, "base64"),
+        altMatch ? altMatch[1] : null,
+      );
+      return `${before}${placeholder}${after}`;
+    },
+  );
+
+// Pull base64 data URIs out of Markdown image syntax
+const extractMarkdownDataImages = (markdown, collect) =>
+  markdown.replace(
+    /!\[([^\]]*)\]\(data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)\)/g,
+    (match, alt, mimeType, data) => {
+      const placeholder = collect(
+        mimeType.toLowerCase(),
+        Buffer.from(data.replace(/\s+/g, ""), "base64"),
+        alt,
+      );
+      return `![${alt}](${placeholder})`;
+    },
+  );
+
+// Heading text without its optional closing #s: "Title ##" is "Title",
+// "C#" keeps its #
+const stripClosingSequence = (heading) => {
+  const text = heading.trim();
+  let cut = text.length;
+  while (cut > 0 && text[cut - 1] === "#") cut--;
+  if (cut === 0) return "";
+  if (cut < text.length && text[cut - 1] !== " " && text[cut - 1] !== "\t") return text;
+  return text.slice(0, cut).trim();
+};
+
+/**
+ * Use a leading level 1 heading as the title and drop it from the body
+ */
+const splitTitle = (markdown) => {
+  // Only the first line is looked at, scanned without regular expressions
+  // so a long line of padding cannot stall the parser
+  const text = markdown.trimStart();
+  const end = text.indexOf("\n");
+  const firstLine = end === -1 ? text : text.slice(0, end);
+  const isHeading = firstLine[0] === "#" && (firstLine[1] === " " || firstLine[1] === "\t");
+  const title = isHeading ? stripClosingSequence(firstLine.slice(2)) : "";
+  if (!title) {
+    return { title: null, content: markdown.trim() };
+  }
+  return {
+    title,
+    content: (end === -1 ? "" : text.slice(end + 1)).trim(),
+  };
+};
+
+const convertDocx = async (buffer, collect) => {
+  let result;
+  try {
+    result = await mammoth.convertToHtml(
+      { buffer },
+      {
+        styleMap: DOCX_STYLE_MAP,
+        convertImage: mammoth.images.imgElement(async (image) => {
+          const imageBuffer = await image.read();
+          return { src: collect(image.contentType, imageBuffer, image.altText) };
+        }),
+      },
+    );
+  } catch (error) {
+    throw new ImportError("The file is not a readable .docx document");
+  }
+
+  return {
+    markdown: htmlToMarkdown(result.value),
+    warnings: result.messages.map((m) => m.message),
+  };
+};
+
+const convertHtml = (html, collect) => {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  // Only the body of a full document is content
+  const bodyMatch = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  const withPlaceholders = extractHtmlDataImages(bodyMatch ? bodyMatch[1] : html, collect);
+  return {
+    markdown: htmlToMarkdown(withPlaceholders),
+    documentTitle: titleMatch ? titleMatch[1].replace(/\s+/g, " ").trim() : null,
+    warnings: [],
+  };
+};
+
+/**
+ * Convert an uploaded document into Markdown article content
+ * @param {Buffer} buffer - File contents
+ * @param {string} originalName - Uploaded file name (decides the format)
+ * @returns {Promise<Object>} - { title, content, sourceFormat, images, warnings }
+ */
+const convertDocument = async (buffer, originalName) => {
+  const ext = path.extname(originalName).toLowerCase();
+  const baseName = path.basename(originalName, ext);
+  const images = [];
+  const collect = imageCollector(images, baseName.replace(/[^\w.-]+/g, "_"));
+
+  let converted;
+  let sourceFormat;
+  if (ext === ".docx") {
+    sourceFormat = "docx";
+    converted = await convertDocx(buffer, collect);
+  } else if (ext === ".html" || ext === ".htm") {
+    sourceFormat = "html";
+    converted = convertHtml(buffer.toString("utf8"), collect);
+  } else if (ext === ".md" || ext === ".markdown") {
+    sourceFormat = "markdown";
+    converted = {
+      markdown: extractMarkdownDataImages(buffer.toString("utf8"), collect),
+      warnings: [],
+    };
+  } else {
+    throw new ImportError(`Unsupported document type: ${ext}`);
+  }
+
+  const { title, content } = splitTitle(converted.markdown.replace(/\r\n/g, "\n"));
+
+  return {
+    title: title || converted.documentTitle || baseName,
+    content,
+    sourceFormat,
+    images,
+    warnings: converted.warnings,
+  };
+};
+
+/**
+ * Point image placeholders at their stored attachments
+ * @param {string} content - Markdown with attachment://<index> placeholders
+ * @param {Array<string|null>} urls - URL per image index (null when the image was skipped)
+ * @returns {string}
+ */
+const linkImages = (content, urls) =>
+  content.replace(
+    /!\[([^\]]*)\]\(attachment:\/\/(\d+)\)/g,
+    (match, alt, index) => {
+      const url = urls[parseInt(index)];
+      return url ? `![${alt}](${url})` : `*[image not imported: ${alt || "untitled"}]*`;
+    },
+  );
+
+module.exports = {
+  ImportError,
+  convertDocument,
+  htmlToMarkdown,
+  linkImages,
+};
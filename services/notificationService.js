@@ -0,0 +1,20 @@
+const { Notification } = require("../models");
+
+/**
+ * Send an in-app notification to a user
+ * @param {string} userId - Recipient
+ * @param {Object} notification - { type, message, article, metadata }
+ * @returns {Promise<Object>} - The notification
+ */
+const notify = (userId, { type, message, article = null, metadata = null }) =>
+  Notification.create({ user: userId, type, message, article, metadata });
+
+/**
+ * Delete every notification about an article
+ */
+const removeArticleNotifications = (articleId) => Notification.deleteMany({ article: articleId });
+
+module.exports = {
+  notify,
+  removeArticleNotifications,
+};
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+const { User } = require("../models");
+
+/**
+ * Ownership Service
+ * Every article has one author, who owns it, and any number of co-authors
+ * who share editing rights and credit. Admins can hand ownership over to
+ * another user, e.g. before deleting an account.
+ */
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Find active users by id or username
+ * @param {Array} references - User ids and/or usernames
+ * @returns {Promise<Object>} - { users } or { error } naming the unknown references
+ */
+const resolveUsers = async (references) => {
+  const values = [...new Set((references || []).map((value) => String(value).trim()).filter(Boolean))];
+  if (values.length === 0) return { users: [] };
+
+  const ids = values.filter((value) => mongoose.Types.ObjectId.isValid(value));
+  const users = await User.find({
+    isActive: true,
+    $or: [{ _id: { $in: ids } }, { username: { $in: values } }],
+  }).select("username email role");
+
+  const missing = values.filter(
+    (value) => !users.some((user) => user._id.toString() === value || user.username === value),
+  );
+  if (missing.length > 0) {
+    return { error: `Unknown or inactive user(s): ${missing.join(", ")}` };
+  }
+
+  return { users };
+};
+
+/**
+ * Validate the co-authors requested for an article
+ * @param {Array|string} input - Ids or usernames, as an array or comma separated
+ * @param {Object} article - The article (its author cannot be a co-author)
+ * @returns {Promise<Object>} - { users } or { error }
+ */
+const parseCoAuthors = async (input, article) => {
+  const references = Array.isArray(input) ? input : String(input || "").split(",");
+  const { users, error } = await resolveUsers(references);
+  if (error) return { error };
+
+  return { users: users.filter((user) => user._id.toString() !== idOf(article.author)) };
+};
+
+/**
+ * Make another user the owner of an article (not saved)
+ * @param {Object} article - Article document
+ * @param {Object} toUser - New owner
+ * @param {Object} options - { keepAsCoAuthor } keep the previous owner as a co-author
+ * @returns {Object} - { from, to } owner ids
+ */
+const transferArticle = (article, toUser, { keepAsCoAuthor = false } = {}) => {
+  const from = idOf(article.author);
+  const to = toUser._id.toString();
+
+  const coAuthors = (article.coAuthors || []).map(idOf).filter((id) => id !== to);
+  if (keepAsCoAuthor && from !== to && !coAuthors.includes(from)) {
+    coAuthors.push(from);
+  }
+
+  article.author = toUser._id;
+  article.coAuthors = coAuthors;
+  return { from, to };
+};
+
+module.exports = {
+  resolveUsers,
+  parseCoAuthors,
+  transferArticle,
+};
@@ -0,0 +1,100 @@
+const { Article } = require("../models");
+const { createAuditLog } = require("./auditService");
+const { tryIndexArticle, removeArticleIndex } = require("./articleIndexer");
+const { SYSTEM_ACTOR, applyTransition } = require("./articleLifecycle");
+
+/**
+ * Publishing Service
+ * Approved articles can carry a publishing window. Visibility itself is
+ * decided at query time (see articleAccess.publishedFilter); the scheduled
+ * job here performs the side effects when a window opens or closes:
+ * audit entries, RAG indexing and archiving expired notices.
+ */
+
+/**
+ * Validate a publishing window given at approval
+ * @param {Object} input - { publishAt, unpublishAt } as sent by the client
+ * @returns {Object} - { publishAt, unpublishAt } dates (null when unset), or { error }
+ */
+const parsePublishWindow = ({ publishAt, unpublishAt }, now = new Date()) => {
+  const toDate = (value) => (value === undefined || value === null || value === "" ? null : new Date(value));
+  const window = { publishAt: toDate(publishAt), unpublishAt: toDate(unpublishAt) };
+
+  for (const [field, date] of Object.entries(window)) {
+    if (date && Number.isNaN(date.getTime())) {
+      return { error: `${field} must be a valid date` };
+    }
+  }
+
+  // A publish time already passed simply means "now"
+  if (window.publishAt && window.publishAt <= now) {
+    window.publishAt = null;
+  }
+
+  if (window.unpublishAt && window.unpublishAt <= (window.publishAt || now)) {
+    return { error: "unpublishAt must be later than publishAt and in the future" };
+  }
+
+  return window;
+};
+
+/**
+ * Go live with approved articles whose publishAt has passed
+ * @returns {Promise<number>} - Number of articles published
+ */
+const publishDueArticles = async (now = new Date()) => {
+  const due = await Article.find({ status: "APPROVED", publishAt: { $ne: null, $lte: now } });
+
+  for (const article of due) {
+    const publishAt = article.publishAt;
+    article.publishAt = null;
+    await article.save({ timestamps: false });
+
+    const indexed = await tryIndexArticle(article);
+
+    await createAuditLog(
+      article.approvedBy,
+      "ARTICLE_PUBLISH",
+      "Article",
+      article._id,
+      `Published scheduled article: ${article.title}`,
+      { scheduled: true, publishAt, indexed },
+    );
+  }
+
+  return due.length;
+};
+
+/**
+ * Archive approved articles whose unpublishAt has passed
+ * @returns {Promise<number>} - Number of articles archived
+ */
+const expireDueArticles = async (now = new Date()) => {
+  const due = await Article.find({ status: "APPROVED", unpublishAt: { $ne: null, $lte: now } });
+
+  for (const article of due) {
+    const unpublishAt = article.unpublishAt;
+    applyTransition(article, "archive", SYSTEM_ACTOR);
+    article.unpublishAt = null;
+    await article.save({ timestamps: false });
+
+    await removeArticleIndex(article._id);
+
+    await createAuditLog(
+      article.approvedBy,
+      "ARTICLE_ARCHIVE",
+      "Article",
+      article._id,
+      `Archived expired article: ${article.title}`,
+      { scheduled: true, unpublishAt },
+    );
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  parsePublishWindow,
+  publishDueArticles,
+  expireDueArticles,
+};
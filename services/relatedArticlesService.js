@@ -0,0 +1,137 @@
+const { Article, ArticleEmbedding } = require("../models");
+const embeddingService = require("./embeddingService");
+const { publishedFilter } = require("./articleAccess");
+
+/**
+ * Related Articles Service
+ * Ranks approved articles by how close they are to a given article.
+ * Indexed articles are compared through their stored embeddings, blended
+ * with shared tags and category; articles that are not indexed yet fall
+ * back to tag and category overlap alone.
+ */
+
+const WEIGHTS = {
+  embedding: { similarity: 0.7, tags: 0.2, category: 0.1 },
+  taxonomy: { similarity: 0, tags: 0.7, category: 0.3 },
+};
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+// Most similar articles considered when ranking by embedding; tags and
+// category can reorder these but not bring in articles beyond them
+const EMBEDDING_CANDIDATES = 50;
+
+// Only what the related list shows is loaded
+const CANDIDATE_FIELDS = "title slug excerpt views tags category rendered.readingTimeMinutes";
+
+const idsOf = (values) => (values || []).map((value) => (value._id || value).toString());
+
+// Jaccard overlap of two tag id lists
+const tagOverlap = (sourceTags, candidateTags) => {
+  const source = new Set(sourceTags);
+  const candidate = new Set(candidateTags);
+  const shared = [...candidate].filter((id) => source.has(id));
+  const union = new Set([...source, ...candidate]).size;
+  return { shared, score: union === 0 ? 0 : shared.length / union };
+};
+
+// Embedding similarity of every other published, indexed article, keyed
+// by article id. Drafts and pending articles never compete for a place.
+const embeddingSimilarities = async (sourceEmbedding) => {
+  const similarities = new Map();
+  const publishedIds = await Article.distinct("_id", publishedFilter());
+  const others = await ArticleEmbedding.find(
+    { article: { $in: publishedIds, $ne: sourceEmbedding.article } },
+    "article embedding embeddingModel",
+  ).lean();
+
+  for (const other of others) {
+    // Vectors from different models or sizes are not comparable
+    if (
+      other.embeddingModel !== sourceEmbedding.embeddingModel ||
+      other.embedding.length !== sourceEmbedding.embedding.length
+    ) {
+      continue;
+    }
+    const similarity = embeddingService.cosineSimilarity(sourceEmbedding.embedding, other.embedding);
+    similarities.set(other.article.toString(), Number.isFinite(similarity) ? Math.max(0, similarity) : 0);
+  }
+  return similarities;
+};
+
+/**
+ * Find approved articles related to an article
+ * @param {Object} article - Source article document
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} - { basis: "embedding" | "taxonomy", related: [{ article, score, similarity, sharedTags, sameCategory }] }
+ */
+const findRelatedArticles = async (article, { limit = DEFAULT_LIMIT } = {}) => {
+  const size = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const sourceTags = idsOf(article.tags);
+  const sourceCategory = article.category ? (article.category._id || article.category).toString() : null;
+
+  const sourceEmbedding = await ArticleEmbedding.findOne(
+    { article: article._id },
+    "article embedding embeddingModel",
+  ).lean();
+  const basis = sourceEmbedding ? "embedding" : "taxonomy";
+  const weights = WEIGHTS[basis];
+
+  const query = { ...publishedFilter(), _id: { $ne: article._id } };
+  let similarities = new Map();
+
+  if (sourceEmbedding) {
+    similarities = await embeddingSimilarities(sourceEmbedding);
+    const closest = [...similarities.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, EMBEDDING_CANDIDATES)
+      .map(([id]) => id);
+    query._id = { $in: closest, $ne: article._id };
+  } else {
+    // Without a vector only articles sharing a tag or the category can score
+    const overlap = [];
+    if (sourceTags.length > 0) overlap.push({ tags: { $in: sourceTags } });
+    if (sourceCategory) overlap.push({ category: sourceCategory });
+    if (overlap.length === 0) {
+      return { basis, related: [] };
+    }
+    query.$or = overlap;
+  }
+
+  const candidates = await Article.find(query)
+    .select(CANDIDATE_FIELDS)
+    .populate("category", "name")
+    .populate("tags", "name");
+
+  const related = candidates
+    .map((candidate) => {
+      const similarity = similarities.get(candidate._id.toString()) || 0;
+      const tags = tagOverlap(sourceTags, idsOf(candidate.tags));
+      const sameCategory =
+        Boolean(sourceCategory) && candidate.category?._id.toString() === sourceCategory;
+
+      const score =
+        weights.similarity * similarity +
+        weights.tags * tags.score +
+        weights.category * (sameCategory ? 1 : 0);
+
+      return {
+        article: candidate,
+        score,
+        similarity,
+        sharedTags: (candidate.tags || [])
+          .filter((tag) => tags.shared.includes(tag._id.toString()))
+          .map((tag) => tag.name),
+        sameCategory,
+      };
+    })
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || b.article.views - a.article.views)
+    .slice(0, size);
+
+  return { basis, related };
+};
+
+module.exports = {
+  findRelatedArticles,
+};
@@ -0,0 +1,161 @@
+const { ReviewComment } = require("../models");
+const { LifecycleError } = require("./articleLifecycle");
+const { assertTemplateSections } = require("./templateService");
+
+/**
+ * Review Comment Service
+ * Reviewers leave inline comments on pending articles, anchored to a
+ * character range or a paragraph of the article source. The author replies
+ * in the thread; blocking threads hold back resubmission until resolved.
+ */
+
+const QUOTE_MAX_LENGTH = 300;
+
+// Top-level comments that are still open
+const OPEN_THREADS = { parent: null, resolvedAt: null };
+
+/**
+ * Split article source into paragraphs (blocks separated by blank lines)
+ * @returns {Array} - [{ start, end, text }] offsets into the source
+ */
+const splitParagraphs = (content) => {
+  const paragraphs = [];
+  const pattern = /[^\n]*\S[^\n]*(?:\n[^\n]*\S[^\n]*)*/g;
+  for (const match of (content || "").matchAll(pattern)) {
+    paragraphs.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+  }
+  return paragraphs;
+};
+
+const truncateQuote = (text) =>
+  text.length > QUOTE_MAX_LENGTH ? `${text.slice(0, QUOTE_MAX_LENGTH - 1)}…` : text;
+
+/**
+ * Validate an anchor sent by a reviewer against the article's content
+ * @param {Object} input - { type: "range", start, end } or { type: "paragraph", paragraph }
+ * @param {string} content - Current article source
+ * @returns {Object} - { anchor } or { error }
+ */
+const parseAnchor = (input, content) => {
+  if (!input || typeof input !== "object") {
+    return { error: "anchor is required: { type: \"range\", start, end } or { type: \"paragraph\", paragraph }" };
+  }
+
+  const source = content || "";
+
+  if (input.type === "range") {
+    const start = Number(input.start);
+    const end = Number(input.end);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start) {
+      return { error: "Range anchors need integer start and end offsets with start < end" };
+    }
+    if (end > source.length) {
+      return { error: `Range ends past the article content (${source.length} characters)` };
+    }
+    return {
+      anchor: { type: "range", start, end, quote: truncateQuote(source.slice(start, end)) },
+    };
+  }
+
+  if (input.type === "paragraph") {
+    const index = Number(input.paragraph);
+    const paragraphs = splitParagraphs(source);
+    if (!Number.isInteger(index) || index < 0 || index >= paragraphs.length) {
+      return { error: `paragraph must be an index between 0 and ${paragraphs.length - 1}` };
+    }
+    return {
+      anchor: { type: "paragraph", paragraph: index, quote: truncateQuote(paragraphs[index].text) },
+    };
+  }
+
+  return { error: "anchor.type must be \"range\" or \"paragraph\"" };
+};
+
+/**
+ * Whether the anchored text has changed since the comment was made
+ * @returns {boolean}
+ */
+const isAnchorOutdated = (anchor, content) => {
+  if (!anchor) return false;
+
+  let current;
+  if (anchor.type === "range") {
+    current = (content || "").slice(anchor.start, anchor.end);
+  } else {
+    current = splitParagraphs(content)[anchor.paragraph]?.text || "";
+  }
+  return truncateQuote(current) !== anchor.quote;
+};
+
+/**
+ * Count open review threads per article
+ * @param {Array} articleIds
+ * @returns {Promise<Map<string, Object>>} - { unresolved, blocking } per article id
+ */
+const countUnresolvedReviewComments = async (articleIds) => {
+  const counts = await ReviewComment.aggregate([
+    { $match: { article: { $in: articleIds }, ...OPEN_THREADS } },
+    {
+      $group: {
+        _id: "$article",
+        unresolved: { $sum: 1 },
+        blocking: { $sum: { $cond: ["$blocking", 1, 0] } },
+      },
+    },
+  ]);
+  return new Map(
+    counts.map((c) => [c._id.toString(), { unresolved: c.unresolved, blocking: c.blocking }]),
+  );
+};
+
+/**
+ * Throw unless every blocking review thread on the article is resolved
+ */
+const assertNoBlockingComments = async (article) => {
+  const open = await ReviewComment.find({ article: article._id, blocking: true, ...OPEN_THREADS })
+    .select("body anchor round")
+    .sort({ createdAt: 1 });
+
+  if (open.length > 0) {
+    throw new LifecycleError(
+      `Resolve the ${open.length} blocking review comment(s) before resubmitting`,
+      "BLOCKING_REVIEW_COMMENTS",
+      409,
+      {
+        count: open.length,
+        comments: open.map((comment) => ({
+          id: comment._id,
+          body: comment.body,
+          quote: comment.anchor?.quote || null,
+          round: comment.round,
+        })),
+      },
+    );
+  }
+};
+
+/**
+ * Throw unless the article may enter the review queue, whether it is
+ * submitted or an edit sends it back to review
+ */
+const assertReadyForReview = async (article) => {
+  await assertNoBlockingComments(article);
+  await assertTemplateSections(article);
+};
+
+/**
+ * Remove every review comment on an article
+ */
+const removeArticleReviewComments = async (articleId) => {
+  await ReviewComment.deleteMany({ article: articleId });
+};
+
+module.exports = {
+  splitParagraphs,
+  parseAnchor,
+  isAnchorOutdated,
+  countUnresolvedReviewComments,
+  assertNoBlockingComments,
+  assertReadyForReview,
+  removeArticleReviewComments,
+};
@@ -0,0 +1,148 @@
+const { Article, Category } = require("../models");
+const { notify } = require("./notificationService");
+
+/**
+ * Review Service
+ * Approved articles fall due for review on their reviewBy date or, without
+ * one, after their category's review interval. Due articles are queued for
+ * admins and their authors and co-authors are reminded until someone
+ * re-verifies them.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days between repeated reminders for the same overdue article
+ * @returns {number}
+ */
+const getReminderRepeatDays = () => parseInt(process.env.REVIEW_REMINDER_REPEAT_DAYS) || 7;
+
+/**
+ * Parse a reviewBy input: null or "" clears it
+ * @returns {Date|null|undefined} - undefined when the value is not a date
+ */
+const parseReviewBy = (value) => {
+  if (value === null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Mark an article as re-verified, which restarts its review clock.
+ * An explicit reviewBy moves forward by the same span it had before.
+ * @param {Object} article - Article document
+ * @param {Object} user - Verifying user
+ * @param {Object} options - { reviewBy } new deadline, null to rely on the category interval
+ * @returns {Promise<Object>} - The saved article
+ */
+const verifyArticle = async (article, user, { reviewBy } = {}) => {
+  const now = new Date();
+  let nextReviewBy = reviewBy;
+
+  if (nextReviewBy === undefined && article.reviewBy) {
+    const since = article.lastVerifiedAt || article.approvedAt || article.createdAt;
+    const span = article.reviewBy.getTime() - since.getTime();
+    nextReviewBy = span > 0 ? new Date(now.getTime() + span) : null;
+  }
+
+  article.reviewBy = nextReviewBy || null;
+  article.lastVerifiedAt = now;
+  article.lastVerifiedBy = user._id;
+  article.reviewReminderSentAt = null;
+
+  // Verification leaves the content, and so its last-updated date, alone
+  await article.save({ timestamps: false });
+  return article;
+};
+
+/**
+ * Recompute review deadlines after a category's interval changed
+ * @returns {Promise<number>} - Number of articles updated
+ */
+const refreshCategoryReviewDates = async (categoryId) => {
+  const category = await Category.findById(categoryId, "reviewIntervalDays");
+  const articles = await Article.find(
+    { category: categoryId, reviewBy: null },
+    "reviewBy approvedAt lastVerifiedAt createdAt reviewDueAt",
+  );
+
+  let updated = 0;
+  for (const article of articles) {
+    const reviewDueAt = article.computeReviewDueAt(category?.reviewIntervalDays);
+    if (String(reviewDueAt) === String(article.reviewDueAt)) continue;
+    await Article.updateOne({ _id: article._id }, { reviewDueAt }, { timestamps: false });
+    updated++;
+  }
+  return updated;
+};
+
+/**
+ * Approved articles due for review, most overdue first
+ * @param {Object} options - { dueWithinDays, category (a valid id), page, limit }
+ * @returns {Promise<Object>} - { articles, total, page, limit } with page and limit clamped
+ */
+const getReviewQueue = async ({ dueWithinDays = 0, category, page = 1, limit = 20 } = {}) => {
+  const horizon = new Date(Date.now() + (parseInt(dueWithinDays) || 0) * DAY_MS);
+  const filter = { status: "APPROVED", reviewDueAt: { $ne: null, $lte: horizon } };
+  if (category) filter.category = category;
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const size = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [articles, total] = await Promise.all([
+    Article.find(filter)
+      .populate("author", "username email")
+      .populate("category", "name reviewIntervalDays")
+      .populate("lastVerifiedBy", "username")
+      .sort({ reviewDueAt: 1 })
+      .skip((pageNumber - 1) * size)
+      .limit(size),
+    Article.countDocuments(filter),
+  ]);
+
+  return { articles, total, page: pageNumber, limit: size };
+};
+
+/**
+ * Remind authors and co-authors of overdue articles. Each article is reminded
+ * once when it falls due, then again every REVIEW_REMINDER_REPEAT_DAYS.
+ * @returns {Promise<number>} - Number of overdue articles reminded about
+ */
+const sendReviewReminders = async (now = new Date()) => {
+  const repeatBefore = new Date(now.getTime() - getReminderRepeatDays() * DAY_MS);
+  const due = await Article.find(
+    {
+      status: "APPROVED",
+      reviewDueAt: { $ne: null, $lte: now },
+      $or: [{ reviewReminderSentAt: null }, { reviewReminderSentAt: { $lte: repeatBefore } }],
+    },
+    "title slug author coAuthors reviewDueAt",
+  );
+
+  for (const article of due) {
+    const daysOverdue = Math.floor((now - article.reviewDueAt) / DAY_MS);
+    for (const recipient of [article.author, ...(article.coAuthors || [])]) {
+      await notify(recipient, {
+        type: "REVIEW_DUE",
+        message: `"${article.title}" is due for review. Check it is still accurate and mark it as verified.`,
+        article: article._id,
+        metadata: { reviewDueAt: article.reviewDueAt, daysOverdue },
+      });
+    }
+    await Article.updateOne(
+      { _id: article._id },
+      { reviewReminderSentAt: now },
+      { timestamps: false },
+    );
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  parseReviewBy,
+  verifyArticle,
+  refreshCategoryReviewDates,
+  getReviewQueue,
+  sendReviewReminders,
+};
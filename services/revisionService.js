@@ -0,0 +1,96 @@
+const { Article, ArticleRevision } = require("../models");
+
+// Fields copied into every revision snapshot
+const REVISION_FIELDS = [
+  "title",
+  "content",
+  "contentFormat",
+  "excerpt",
+  "category",
+  "tags",
+  "pdfFile",
+  "pdfOriginalName",
+  "pdfText",
+];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Capture the versioned fields of an article
+ * @param {Object} article - Article document (category/tags may be populated)
+ * @returns {Object}
+ */
+const snapshotArticle = (article) => ({
+  title: article.title,
+  content: article.content,
+  contentFormat: article.contentFormat || "markdown",
+  excerpt: article.excerpt ?? null,
+  category: idOf(article.category) || null,
+  tags: (article.tags || []).map(idOf),
+  pdfFile: article.pdfFile ?? null,
+  pdfOriginalName: article.pdfOriginalName ?? null,
+  pdfText: article.pdfText ?? null,
+});
+
+/**
+ * Names of the versioned fields that differ between two snapshots
+ */
+const changedFields = (before, after) => {
+  return REVISION_FIELDS.filter((field) => {
+    if (field === "tags") {
+      const a = before.tags.map(String).join(",");
+      const b = after.tags.map(String).join(",");
+      return a !== b;
+    }
+    return String(before[field] ?? "") !== String(after[field] ?? "");
+  });
+};
+
+/**
+ * Store the current state of an article as its next revision.
+ * The revision number is allocated atomically on the article.
+ * @param {Object} article - Saved article document
+ * @param {string} editorId - User who made the change
+ * @param {Object} options - { restoredFrom, note }
+ * @returns {Promise<Object>} - Created revision
+ */
+const recordRevision = async (article, editorId, options = {}) => {
+  const { currentRevision } = await Article.findByIdAndUpdate(
+    article._id,
+    { $inc: { currentRevision: 1 } },
+    { new: true, select: "currentRevision" },
+  );
+  // Keep the in-memory copy current without the next save() writing it
+  // back over a higher number from a concurrent edit
+  article.currentRevision = currentRevision;
+  article.unmarkModified("currentRevision");
+
+  return ArticleRevision.create({
+    article: article._id,
+    revision: currentRevision,
+    ...snapshotArticle(article),
+    editor: editorId,
+    restoredFrom: options.restoredFrom ?? null,
+    note: options.note || null,
+  });
+};
+
+/**
+ * Articles created before revision history existed have no revisions.
+ * Store their current state as revision 1 before it gets overwritten.
+ */
+const ensureBaselineRevision = async (article) => {
+  if (article.currentRevision > 0) return null;
+
+  return recordRevision(article, idOf(article.author), {
+    note: "Baseline revision",
+  });
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshotArticle,
+  changedFields,
+  recordRevision,
+  ensureBaselineRevision,
+};
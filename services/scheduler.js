@@ -0,0 +1,89 @@
+const { sendReviewReminders } = require("./reviewService");
+const { publishDueArticles, expireDueArticles } = require("./publishingService");
+const { purgeExpiredArticles } = require("./trashService");
+
+/**
+ * Background Job Scheduler
+ * Runs periodic maintenance jobs inside the API process. Set
+ * SCHEDULER_ENABLED=false on all but one instance when running several.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const minutesFromEnv = (name, fallback) => (parseInt(process.env[name]) || fallback) * MINUTE_MS;
+
+const JOBS = [
+  {
+    name: "scheduled-publishing",
+    interval: () => minutesFromEnv("PUBLISH_CHECK_INTERVAL_MINUTES", 1),
+    run: async () => {
+      const published = await publishDueArticles();
+      const expired = await expireDueArticles();
+      if (published + expired > 0) {
+        console.log(`📅 Published ${published}, archived ${expired} scheduled article(s)`);
+      }
+    },
+  },
+  {
+    name: "review-reminders",
+    interval: () => minutesFromEnv("REVIEW_CHECK_INTERVAL_MINUTES", 60),
+    run: async () => {
+      const sent = await sendReviewReminders();
+      if (sent > 0) {
+        console.log(`⏰ Sent review reminders for ${sent} article(s)`);
+      }
+    },
+  },
+  {
+    name: "trash-purge",
+    interval: () => minutesFromEnv("TRASH_PURGE_INTERVAL_MINUTES", 60),
+    run: async () => {
+      const purged = await purgeExpiredArticles();
+      if (purged > 0) {
+        console.log(`🗑️  Purged ${purged} article(s) from the trash`);
+      }
+    },
+  },
+];
+
+const timers = [];
+
+// Run a job unless its previous run is still in progress
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Scheduled job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start every job: once right away, then on its interval
+ */
+const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === "false") {
+    console.log("⏸️  Scheduler disabled");
+    return;
+  }
+
+  for (const job of JOBS) {
+    runJob(job);
+    const timer = setInterval(() => runJob(job), job.interval());
+    timer.unref();
+    timers.push(timer);
+  }
+  console.log(`⏰ Scheduler started (${JOBS.map((job) => job.name).join(", ")})`);
+};
+
+const stopScheduler = () => {
+  timers.splice(0).forEach((timer) => clearInterval(timer));
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+};
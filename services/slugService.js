@@ -0,0 +1,49 @@
+/**
+ * Slug helpers for human readable article permalinks
+ */
+
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Turn a title into a URL safe slug
+ * e.g. "Fix API Timeout (Node.js)" -> "fix-api-timeout-node-js"
+ * @param {string} text
+ * @returns {string}
+ */
+const slugify = (text) => {
+  const slug = (text || "")
+    .toString()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .substring(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/g, "");
+
+  return slug || "article";
+};
+
+/**
+ * Find the first free slug: base, base-2, base-3, ...
+ * @param {string} base - Slugified title
+ * @param {Function} isTaken - async (candidate) => boolean
+ * @returns {Promise<string>}
+ */
+const uniqueSlug = async (base, isTaken) => {
+  let candidate = base;
+  let suffix = 2;
+
+  while (await isTaken(candidate)) {
+    const ending = `-${suffix}`;
+    candidate = `${base.substring(0, MAX_SLUG_LENGTH - ending.length)}${ending}`;
+    suffix++;
+  }
+
+  return candidate;
+};
+
+module.exports = {
+  slugify,
+  uniqueSlug,
+};
@@ -0,0 +1,293 @@
+const { Article } = require("../models");
+const embeddingService = require("./embeddingService");
+const { renderContent, stripTags } = require("./contentRenderer");
+
+/**
+ * Summary Service
+ * Writes an excerpt for articles submitted without one. The configured LLM
+ * is used when there is one; otherwise, or when it fails, the excerpt is
+ * built from the article's own highest-scoring sentences.
+ */
+
+const DEFAULT_LENGTH = 300;
+const MAX_LENGTH = 500; // Article excerpt maxlength
+const LLM_INPUT_LENGTH = 6000;
+const MIN_SENTENCE_WORDS = 5;
+const MAX_SENTENCE_WORDS = 60;
+const POSITION_BONUS = 0.3;
+const TITLE_BONUS = 0.5;
+// At most this many sentences, each scoring at least SCORE_CUTOFF of the best
+const MAX_SENTENCES = 3;
+const SCORE_CUTOFF = 0.6;
+
+// Greetings and courtesy phrases that say nothing about the article
+const FILLER = [
+  /^(hi|hello|hey|dear|greetings|welcome)\b/i,
+  /^(thanks|thank you)\b/i,
+  /\b(thanks|thank you) for (reading|your (time|attention|patience))\b/i,
+  /\b(hope|trust) (you|everyone|all of you)\b/i,
+  /\bhave a (nice|good|great|wonderful|lovely) (day|week|weekend|one)\b/i,
+  /\bhappy (reading|learning|coding)\b/i,
+  /\bfeel free to (reach out|contact|ask)\b/i,
+];
+
+const isFiller = (sentence) => FILLER.some((pattern) => pattern.test(sentence));
+
+const collapse = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+// Cut at a word boundary so the excerpt never ends mid-word
+const truncate = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  const boundary = cut.lastIndexOf(" ");
+  return `${(boundary > maxLength / 2 ? cut.slice(0, boundary) : cut).replace(/[\s,;:.]+$/, "")}…`;
+};
+
+/**
+ * Readable text blocks of the content: headings and code are left out, as
+ * they rarely make a good summary sentence
+ * @returns {Array<string>}
+ */
+const textBlocks = (content, contentFormat) => {
+  const { html } = renderContent(content || "", contentFormat || "markdown");
+  return html
+    .replace(/<pre[\s\S]*?<\/pre>/g, " ")
+    .replace(/<h([1-6])[^>]*>[\s\S]*?<\/h\1>/g, " ")
+    .split(/<\/(?:p|li|blockquote|td|th|div)>|<br\s*\/?>/)
+    .map((block) => collapse(stripTags(block)))
+    .filter(Boolean);
+};
+
+const splitSentences = (block) =>
+  block
+    .split(/(?<=[.!?])\s+(?=["'(\p{Lu}\p{N}])/u)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+
+/**
+ * Extractive summary: sentences are scored by how many of the article's
+ * frequent keywords they carry, with a bonus for words from the title and
+ * for coming early. Greetings and courtesy phrases are left out, and the
+ * one to three best sentences are kept in their original order
+ * @param {Object} article - { title, content, contentFormat, pdfText }
+ * @param {Object} options - { maxLength }
+ * @returns {string}
+ */
+const extractiveSummary = ({ title, content, contentFormat, pdfText }, { maxLength = DEFAULT_LENGTH } = {}) => {
+  const blocks = textBlocks(content, contentFormat);
+  if (pdfText) blocks.push(...pdfText.split(/\n{2,}/).map(collapse).filter(Boolean));
+
+  const sentences = blocks
+    .flatMap(splitSentences)
+    .filter((text) => {
+      const words = text.split(" ").length;
+      return words >= MIN_SENTENCE_WORDS && words <= MAX_SENTENCE_WORDS && !isFiller(text);
+    })
+    .map((text, index) => ({ text, index, keywords: embeddingService.extractKeywords(text.toLowerCase()) }));
+
+  // Too short for sentence scoring: whatever is not filler, as it is
+  if (sentences.length === 0) {
+    const text = blocks.flatMap(splitSentences).filter((sentence) => !isFiller(sentence));
+    return truncate(collapse(text.join(" ")), maxLength);
+  }
+
+  const frequency = new Map();
+  sentences.forEach((sentence) =>
+    sentence.keywords.forEach((word) => frequency.set(word, (frequency.get(word) || 0) + 1)),
+  );
+  const topFrequency = Math.max(...frequency.values(), 1);
+  const titleKeywords = new Set(embeddingService.extractKeywords((title || "").toLowerCase()));
+
+  sentences.forEach((sentence) => {
+    const { keywords } = sentence;
+    const weight = keywords.reduce((sum, word) => sum + frequency.get(word) / topFrequency, 0);
+    const inTitle = keywords.filter((word) => titleKeywords.has(word)).length;
+
+    sentence.score =
+      (keywords.length > 0 ? weight / Math.sqrt(keywords.length) : 0) +
+      (titleKeywords.size > 0 ? (TITLE_BONUS * inTitle) / titleKeywords.size : 0) +
+      POSITION_BONUS / (sentence.index + 1);
+    if (sentence.text.endsWith("?")) sentence.score *= 0.5;
+  });
+
+  // The few clearly best sentences that fit, read back in article order
+  const ranked = [...sentences].sort((a, b) => b.score - a.score);
+  const cutoff = ranked[0].score * SCORE_CUTOFF;
+  const chosen = [];
+  let length = 0;
+  for (const sentence of ranked) {
+    if (chosen.length === MAX_SENTENCES || sentence.score < cutoff) break;
+    if (length + sentence.text.length + 1 > maxLength) continue;
+    chosen.push(sentence);
+    length += sentence.text.length + 1;
+  }
+  if (chosen.length === 0) {
+    return truncate(ranked[0].text, maxLength);
+  }
+
+  return chosen
+    .sort((a, b) => a.index - b.index)
+    .map((sentence) => sentence.text)
+    .join(" ");
+};
+
+// Summary from the configured LLM; throws when it fails or says nothing
+const llmSummary = async ({ title, content, contentFormat, pdfText }, { maxLength }) => {
+  const text = collapse(
+    [...textBlocks(content, contentFormat), pdfText || ""].join("\n"),
+  ).slice(0, LLM_INPUT_LENGTH);
+
+  const systemPrompt = `You write excerpts for knowledge base articles.
+Summarize what the article explains in one or two plain sentences, at most ${maxLength} characters.
+Do not greet the reader, do not start with "This article", and do not use markdown.`;
+  const userPrompt = `Title: ${title || ""}\n\nArticle:\n${text}\n\nExcerpt:`;
+
+  const answer = await embeddingService.generateText(systemPrompt, userPrompt, {
+    temperature: 0.3,
+    maxTokens: 150,
+  });
+  const summary = collapse(answer).replace(/^["']+|["']+$/g, "");
+  if (!summary) throw new Error("Empty summary");
+  return truncate(summary, maxLength);
+};
+
+/**
+ * Suggest an excerpt for an article
+ * @param {Object} article - { title, content, contentFormat, pdfText }
+ * @param {Object} options - { maxLength }
+ * @returns {Promise<Object>} - { excerpt, source: "llm" | "extractive" } (null when there is nothing to summarize)
+ */
+const summarizeArticle = async (article, { maxLength = DEFAULT_LENGTH } = {}) => {
+  const length = Math.min(Math.max(parseInt(maxLength) || DEFAULT_LENGTH, 50), MAX_LENGTH);
+
+  if (embeddingService.hasLanguageModel()) {
+    try {
+      return { excerpt: await llmSummary(article, { maxLength: length }), source: "llm" };
+    } catch (error) {
+      console.error("LLM summary failed, using extractive summary:", error.message);
+    }
+  }
+  const excerpt = extractiveSummary(article, { maxLength: length });
+  return { excerpt: excerpt || null, source: excerpt ? "extractive" : null };
+};
+
+/**
+ * Summary that never fails the request it runs in
+ * @returns {Promise<Object>} - See summarizeArticle; { excerpt: null, source: null } on failure
+ */
+const trySummarizeArticle = async (article) => {
+  try {
+    return await summarizeArticle(article);
+  } catch (error) {
+    console.error(`Summary failed for article ${article._id || article.title}:`, error.message);
+    return { excerpt: null, source: null };
+  }
+};
+
+/**
+ * Whether an article's excerpt was written by the summarizer rather than
+ * by an author
+ */
+const isGeneratedExcerpt = (article) => ["llm", "extractive"].includes(article.excerptSource);
+
+// Excerpt backfill, run by admins in the background
+const BACKFILL_BATCH_SIZE = 50;
+const DEFAULT_BACKFILL_LIMIT = 500;
+const MAX_BACKFILL_LIMIT = 5000;
+
+let backfill = { running: false };
+
+/**
+ * Progress of the current or last excerpt backfill
+ * @returns {Object}
+ */
+const getExcerptBackfillStatus = () => ({ ...backfill });
+
+const runExcerptBackfill = async ({ limit, regenerate }) => {
+  const filter = regenerate
+    ? { $or: [{ excerpt: null }, { excerpt: "" }, { excerptSource: { $in: ["llm", "extractive"] } }] }
+    : { $or: [{ excerpt: null }, { excerpt: "" }] };
+  filter.mergedInto = null;
+
+  backfill.total = Math.min(await Article.countDocuments(filter), limit);
+
+  let lastId = null;
+  while (backfill.processed < backfill.total) {
+    const articles = await Article.find(
+      lastId ? { ...filter, _id: { $gt: lastId } } : filter,
+      "title content contentFormat pdfText excerpt",
+    )
+      .sort({ _id: 1 })
+      .limit(Math.min(BACKFILL_BATCH_SIZE, backfill.total - backfill.processed))
+      .lean();
+    if (articles.length === 0) break;
+
+    for (const article of articles) {
+      lastId = article._id;
+      backfill.processed++;
+
+      const { excerpt, source } = await trySummarizeArticle(article);
+      if (!excerpt) {
+        backfill.failed++;
+        continue;
+      }
+
+      // Skip articles whose excerpt an author changed in the meantime
+      const result = await Article.updateOne(
+        { _id: article._id, excerpt: article.excerpt },
+        { excerpt, excerptSource: source },
+        { timestamps: false },
+      );
+      if (result.modifiedCount > 0) {
+        backfill.updated++;
+        backfill.sources[source]++;
+      }
+    }
+  }
+};
+
+/**
+ * Start generating excerpts for articles that have none
+ * @param {Object} options - { limit, regenerate (also refresh generated excerpts), user }
+ * @returns {Object|null} - The backfill status, or null when one is already running
+ */
+const startExcerptBackfill = ({ limit, regenerate = false, user } = {}) => {
+  if (backfill.running) return null;
+
+  backfill = {
+    running: true,
+    regenerate,
+    startedBy: user ? user.username : null,
+    startedAt: new Date(),
+    finishedAt: null,
+    total: 0,
+    processed: 0,
+    updated: 0,
+    failed: 0,
+    sources: { llm: 0, extractive: 0 },
+    error: null,
+  };
+
+  const size = Math.min(Math.max(parseInt(limit) || DEFAULT_BACKFILL_LIMIT, 1), MAX_BACKFILL_LIMIT);
+  runExcerptBackfill({ limit: size, regenerate })
+    .catch((error) => {
+      console.error("Excerpt backfill error:", error);
+      backfill.error = error.message;
+    })
+    .finally(() => {
+      backfill.running = false;
+      backfill.finishedAt = new Date();
+      console.log(`Excerpt backfill finished: ${backfill.updated} of ${backfill.processed} article(s) updated`);
+    });
+
+  return getExcerptBackfillStatus();
+};
+
+module.exports = {
+  extractiveSummary,
+  summarizeArticle,
+  trySummarizeArticle,
+  isGeneratedExcerpt,
+  startExcerptBackfill,
+  getExcerptBackfillStatus,
+};
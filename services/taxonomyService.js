@@ -0,0 +1,176 @@
+const { Category, Tag } = require("../models");
+
+/**
+ * Normalise the tags field of a request body into an array of names.
+ * Multipart (FormData) requests send tags as a JSON string or a
+ * comma separated list.
+ * @param {string|string[]} tags
+ * @returns {string[]}
+ */
+const parseTagsInput = (tags) => {
+  let tagsArray = tags;
+  if (typeof tags === "string") {
+    try {
+      tagsArray = JSON.parse(tags);
+    } catch (e) {
+      // If not JSON, split by comma
+      tagsArray = tags.split(",");
+    }
+  }
+
+  if (!Array.isArray(tagsArray)) {
+    return [];
+  }
+
+  return tagsArray
+    .filter(Boolean)
+    .map((tagName) => tagName.toString().trim())
+    .filter((tagName) => tagName.length > 0);
+};
+
+/**
+ * Comparable form of a tag name: "MongoDB", "mongodb" and "Mongo DB" all
+ * become "mongodb"
+ * @returns {string}
+ */
+const normalizeTagName = (name) => (name || "").toLowerCase().replace(/[^\p{L}\p{N}+#]+/gu, "");
+
+/**
+ * Edit distance between two strings
+ * @returns {number}
+ */
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a near match grow with the length of the name
+const maxTagDistance = (length) => (length >= 8 ? 2 : length >= 5 ? 1 : 0);
+
+// Numbers in a name are versions or editions ("Python3", "Windows 11"),
+// never typos
+const digitsOf = (name) => name.replace(/\P{N}+/gu, "");
+
+/**
+ * Existing tag a free-typed name may have been a typo of
+ * @param {string} name
+ * @param {Object[]} tags - Existing tag documents
+ * @returns {Object|null} - The closest tag, null when nothing is close enough
+ */
+const findNearTag = (name, tags) => {
+  const normalized = normalizeTagName(name);
+  if (!normalized) return null;
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (const tag of tags) {
+    const candidate = normalizeTagName(tag.name);
+    if (candidate === normalized) return tag;
+    if (digitsOf(candidate) !== digitsOf(normalized)) continue;
+
+    const allowed = maxTagDistance(Math.min(candidate.length, normalized.length));
+    if (Math.abs(candidate.length - normalized.length) > allowed) continue;
+
+    const distance = levenshtein(candidate, normalized);
+    if (distance <= allowed && distance < bestDistance) {
+      best = tag;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+class TagSuggestionError extends Error {
+  constructor(suggestions) {
+    super("Some tags look like typos of existing tags; use the suggested tags or confirm the new ones");
+    this.name = "TagSuggestionError";
+    this.statusCode = 422;
+    this.code = "TAG_SUGGESTIONS";
+    this.suggestions = suggestions;
+  }
+}
+
+/**
+ * Find a tag for every name, reusing existing tags that only differ in
+ * case, spacing or punctuation. Other names become new tags, except that a
+ * name which looks like a typo of an existing tag is refused with a
+ * TagSuggestionError unless the client confirms it; nothing is created then.
+ * @param {string[]} tagNames
+ * @param {Object} options - { confirmNewTags: create near-matched names as typed }
+ * @returns {Promise<Object[]>} - Tag documents without repeats
+ */
+const resolveTags = async (tagNames, { confirmNewTags = false } = {}) => {
+  const names = [...new Set(tagNames)];
+  if (names.length === 0) return [];
+
+  const tags = await Tag.find();
+  const findSame = (tagName) => {
+    const normalized = normalizeTagName(tagName);
+    return (
+      tags.find((existing) => existing.name === tagName) ||
+      (normalized && tags.find((existing) => normalizeTagName(existing.name) === normalized))
+    );
+  };
+
+  if (!confirmNewTags) {
+    const suggestions = [];
+    for (const tagName of names) {
+      if (findSame(tagName)) continue;
+      const near = findNearTag(tagName, tags);
+      if (near) suggestions.push({ name: tagName, suggestion: near.name });
+    }
+    if (suggestions.length > 0) throw new TagSuggestionError(suggestions);
+  }
+
+  const resolved = new Map();
+  for (const tagName of names) {
+    let tag = findSame(tagName);
+    if (!tag) {
+      tag = await Tag.findOneAndUpdate(
+        { name: tagName },
+        { $setOnInsert: { name: tagName } },
+        { new: true, upsert: true },
+      );
+      // Later names in the same request can match the new tag
+      tags.push(tag);
+    }
+    resolved.set(tag._id.toString(), tag);
+  }
+
+  return [...resolved.values()];
+};
+
+/**
+ * Find or create a category by name
+ * @param {string} name
+ * @returns {Promise<Object|null>} - Category document, null when no name given
+ */
+const resolveCategory = async (name) => {
+  if (!name) return null;
+
+  return Category.findOneAndUpdate(
+    { name },
+    { $setOnInsert: { name } },
+    { new: true, upsert: true },
+  );
+};
+
+module.exports = {
+  parseTagsInput,
+  normalizeTagName,
+  findNearTag,
+  resolveTags,
+  resolveCategory,
+  TagSuggestionError,
+};
@@ -0,0 +1,169 @@
+const { Article, Category, Tag } = require("../models");
+const embeddingService = require("./embeddingService");
+const { normalizeTagName } = require("./taxonomyService");
+
+/**
+ * Taxonomy Suggestion Service
+ * Suggests existing tags and a category for a draft. Tags are matched
+ * against the draft's keywords, then tags that usually appear alongside
+ * them on approved articles are added. The category follows from where
+ * approved articles with those tags are filed.
+ */
+
+const WEIGHTS = { title: 0.6, content: 0.4, coOccurrence: 0.5, categoryName: 0.5 };
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+// Keywords in the form extractKeywords produces, plus compact forms of
+// single and adjacent words so "Mongo DB" in a draft matches a "MongoDB" tag
+const keywordSet = (text) => {
+  const keywords = new Set(embeddingService.extractKeywords(text || ""));
+  const words = (text || "").toLowerCase().split(/[^\p{L}\p{N}+#]+/u).filter(Boolean);
+  words.forEach((word, index) => {
+    keywords.add(normalizeTagName(word));
+    if (index > 0) keywords.add(normalizeTagName(words[index - 1] + word));
+  });
+  return keywords;
+};
+
+// A tag matches when its compact name, or every one of its keywords, is present
+const matchesKeywords = (name, keywords) => {
+  if (keywords.has(normalizeTagName(name))) return true;
+  const tagKeywords = embeddingService.extractKeywords(name);
+  return tagKeywords.length > 0 && tagKeywords.every((keyword) => keywords.has(keyword));
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * How often tags appear together on approved articles
+ * @returns {Promise<Object>} - { usage: Map(tagId -> count), pairs: Map("a|b" -> count) }
+ */
+const tagCoOccurrence = async (tagIds) => {
+  const articles = await Article.find(
+    { status: "APPROVED", tags: { $in: tagIds } },
+    "tags category",
+  ).lean();
+
+  const usage = new Map();
+  const pairs = new Map();
+  for (const article of articles) {
+    const ids = [...new Set(article.tags.map(String))];
+    ids.forEach((id) => usage.set(id, (usage.get(id) || 0) + 1));
+    for (const a of ids) {
+      for (const b of ids) {
+        if (a !== b) pairs.set(`${a}|${b}`, (pairs.get(`${a}|${b}`) || 0) + 1);
+      }
+    }
+  }
+  return { articles, usage, pairs };
+};
+
+/**
+ * Rank existing tags and categories for a draft
+ * @param {Object} draft - { title, content, pdfText }
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} - { keywords, tags: [{ id, name, score, reasons }], category, categories }
+ */
+const suggestTaxonomy = async ({ title, content, pdfText }, { limit = DEFAULT_LIMIT } = {}) => {
+  const size = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const titleKeywords = keywordSet(title);
+  const bodyKeywords = keywordSet(`${content || ""}\n${pdfText || ""}`);
+
+  const [tags, categories] = await Promise.all([Tag.find().lean(), Category.find().lean()]);
+
+  // Direct matches against the draft's own words
+  const scores = new Map();
+  for (const tag of tags) {
+    const inTitle = matchesKeywords(tag.name, titleKeywords);
+    const inBody = matchesKeywords(tag.name, bodyKeywords);
+    if (!inTitle && !inBody) continue;
+
+    const reasons = [];
+    if (inTitle) reasons.push("title");
+    if (inBody) reasons.push("content");
+    scores.set(tag._id.toString(), {
+      tag,
+      score: (inTitle ? WEIGHTS.title : 0) + (inBody ? WEIGHTS.content : 0),
+      reasons,
+    });
+  }
+
+  // Tags that travel with the matched ones on approved articles
+  const matchedIds = [...scores.keys()];
+  const { articles, usage, pairs } = matchedIds.length > 0
+    ? await tagCoOccurrence(matchedIds)
+    : { articles: [], usage: new Map(), pairs: new Map() };
+  const tagsById = new Map(tags.map((tag) => [tag._id.toString(), tag]));
+
+  for (const seedId of matchedIds) {
+    const seed = scores.get(seedId);
+    const seedUsage = usage.get(seedId) || 0;
+    if (seedUsage === 0) continue;
+
+    for (const [key, count] of pairs) {
+      const [from, to] = key.split("|");
+      if (from !== seedId || !tagsById.has(to)) continue;
+
+      const boost = WEIGHTS.coOccurrence * seed.score * (count / seedUsage);
+      const entry = scores.get(to) || { tag: tagsById.get(to), score: 0, reasons: [] };
+      entry.score += boost;
+      entry.reasons.push(`often used with ${seed.tag.name}`);
+      scores.set(to, entry);
+    }
+  }
+
+  const rankedTags = [...scores.values()]
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (usage.get(b.tag._id.toString()) || 0) - (usage.get(a.tag._id.toString()) || 0),
+    )
+    .slice(0, size)
+    .map((entry) => ({
+      id: entry.tag._id,
+      name: entry.tag.name,
+      score: round(entry.score),
+      reasons: [...new Set(entry.reasons)],
+    }));
+
+  // Category votes: approved articles carrying the suggested tags, plus the
+  // category's own name appearing in the draft
+  const tagScores = new Map(rankedTags.map((tag) => [tag.id.toString(), tag.score]));
+  const votes = new Map();
+  for (const article of articles) {
+    if (!article.category) continue;
+    const weight = article.tags.reduce((sum, id) => sum + (tagScores.get(id.toString()) || 0), 0);
+    if (weight === 0) continue;
+    const id = article.category.toString();
+    votes.set(id, (votes.get(id) || 0) + weight);
+  }
+  const totalVotes = [...votes.values()].reduce((sum, value) => sum + value, 0);
+
+  const rankedCategories = categories
+    .map((category) => {
+      const id = category._id.toString();
+      const fromTags = totalVotes > 0 ? (votes.get(id) || 0) / totalVotes : 0;
+      const named =
+        matchesKeywords(category.name, titleKeywords) || matchesKeywords(category.name, bodyKeywords);
+      return {
+        id: category._id,
+        name: category.name,
+        score: round(fromTags + (named ? WEIGHTS.categoryName : 0)),
+      };
+    })
+    .filter((category) => category.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3);
+
+  return {
+    keywords: embeddingService.extractKeywords(`${title || ""} ${content || ""}`).slice(0, 20),
+    tags: rankedTags,
+    category: rankedCategories[0] || null,
+    categories: rankedCategories,
+  };
+};
+
+module.exports = {
+  suggestTaxonomy,
+};
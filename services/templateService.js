@@ -0,0 +1,185 @@
+const mongoose = require("mongoose");
+const { ArticleTemplate } = require("../models");
+const { renderContent, extractSections, stripTags } = require("./contentRenderer");
+const { LifecycleError } = require("./articleLifecycle");
+
+/**
+ * Template Service
+ * Categories can offer article templates: a list of sections, some of them
+ * required. Articles remember the template version they were started from,
+ * so editing a template never invalidates articles written against an
+ * older version.
+ */
+
+// Headings match whatever their case, spacing or trailing colon
+const normalizeHeading = (heading) =>
+  (heading || "").toLowerCase().replace(/\s+/g, " ").replace(/[\s:]+$/, "").trim();
+
+/**
+ * Validate the sections sent by an admin
+ * @param {Array} input - [{ heading, required, guidance }] or headings as strings
+ * @returns {Object} - { sections } or { error }
+ */
+const parseSections = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: "sections must be a non-empty list" };
+  }
+
+  const sections = [];
+  const seen = new Set();
+  for (const entry of input) {
+    const section = typeof entry === "string" ? { heading: entry } : entry || {};
+    const heading = (section.heading || "").toString().trim();
+    if (!heading) {
+      return { error: "Every section needs a heading" };
+    }
+    if (seen.has(normalizeHeading(heading))) {
+      return { error: `Duplicate section: ${heading}` };
+    }
+    seen.add(normalizeHeading(heading));
+
+    sections.push({
+      heading,
+      required: section.required === undefined ? true : section.required === true || section.required === "true",
+      guidance: (section.guidance || "").toString().trim(),
+    });
+  }
+
+  return { sections };
+};
+
+// Whether two section lists differ in a way that needs a new version
+const sectionsChanged = (before, after) =>
+  JSON.stringify(before.map(({ heading, required, guidance }) => ({ heading, required, guidance }))) !==
+  JSON.stringify(after);
+
+/**
+ * Draft skeleton for a template version: one heading per section, with its
+ * guidance as placeholder text
+ * @returns {Object} - { content, contentFormat }
+ */
+const buildSkeleton = (sections) => ({
+  content: sections
+    .map((section) => `## ${section.heading}\n\n${section.guidance || ""}`.trim())
+    .join("\n\n"),
+  contentFormat: "markdown",
+});
+
+/**
+ * Compare content against a template version's required sections. A section
+ * left empty or with only its guidance text counts as not filled in.
+ * @returns {Object} - { missing: [headings], empty: [headings] }
+ */
+const checkSections = (content, contentFormat, sections) => {
+  const { html } = renderContent(content, contentFormat);
+  const present = new Map();
+  extractSections(html).forEach((section) => {
+    const key = normalizeHeading(section.heading);
+    if (!present.has(key)) present.set(key, section.text);
+  });
+
+  const missing = [];
+  const empty = [];
+  sections
+    .filter((section) => section.required)
+    .forEach((section) => {
+      const key = normalizeHeading(section.heading);
+      if (!present.has(key)) {
+        missing.push(section.heading);
+        return;
+      }
+      const text = present.get(key);
+      const guidance = stripTags(renderContent(section.guidance || "").html).replace(/\s+/g, " ").trim();
+      if (!text || (guidance && text === guidance)) {
+        empty.push(section.heading);
+      }
+    });
+
+  return { missing, empty };
+};
+
+/**
+ * Template an article should be started from
+ * @param {string} templateId - Requested template, if any
+ * @param {string} categoryId - The article's category
+ * @returns {Promise<Object>} - { template } (null when none applies) or { error }
+ */
+const resolveArticleTemplate = async (templateId, categoryId) => {
+  if (templateId) {
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return { error: "Invalid template id" };
+    }
+    const template = await ArticleTemplate.findOne({ _id: templateId, isActive: true });
+    if (!template) {
+      return { error: "Template not found" };
+    }
+    if (categoryId && template.category.toString() !== categoryId.toString()) {
+      return { error: "Template belongs to a different category" };
+    }
+    return { template };
+  }
+
+  // A category with a single template applies it by default
+  if (!categoryId) return { template: null };
+  const templates = await ArticleTemplate.find({ category: categoryId, isActive: true }).limit(2);
+  return { template: templates.length === 1 ? templates[0] : null };
+};
+
+/**
+ * Check content against a template version
+ * @returns {Object} - { template: { id, name, version }, missing, empty }
+ */
+const checkTemplateVersion = (content, contentFormat, template, version) => ({
+  template: { id: template._id, name: template.name, version: version.version },
+  ...checkSections(content, contentFormat, version.sections),
+});
+
+/**
+ * Check an article against the template version it was started from
+ * @returns {Promise<Object|null>} - See checkTemplateVersion; null without a template
+ */
+const checkArticleTemplate = async (article) => {
+  if (!article.template) return null;
+
+  const template = await ArticleTemplate.findById(article.template._id || article.template);
+  const version = template?.getVersion(article.templateVersion);
+  if (!version) return null;
+
+  return checkTemplateVersion(article.content, article.contentFormat, template, version);
+};
+
+// Throw when a check found required sections that are not filled in
+const assertCheckPassed = (check) => {
+  if (!check || check.missing.length + check.empty.length === 0) return;
+
+  throw new LifecycleError(
+    `Fill in the required sections before submitting: ${[...check.missing, ...check.empty].join(", ")}`,
+    "MISSING_REQUIRED_SECTIONS",
+    400,
+    check,
+  );
+};
+
+/**
+ * Throw unless content fills in every required section of a template version
+ */
+const assertSectionsFilled = (content, contentFormat, template, version) =>
+  assertCheckPassed(checkTemplateVersion(content, contentFormat, template, version));
+
+/**
+ * Throw unless the article fills in every required section of its template
+ */
+const assertTemplateSections = async (article) => {
+  assertCheckPassed(await checkArticleTemplate(article));
+};
+
+module.exports = {
+  parseSections,
+  sectionsChanged,
+  buildSkeleton,
+  checkSections,
+  resolveArticleTemplate,
+  checkArticleTemplate,
+  assertSectionsFilled,
+  assertTemplateSections,
+};
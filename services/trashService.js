@@ -0,0 +1,132 @@
+const fs = require("fs");
+const path = require("path");
+const { Article, ArticleRevision } = require("../models");
+const { isPublished } = require("./articleAccess");
+const { tryIndexArticle, removeArticleIndex } = require("./articleIndexer");
+const { removeArticleBookmarks } = require("./bookmarkService");
+const { removeArticleComments } = require("./commentService");
+const { removeArticleReviewComments } = require("./reviewCommentService");
+const { removeArticleFeedback } = require("./feedbackService");
+const { removeArticleViews } = require("./viewTrackingService");
+const { removeArticleAttachments } = require("./attachmentService");
+const { removeArticleNotifications } = require("./notificationService");
+
+/**
+ * Trash Service
+ * Deleting an article moves it to the trash: it disappears from listings,
+ * search, RAG and PDF serving right away (see the query middleware on the
+ * Article model), but keeps its comments, feedback and files so it can be
+ * restored. After the retention period the purge job removes it for good.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PDF_DIR = path.join(__dirname, "../uploads/pdfs");
+
+/**
+ * Days an article stays in the trash before it is purged
+ * @returns {number}
+ */
+const getTrashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * When a trashed article will be purged
+ * @returns {Date|null}
+ */
+const purgeDateFor = (article) =>
+  article.deletedAt
+    ? new Date(article.deletedAt.getTime() + getTrashRetentionDays() * DAY_MS)
+    : null;
+
+/**
+ * Query for trashed articles; the middleware lets it through because it
+ * filters on deletedAt
+ * @returns {Object}
+ */
+const trashFilter = (filter = {}) => ({ ...filter, deletedAt: { $ne: null } });
+
+/**
+ * Move an article to the trash
+ * @param {Object} article - Article document
+ * @param {Object} user - User deleting it
+ */
+const trashArticle = async (article, user) => {
+  article.deletedAt = new Date();
+  article.deletedBy = user._id;
+  await article.save({ timestamps: false });
+
+  await removeArticleIndex(article._id);
+};
+
+/**
+ * Take an article out of the trash, back in the status it was deleted in
+ * @param {Object} article - Trashed article document
+ * @returns {Promise<Object>} - { indexed }
+ */
+const restoreArticle = async (article) => {
+  article.deletedAt = null;
+  article.deletedBy = null;
+  await article.save({ timestamps: false });
+
+  const indexed = isPublished(article) ? await tryIndexArticle(article) : false;
+  return { indexed };
+};
+
+// Remove an uploaded PDF, ignoring ones already gone
+const removePdfFile = (filename) =>
+  fs.promises.unlink(path.join(PDF_DIR, path.basename(filename))).catch((error) => {
+    if (error.code !== "ENOENT") {
+      console.error("Error removing PDF file:", error);
+    }
+  });
+
+/**
+ * Permanently delete an article with everything attached to it: comments,
+ * feedback, views, attachments, notifications, its embedding, revisions and
+ * every PDF any of its revisions referenced
+ * @param {Object} article - Article document
+ */
+const purgeArticle = async (article) => {
+  const articleId = article._id;
+  const pdfFiles = await ArticleRevision.distinct("pdfFile", { article: articleId });
+
+  await removeArticleBookmarks(articleId);
+  await removeArticleComments(articleId);
+  await removeArticleReviewComments(articleId);
+  await removeArticleFeedback(articleId);
+  await removeArticleViews(articleId);
+  await removeArticleAttachments(articleId);
+  await removeArticleNotifications(articleId);
+  await removeArticleIndex(articleId);
+  await ArticleRevision.deleteMany({ article: articleId });
+
+  for (const filename of new Set([article.pdfFile, ...pdfFiles].filter(Boolean))) {
+    await removePdfFile(filename);
+  }
+
+  await Article.deleteOne({ _id: articleId });
+};
+
+/**
+ * Purge articles that have been in the trash longer than the retention period
+ * @returns {Promise<number>} - Number of articles purged
+ */
+const purgeExpiredArticles = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getTrashRetentionDays() * DAY_MS);
+  const expired = await Article.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  for (const article of expired) {
+    await purgeArticle(article);
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  purgeDateFor,
+  trashFilter,
+  trashArticle,
+  restoreArticle,
+  purgeArticle,
+  purgeExpiredArticles,
+};
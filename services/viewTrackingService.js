@@ -0,0 +1,222 @@
+const mongoose = require("mongoose");
+const { Article, ArticleView } = require("../models");
+const { isContributor, isPublished } = require("./articleAccess");
+
+const VIEW_SOURCES = ["direct", "search", "chatbot"];
+
+// $dateToString formats for each supported bucket size
+const INTERVAL_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V", // ISO week, e.g. 2026-W42
+};
+
+const GROUP_FIELDS = {
+  article: "$article",
+  category: "$category",
+  author: "$author",
+};
+
+/**
+ * Repeat views by the same user inside this window count once
+ * @returns {number} - Window in minutes
+ */
+const getDedupWindowMinutes = () => {
+  const minutes = parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES);
+  return Number.isNaN(minutes) || minutes < 0 ? 30 : minutes;
+};
+
+const normalizeSource = (source) => {
+  const value = (source || "").toString().toLowerCase();
+  return VIEW_SOURCES.includes(value) ? value : "direct";
+};
+
+/**
+ * Record a view of an article.
+ * Authors viewing their own article, views of unpublished articles
+ * (admins reviewing) and repeat views inside the same dedup window are not
+ * counted.
+ * @param {Object} article - Article document
+ * @param {Object} user - Viewer (req.user)
+ * @param {string} source - direct | search | chatbot
+ * @returns {Promise<boolean>} - Whether the view was counted
+ */
+const recordView = async (article, user, source) => {
+  if (!isPublished(article) || isContributor(article, user)) {
+    return false;
+  }
+
+  // Views are keyed on the window they fall in, so two requests racing for
+  // the same window insert one document between them
+  const now = Date.now();
+  const windowMs = getDedupWindowMinutes() * 60 * 1000;
+  const bucket = new Date(windowMs > 0 ? now - (now % windowMs) : now);
+
+  let result;
+  try {
+    result = await ArticleView.updateOne(
+      { article: article._id, viewer: user._id, bucket },
+      {
+        $setOnInsert: {
+          author: article.author?._id || article.author,
+          category: article.category?._id || article.category || null,
+          source: normalizeSource(source),
+          createdAt: new Date(now),
+        },
+      },
+      { upsert: true, timestamps: false },
+    );
+  } catch (error) {
+    // The other request's insert won
+    if (error.code === 11000) return false;
+    throw error;
+  }
+  if (result.upsertedCount === 0) {
+    return false;
+  }
+
+  await Article.updateOne({ _id: article._id }, { $inc: { views: 1 } });
+
+  return true;
+};
+
+/**
+ * Start of a look-back period of the given number of days
+ */
+const periodStart = (days) => {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - (parseInt(days) || 30));
+  return startDate;
+};
+
+/**
+ * View counts bucketed by day or week
+ * @param {Object} options
+ * @param {string} options.interval - day | week
+ * @param {Date} options.since - Start of the period
+ * @param {string} [options.groupBy] - article | category | author (one series per entity)
+ * @param {string} [options.id] - Restrict to one article/category/author
+ * @param {string} [options.source] - Restrict to one view source
+ * @returns {Promise<Array>} - [{ bucket, views, uniqueViewers }] or
+ *   [{ id, total, series: [...] }] when grouped
+ */
+const aggregateViews = async ({ interval = "day", since, groupBy, id, source }) => {
+  const format = INTERVAL_FORMATS[interval] || INTERVAL_FORMATS.day;
+  const match = { createdAt: { $gte: since } };
+
+  if (groupBy && id) {
+    match[groupBy] = new mongoose.Types.ObjectId(id);
+  }
+  if (source) {
+    match.source = normalizeSource(source);
+  }
+
+  const groupField = groupBy ? GROUP_FIELDS[groupBy] : null;
+
+  const buckets = await ArticleView.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          entity: groupField,
+          bucket: { $dateToString: { format, date: "$createdAt" } },
+        },
+        views: { $sum: 1 },
+        viewers: { $addToSet: "$viewer" },
+      },
+    },
+    { $sort: { "_id.bucket": 1 } },
+  ]);
+
+  const toPoint = (b) => ({
+    bucket: b._id.bucket,
+    views: b.views,
+    uniqueViewers: b.viewers.length,
+  });
+
+  if (!groupField) {
+    return buckets.map(toPoint);
+  }
+
+  const series = new Map();
+  buckets.forEach((b) => {
+    const key = b._id.entity ? b._id.entity.toString() : null;
+    if (!series.has(key)) {
+      series.set(key, { id: key, total: 0, series: [] });
+    }
+    const entry = series.get(key);
+    entry.total += b.views;
+    entry.series.push(toPoint(b));
+  });
+
+  return [...series.values()].sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Views per source inside a period
+ */
+const viewsBySource = async (since, match = {}) => {
+  const counts = await ArticleView.aggregate([
+    { $match: { createdAt: { $gte: since }, ...match } },
+    { $group: { _id: "$source", views: { $sum: 1 } } },
+  ]);
+  return VIEW_SOURCES.reduce((acc, source) => {
+    acc[source] = counts.find((c) => c._id === source)?.views || 0;
+    return acc;
+  }, {});
+};
+
+/**
+ * Most viewed articles inside a period
+ */
+const topArticlesInPeriod = async (since, limit = 10) => {
+  return ArticleView.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: "$article",
+        views: { $sum: 1 },
+        viewers: { $addToSet: "$viewer" },
+      },
+    },
+    { $sort: { views: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: "articles",
+        localField: "_id",
+        foreignField: "_id",
+        // Trashed articles are not ranked
+        pipeline: [{ $match: { deletedAt: null } }],
+        as: "articleData",
+      },
+    },
+    { $unwind: "$articleData" },
+    {
+      $project: {
+        _id: 1,
+        views: 1,
+        uniqueViewers: { $size: "$viewers" },
+        title: "$articleData.title",
+        lifetimeViews: "$articleData.views",
+      },
+    },
+  ]);
+};
+
+/**
+ * Remove the view history of an article
+ */
+const removeArticleViews = async (articleId) => {
+  await ArticleView.deleteMany({ article: articleId });
+};
+
+module.exports = {
+  VIEW_SOURCES,
+  getDedupWindowMinutes,
+  recordView,
+  periodStart,
+  aggregateViews,
+  viewsBySource,
+  topArticlesInPeriod,
+  removeArticleViews,
+};
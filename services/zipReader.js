@@ -0,0 +1,53 @@
+const { promisify } = require("util");
+const yauzl = require("yauzl");
+
+/**
+ * ZIP Reader
+ * Reads a ZIP archive on disk one entry at a time through yauzl. Only the
+ * central directory is held in memory; entry contents are streamed from the
+ * file, so restoring a large backup does not need the whole archive in memory.
+ */
+
+const open = promisify(yauzl.open);
+
+// Every entry of the central directory, by name
+const readEntries = (zipFile) =>
+  new Promise((resolve, reject) => {
+    const entries = new Map();
+    zipFile.on("entry", (entry) => {
+      entries.set(entry.fileName, entry);
+      zipFile.readEntry();
+    });
+    zipFile.once("end", () => resolve(entries));
+    zipFile.once("error", reject);
+    zipFile.readEntry();
+  });
+
+/**
+ * Open a ZIP archive and read its table of contents
+ * @param {string} filePath - Archive on disk
+ * @returns {Promise<Object>} - { entries: Map<fileName, entry>, createReadStream, close }
+ */
+const openZip = async (filePath) => {
+  const zipFile = await open(filePath, { lazyEntries: true, autoClose: false });
+
+  try {
+    const entries = await readEntries(zipFile);
+
+    /**
+     * Stream the uncompressed contents of an entry. The stream fails when
+     * the data inflates past the entry's declared size.
+     * @returns {Promise<Stream>}
+     */
+    const createReadStream = promisify(zipFile.openReadStream.bind(zipFile));
+
+    return { entries, createReadStream, close: async () => zipFile.close() };
+  } catch (error) {
+    zipFile.close();
+    throw error;
+  }
+};
+
+module.exports = {
+  openZip,
+};
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const sift = require("sift").default;
+const { Article, User, AuditLog } = require("../models");
+const { transferUserArticles } = require("../controllers/adminController");
+
+const oid = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+describe("transferUserArticles", () => {
+  const originals = {};
+  let users;
+  let articles;
+
+  beforeEach(() => {
+    users = ["alice", "bob", "carol"].map((username) => new User({
+      _id: oid(),
+      username,
+      email: `${username}@example.com`,
+      password: "secret123",
+      isActive: true,
+    }));
+    const [alice, bob, carol] = users;
+    articles = [
+      { title: "Alice 1", author: alice._id },
+      { title: "Alice 2", author: alice._id },
+      { title: "Bob 1", author: bob._id },
+      { title: "Carol 1", author: carol._id },
+    ].map((fields) => {
+      const article = new Article({ ...fields, content: "Body" });
+      article.save = async () => article;
+      return article;
+    });
+
+    Object.assign(originals, {
+      articleFind: Article.find,
+      userFind: User.find,
+      userFindById: User.findById,
+      auditCreate: AuditLog.create,
+    });
+    Article.find = async (query) => articles.filter((article) => sift(query)(article.toObject()));
+    User.findById = async (id) => users.find((user) => user._id.equals(id)) || null;
+    User.find = (query) => ({
+      select: async () => users.filter((user) => sift(query)(user.toObject())),
+    });
+    AuditLog.create = async () => {};
+  });
+
+  afterEach(() => {
+    Article.find = originals.articleFind;
+    User.find = originals.userFind;
+    User.findById = originals.userFindById;
+    AuditLog.create = originals.auditCreate;
+  });
+
+  it("moves only the given user's articles", async () => {
+    const [alice, bob, carol] = users;
+    const res = mockResponse();
+
+    await transferUserArticles(
+      { params: { userId: alice._id.toString() }, body: { toUser: "bob" }, user: { _id: oid() } },
+      res,
+    );
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.transferred.length, 2);
+    const authorOf = (title) => articles.find((article) => article.title === title).author;
+    assert.ok(authorOf("Alice 1").equals(bob._id));
+    assert.ok(authorOf("Alice 2").equals(bob._id));
+    assert.ok(authorOf("Bob 1").equals(bob._id));
+    assert.ok(authorOf("Carol 1").equals(carol._id));
+  });
+
+  it("rejects transferring a user's articles to that same user", async () => {
+    const [alice, bob, carol] = users;
+    const res = mockResponse();
+
+    await transferUserArticles(
+      { params: { userId: alice._id.toString() }, body: { toUser: "alice" }, user: { _id: oid() } },
+      res,
+    );
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.ok(articles[2].author.equals(bob._id));
+    assert.ok(articles[3].author.equals(carol._id));
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { Article } = require("../models");
+
+const duplicateSlugError = (slug) =>
+  Object.assign(new Error(`E11000 duplicate key error dup key: { slug: "${slug}" }`), {
+    code: 11000,
+    keyPattern: { slug: 1 },
+    keyValue: { slug },
+  });
+
+describe("Article.saveWithFreeSlug", () => {
+  const originals = {};
+  let taken;
+  let inserted;
+
+  beforeEach(() => {
+    taken = new Set();
+    inserted = [];
+    Object.assign(originals, { exists: Article.exists, insertOne: Article.collection.insertOne });
+
+    // Slugs in `taken` are in use; the first insert loses a race for its slug
+    Article.exists = (query) => ({
+      setOptions: async () => taken.has(query.$or[0].slug),
+    });
+    let raced = false;
+    Article.collection.insertOne = async (doc) => {
+      if (!raced) {
+        raced = true;
+        taken.add(doc.slug);
+        throw duplicateSlugError(doc.slug);
+      }
+      inserted.push(doc);
+      return { acknowledged: true, insertedId: doc._id };
+    };
+  });
+
+  afterEach(() => {
+    Article.exists = originals.exists;
+    Article.collection.insertOne = originals.insertOne;
+  });
+
+  it("retries once with the next free slug when another article took it", async () => {
+    const article = new Article({
+      title: "Deploying the API",
+      content: "Body",
+      author: new mongoose.Types.ObjectId(),
+    });
+
+    await article.saveWithFreeSlug();
+
+    assert.strictEqual(inserted.length, 1);
+    assert.notStrictEqual(inserted[0].slug, "deploying-the-api");
+    assert.match(inserted[0].slug, /^deploying-the-api-/);
+    assert.strictEqual(article.slug, inserted[0].slug);
+  });
+
+  it("does not retry other errors", async () => {
+    Article.collection.insertOne = async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000, keyPattern: { email: 1 } });
+    };
+    const article = new Article({
+      title: "Deploying the API",
+      content: "Body",
+      author: new mongoose.Types.ObjectId(),
+    });
+
+    await assert.rejects(article.saveWithFreeSlug(), /E11000/);
+  });
+});
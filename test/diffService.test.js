@@ -0,0 +1,37 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { diffLines } = require("../services/diffService");
+
+const numberedLines = (prefix, count) =>
+  Array.from({ length: count }, (_, i) => `${prefix} ${i}`).join("\n");
+
+describe("diffLines", () => {
+  it("pairs a changed line with its word diff", () => {
+    const { lines, stats } = diffLines("intro\nold text\noutro", "intro\nnew text\noutro");
+
+    assert.deepStrictEqual(stats, { added: 0, removed: 0, modified: 1, unchanged: 2 });
+    assert.strictEqual(lines[1].type, "replace");
+    assert.deepStrictEqual(lines[1].words, [
+      { type: "delete", value: "old" },
+      { type: "insert", value: "new" },
+      { type: "equal", value: " text" },
+    ]);
+  });
+
+  it("replaces completely different revisions as one block without a long search", () => {
+    const started = Date.now();
+    const { stats } = diffLines(numberedLines("before", 20000), numberedLines("after", 20000));
+
+    assert.deepStrictEqual(stats, { added: 0, removed: 0, modified: 20000, unchanged: 0 });
+    assert.ok(Date.now() - started < 3000, "diff took too long");
+  });
+
+  it("keeps unchanged lines between scattered edits in long revisions", () => {
+    const before = numberedLines("line", 20000).split("\n");
+    const after = before.map((line, i) => (i % 100 === 0 ? `changed ${i}` : line));
+
+    const { stats } = diffLines(before.join("\n"), after.join("\n"));
+
+    assert.deepStrictEqual(stats, { added: 0, removed: 0, modified: 200, unchanged: 19800 });
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { convertDocument } = require("../services/importService");
+
+const importMarkdown = (text) => convertDocument(Buffer.from(text), "notes.md");
+
+describe("convertDocument title", () => {
+  it("takes a level 1 heading as the title", async () => {
+    const { title, content } = await importMarkdown("# Reset VPN tokens ##\n\nOpen the settings.");
+    assert.strictEqual(title, "Reset VPN tokens");
+    assert.strictEqual(content, "Open the settings.");
+  });
+
+  it("keeps a # that is part of the title", async () => {
+    const { title } = await importMarkdown("# Learning C#\n\nBody");
+    assert.strictEqual(title, "Learning C#");
+  });
+
+  it("falls back to the file name without a heading", async () => {
+    const { title, content } = await importMarkdown("Plain text\n\nMore");
+    assert.strictEqual(title, "notes");
+    assert.strictEqual(content, "Plain text\n\nMore");
+  });
+
+  it("handles a long whitespace-padded title line quickly", async () => {
+    const started = Date.now();
+    const { title, content } = await importMarkdown(`# a${" ".repeat(200000)}x\n\nBody`);
+    assert.ok(Date.now() - started < 1000, "title parsing took too long");
+    assert.strictEqual(title, `a${" ".repeat(200000)}x`);
+    assert.strictEqual(content, "Body");
+
+    const padded = await importMarkdown(`# Title${" ".repeat(200000)}#${" \t".repeat(100000)}\nBody`);
+    assert.strictEqual(padded.title, "Title");
+  });
+});
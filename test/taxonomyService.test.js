@@ -0,0 +1,51 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { Tag } = require("../models");
+const { resolveTags, TagSuggestionError } = require("../services/taxonomyService");
+
+describe("resolveTags", () => {
+  const originals = {};
+  let tags;
+
+  beforeEach(() => {
+    tags = ["MongoDB", "Kubernetes"].map((name) => new Tag({ _id: new mongoose.Types.ObjectId(), name }));
+
+    Object.assign(originals, { find: Tag.find, findOneAndUpdate: Tag.findOneAndUpdate });
+    Tag.find = async () => [...tags];
+    Tag.findOneAndUpdate = async (query) => {
+      const tag = new Tag({ _id: new mongoose.Types.ObjectId(), name: query.name });
+      tags.push(tag);
+      return tag;
+    };
+  });
+
+  afterEach(() => {
+    Tag.find = originals.find;
+    Tag.findOneAndUpdate = originals.findOneAndUpdate;
+  });
+
+  it("reuses tags that differ only in case or spacing", async () => {
+    const resolved = await resolveTags(["mongodb", " Kubernetes "]);
+
+    assert.deepStrictEqual(resolved.map((tag) => tag.name), ["MongoDB", "Kubernetes"]);
+    assert.strictEqual(tags.length, 2);
+  });
+
+  it("refuses a likely typo without creating any tag", async () => {
+    await assert.rejects(resolveTags(["MongDB", "Redis"]), (error) => {
+      assert.ok(error instanceof TagSuggestionError);
+      assert.strictEqual(error.statusCode, 422);
+      assert.deepStrictEqual(error.suggestions, [{ name: "MongDB", suggestion: "MongoDB" }]);
+      return true;
+    });
+    assert.strictEqual(tags.length, 2);
+  });
+
+  it("creates the typed tag once the client confirms it", async () => {
+    const resolved = await resolveTags(["MongDB"], { confirmNewTags: true });
+
+    assert.deepStrictEqual(resolved.map((tag) => tag.name), ["MongDB"]);
+    assert.strictEqual(tags.length, 3);
+  });
+});